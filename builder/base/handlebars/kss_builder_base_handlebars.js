@@ -149,11 +149,17 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
   /**
    * Build the HTML files of the style guide given a KssStyleGuide object.
    *
+   * When rebuilding a style guide after its source files have changed, the
+   * `changes` parameter can limit the pages that are built to the homepage
+   * (if `changes.homepage` is `true`) and to the pages of the root sections
+   * listed in `changes.roots`.
+   *
    * @param {KssStyleGuide} styleGuide The KSS style guide in object format.
+   * @param {Object} [changes] Optional. The pages that need to be rebuilt.
    * @returns {Promise.<KssStyleGuide>} A `Promise` object resolving to a
    *   `KssStyleGuide` object.
    */
-  build(styleGuide) {
+  build(styleGuide, changes) {
     this.styleGuide = styleGuide;
     this.partials = {};
 
@@ -253,15 +259,17 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
         partial.name = path.basename(partial.file, path.extname(partial.file));
         partial.exampleName = 'kss-example-' + partial.name;
 
-        let findPartials = [],
-          matchFilename = path.basename(partial.file),
+        let matchFilename = path.basename(partial.file),
           matchExampleFilename = 'kss-example-' + matchFilename;
-        this.options.source.forEach(source => {
-          findPartials.push(glob(source + '/**/' + partial.file));
-          findPartials.push(glob(source + '/**/' + matchExampleFilename));
-        });
         buildTasks.push(
-          Promise.all(findPartials).then(globMatches => {
+          this.sourceDirectories().then(sources => {
+            let findPartials = [];
+            sources.forEach(source => {
+              findPartials.push(glob(source + '/**/' + partial.file));
+              findPartials.push(glob(source + '/**/' + matchExampleFilename));
+            });
+            return Promise.all(findPartials);
+          }).then(globMatches => {
             let foundPartial = false,
               foundExample = false,
               readPartials = [];
@@ -339,14 +347,21 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
       let buildPageTasks = [];
 
       // Build the homepage.
-      buildPageTasks.push(this.buildPage('index', null, []));
+      if (!changes || changes.homepage) {
+        buildPageTasks.push(this.buildPage('index', null, []));
+      }
 
       // Group all of the sections by their root reference, and make a page for
       // each.
       sectionRoots.forEach(rootReference => {
-        buildPageTasks.push(this.buildPage('section', rootReference, this.styleGuide.sections(rootReference + '.*')));
+        if (!changes || changes.roots.indexOf(rootReference) !== -1) {
+          buildPageTasks.push(this.buildPage('section', rootReference, this.styleGuide.sections(rootReference + '.*')));
+        }
       });
 
+      // Update the search index, since any section may have changed.
+      buildPageTasks.push(this.buildSearchIndex(this.styleGuide));
+
       return Promise.all(buildPageTasks);
     }).then(() => {
       // We return the KssStyleGuide, just like KssBuilderBase.build() does.
@@ -401,28 +416,27 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
   }
 
   /**
-   * Renders the Handlebars template for a section and saves it to a file.
+   * Converts the given sections to JSON and renders their markup.
+   *
+   * The `markup` and `example` properties of each section and the `markup`
+   * property of each modifier are replaced with the HTML rendered from the
+   * section's Handlebars partial. Each section also gets an `editURL` and a
+   * `statusBadge` property and its links are resolved; see `editURL()`,
+   * `statusBadge()` and `resolveLinks()`.
    *
-   * @param {string} templateName The name of the template to use.
-   * @param {string|null} pageReference The reference of the current page's root
-   *   section, or null if the current page is the homepage.
    * @param {Array} sections An array of KssSection objects.
-   * @param {Object} [context] Additional context to give to the Handlebars
-   *   template when it is rendered.
-   * @returns {Promise} A `Promise` object.
+   * @returns {Array} An array of section objects in JSON format.
    */
-  buildPage(templateName, pageReference, sections, context) {
-    context = context || {};
-    context.styleGuide = this.styleGuide;
-    context.sections = sections.map(section => {
-      return section.toJSON();
+  renderSections(sections) {
+    sections = sections.map(section => {
+      let json = section.toJSON();
+      json.editURL = this.editURL(section);
+      json.statusBadge = this.statusBadge(section);
+      return this.resolveLinks(json, section);
     });
-    context.hasNumericReferences = this.styleGuide.hasNumericReferences();
-    context.partials = this.partials;
-    context.options = this.options || /* istanbul ignore next */ {};
 
     // Render the template for each section markup and modifier.
-    context.sections.forEach(section => {
+    sections.forEach(section => {
       // If the section does not have any markup, render an empty string.
       if (section.markup) {
         // Load the information about this section's markup partial.
@@ -473,6 +487,59 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
       }
     });
 
+    return sections;
+  }
+
+  /**
+   * Reads the Markdown text of the homepage.
+   *
+   * The first file found in the source directories with the name given by the
+   * `homepage` option is used.
+   *
+   * @returns {Promise.<string>} A `Promise` object resolving to the contents
+   *   of the homepage file or to an empty string if it was not found.
+   */
+  readHomepage() {
+    return this.sourceDirectories().then(sources => {
+      return Promise.all(sources.map(source => {
+        return glob(source + '/**/' + this.options.homepage);
+      }));
+    }).then(globMatches => {
+      for (let files of globMatches) {
+        if (files.length) {
+          // Read the file contents from the first matched path.
+          return fs.readFileAsync(files[0], 'utf8');
+        }
+      }
+
+      if (this.options.verbose) {
+        this.log('   ...no homepage content found in ' + this.options.homepage + '.');
+      } else {
+        this.log('WARNING: no homepage content found in ' + this.options.homepage + '.');
+      }
+      return '';
+    });
+  }
+
+  /**
+   * Renders the Handlebars template for a section and saves it to a file.
+   *
+   * @param {string} templateName The name of the template to use.
+   * @param {string|null} pageReference The reference of the current page's root
+   *   section, or null if the current page is the homepage.
+   * @param {Array} sections An array of KssSection objects.
+   * @param {Object} [context] Additional context to give to the Handlebars
+   *   template when it is rendered.
+   * @returns {Promise} A `Promise` object.
+   */
+  buildPage(templateName, pageReference, sections, context) {
+    context = context || {};
+    context.styleGuide = this.styleGuide;
+    context.sections = this.renderSections(sections);
+    context.hasNumericReferences = this.styleGuide.hasNumericReferences();
+    context.partials = this.partials;
+    context.options = this.options || /* istanbul ignore next */ {};
+
     // Create the HTML to load the optional CSS and JS (if a sub-class hasn't already built it.)
     // istanbul ignore else
     if (typeof context.styles === 'undefined') {
@@ -522,25 +589,7 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
     // Grab the homepage text if it hasn't already been provided.
     let getHomepageText;
     if (templateName === 'index' && typeof context.homepage === 'undefined') {
-      getHomepageText = Promise.all(
-        this.options.source.map(source => {
-          return glob(source + '/**/' + this.options.homepage);
-        })
-      ).then(globMatches => {
-        for (let files of globMatches) {
-          if (files.length) {
-            // Read the file contents from the first matched path.
-            return fs.readFileAsync(files[0], 'utf8');
-          }
-        }
-
-        if (this.options.verbose) {
-          this.log('   ...no homepage content found in ' + this.options.homepage + '.');
-        } else {
-          this.log('WARNING: no homepage content found in ' + this.options.homepage + '.');
-        }
-        return '';
-      }).then(homePageText => {
+      getHomepageText = this.readHomepage().then(homePageText => {
         // Ensure homePageText is a non-false value. And run any results through
         // Markdown.
         context.homepage = homePageText ? marked(homePageText) : ' ';
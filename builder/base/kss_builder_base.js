@@ -13,7 +13,8 @@
    *************************************************************** */
 
 const path = require('path'),
-  Promise = require('bluebird');
+  Promise = require('bluebird'),
+  traverse = require('../../lib/traverse.js');
 
 const fs = Promise.promisifyAll(require('fs-extra')),
   kssBuilderAPI = '3.0';
@@ -51,13 +52,13 @@ class KssBuilderBase {
 
     // Tell kss-node which Yargs-like options this builder has.
     this.addOptionDefinitions({
-      source: {
+      'source': {
         group: 'File locations:',
         string: true,
         path: true,
-        describe: 'Source directory to parse for KSS comments'
+        describe: 'Source directory, file or glob to parse for KSS comments'
       },
-      destination: {
+      'destination': {
         group: 'File locations:',
         string: true,
         path: true,
@@ -65,7 +66,7 @@ class KssBuilderBase {
         describe: 'Destination directory of style guide',
         default: 'styleguide'
       },
-      mask: {
+      'mask': {
         group: 'File locations:',
         alias: 'm',
         string: true,
@@ -73,15 +74,34 @@ class KssBuilderBase {
         describe: 'Use a mask for detecting files containing KSS comments',
         default: '*.css|*.less|*.sass|*.scss|*.styl|*.stylus'
       },
+      'ignore': {
+        group: 'File locations:',
+        string: true,
+        describe: 'Skip the files and directories matching this glob, e.g. node_modules/'
+      },
+      'follow-symlinks': {
+        group: 'File locations:',
+        boolean: true,
+        multiple: false,
+        describe: 'Follow the symbolic links found in the source directories',
+        default: true
+      },
+      'cache': {
+        group: 'File locations:',
+        string: true,
+        path: true,
+        multiple: false,
+        describe: 'Cache the parsed KSS comments in this file to only parse changed files'
+      },
 
-      clone: {
+      'clone': {
         group: 'Builder:',
         string: true,
         path: true,
         multiple: false,
         describe: 'Clone a style guide builder to customize'
       },
-      builder: {
+      'builder': {
         group: 'Builder:',
         alias: 'b',
         string: true,
@@ -90,23 +110,104 @@ class KssBuilderBase {
         describe: 'Use the specified builder when building your style guide',
         default: path.relative(process.cwd(), path.join(__dirname, '..', 'handlebars'))
       },
-      css: {
+      'css': {
         group: 'Style guide:',
         string: true,
         describe: 'URL of a CSS file to include in the style guide'
       },
-      js: {
+      'js': {
         group: 'Style guide:',
         string: true,
         describe: 'URL of a JavaScript file to include in the style guide'
       },
-      custom: {
+      'custom': {
         group: 'Style guide:',
         string: true,
         describe: 'Process a custom property name when parsing KSS comments'
       },
+      'syntax': {
+        group: 'Style guide:',
+        string: true,
+        multiple: false,
+        choices: ['cssdoc', 'kss', 'auto'],
+        describe: 'Syntax of the KSS comments: @tag docblocks (cssdoc), classic KSS (kss) or both (auto)',
+        default: 'cssdoc'
+      },
+      'duplicates': {
+        group: 'Style guide:',
+        string: true,
+        multiple: false,
+        choices: ['warn', 'error', 'merge', 'keep-first'],
+        describe: 'How to handle sections with the same reference',
+        default: 'warn'
+      },
+      'edit-url': {
+        group: 'Style guide:',
+        string: true,
+        multiple: false,
+        describe: 'URL of the "edit this section" links, e.g. https://github.com/user/repo/edit/main/css/{file}#L{line}'
+      },
 
-      verbose: {
+      'watch': {
+        boolean: true,
+        multiple: false,
+        describe: 'Rebuild the style guide when source files change',
+        default: false
+      },
+      'serve': {
+        boolean: true,
+        multiple: false,
+        describe: 'Serve the style guide and reload it when source files change',
+        default: false
+      },
+      'port': {
+        multiple: false,
+        describe: 'Port used by the serve option',
+        default: 8080
+      },
+      'host': {
+        string: true,
+        multiple: false,
+        describe: 'Host name or IP address used by the serve option',
+        default: 'localhost'
+      },
+      'lint': {
+        boolean: true,
+        multiple: false,
+        describe: 'Check the KSS documentation for problems instead of building',
+        default: false
+      },
+      'coverage': {
+        boolean: true,
+        multiple: false,
+        describe: 'Report how much of the source is documented',
+        default: false
+      },
+      'migrate': {
+        boolean: true,
+        multiple: false,
+        describe: 'Rewrite classic KSS comments as @tag docblocks instead of building',
+        default: false
+      },
+      'migrate-destination': {
+        string: true,
+        path: true,
+        multiple: false,
+        describe: 'Directory to write the migrated files to, instead of rewriting them in place'
+      },
+      'dry-run': {
+        boolean: true,
+        multiple: false,
+        describe: 'Show the changes the migrate option would make without writing any file',
+        default: false
+      },
+      'changelog': {
+        boolean: true,
+        multiple: false,
+        describe: 'List the sections added or changed in each version instead of building',
+        default: false
+      },
+      'verbose': {
         count: true,
         multiple: false,
         describe: 'Display verbose details while building'
@@ -250,6 +351,27 @@ class KssBuilderBase {
     return key ? this.options[key] : this.options;
   }
 
+  /**
+   * Returns the directories of the `source` option.
+   *
+   * A source can be a directory, a file or a glob; the directory of a file is
+   * the directory containing it and the directory of a glob is the part of the
+   * glob before its first special character. Builders look for markup files
+   * and the homepage in these directories.
+   *
+   * @returns {Promise.<string[]>} A `Promise` object resolving to the source
+   *   directories.
+   */
+  sourceDirectories() {
+    return Promise.all(this.options.source.map(source => {
+      return traverse.sourceDirectory(source);
+    })).then(directories => {
+      return directories.filter((directory, index) => {
+        return directories.indexOf(directory) === index;
+      });
+    });
+  }
+
   /**
    * Adds option definitions to the builder.
    *
@@ -480,6 +602,189 @@ class KssBuilderBase {
     });
   }
 
+  /**
+   * Returns the URL of the "edit this section" link of a section.
+   *
+   * The URL is created from the `edit-url` option by replacing these
+   * placeholders:
+   * - `{file}`: the path of the section's source file, relative to its source
+   *   directory.
+   * - `{line}`: the first line of the section's KSS comment.
+   * - `{endLine}`: the last line of the code following the KSS comment, or of
+   *   the comment if it is not followed by any code.
+   * - `{reference}`: the section's reference.
+   *
+   * @param {KssSection} section The section.
+   * @returns {string} The URL, or an empty string if the `edit-url` option is
+   *   not set or the section has no source file.
+   */
+  editURL(section) {
+    let template = this.options['edit-url'],
+      sourceFile = section.custom('sourceFile');
+    if (!template || !sourceFile || !sourceFile.name) {
+      return '';
+    }
+
+    let source = section.source(),
+      values = {
+        file: sourceFile.name,
+        line: sourceFile.line,
+        endLine: source ? source.endLine : sourceFile.endLine,
+        reference: encodeURIComponent(section.reference())
+      };
+    return template.replace(/{(file|line|endLine|reference)}/g, (match, name) => {
+      return values[name];
+    });
+  }
+
+  /**
+   * Returns the URL of a section in the built style guide.
+   *
+   * Each root section of the style guide has its own page, which contains all
+   * of its sub-sections.
+   *
+   * @param {KssSection} section The section.
+   * @returns {string} The URL of the section, relative to the style guide's
+   *   destination, or an empty string if the section has no root section.
+   */
+  sectionURL(section) {
+    let rootSection = section.styleGuide() && section.styleGuide().sections(section.reference().split(/(?:\.|\ \-\ )/)[0]);
+    if (!rootSection) {
+      return '';
+    }
+
+    return 'section-' + rootSection.referenceURI() + '.html#kssref-' + section.referenceURI();
+  }
+
+  /**
+   * Resolves the links to other sections of a section in JSON format.
+   *
+   * The inline links, e.g. `{@link 2.1.3}`, of the descriptions of the
+   * section and of its modifiers and parameters are replaced with links to the
+   * linked sections; see `formatLink()`. A link to a section that is not in
+   * the style guide is replaced with its text or reference. The section also
+   * gets a `relatedLinks` property listing the `reference`, `header` and `url`
+   * of each related section given by its `@see` tags; the `url` of a missing
+   * section is an empty string.
+   *
+   * @param {Object} json The section in JSON format.
+   * @param {KssSection} section The section.
+   * @returns {Object} The section in JSON format, with its links resolved.
+   */
+  resolveLinks(json, section) {
+    let styleGuide = section.styleGuide();
+    json.relatedLinks = [];
+    if (!styleGuide) {
+      return json;
+    }
+
+    let resolve = text => {
+      return styleGuide.replaceLinks(text, (linked, reference, label) => {
+        if (!linked) {
+          return label || escapeHTML(reference);
+        }
+        return this.formatLink(this.sectionURL(linked), label || escapeHTML(linked.header() || linked.reference()));
+      });
+    };
+    json.description = resolve(json.description);
+    json.modifiers.concat(json.parameters).forEach(item => {
+      item.description = resolve(item.description);
+    });
+
+    json.relatedLinks = section.see().map(reference => {
+      let linked = styleGuide.sections(reference);
+      return {
+        reference: reference,
+        header: linked ? linked.header() || reference : reference,
+        url: linked ? this.sectionURL(linked) : ''
+      };
+    });
+
+    return json;
+  }
+
+  /**
+   * Formats a link to a section, replacing an inline link of a description.
+   *
+   * @param {string} url The URL of the section.
+   * @param {string} text The HTML of the link's text.
+   * @returns {string} The HTML link.
+   */
+  formatLink(url, text) {
+    return '<a href="' + url + '">' + text + '</a>';
+  }
+
+  /**
+   * Returns the status badge of a section.
+   *
+   * Stable sections have no badge. The badge of the other sections has the
+   * properties of the section's `status()`, a `label`, e.g. `Deprecated`, and
+   * the `replacementURL` of the section replacing this one, if it is in the
+   * style guide.
+   *
+   * @param {KssSection} section The section.
+   * @returns {Object|boolean} The badge, or false if the section is stable.
+   */
+  statusBadge(section) {
+    let status = section.status();
+    if (status.name === 'stable') {
+      return false;
+    }
+
+    let replacement = status.replacement && section.styleGuide() && section.styleGuide().sections(status.replacement);
+    return Object.assign({
+      label: status.name.charAt(0).toUpperCase() + status.name.slice(1)
+    }, status, {
+      replacementURL: replacement ? this.sectionURL(replacement) : ''
+    });
+  }
+
+  /**
+   * Creates the search index of a style guide.
+   *
+   * Each section has an entry with its `reference`, `referenceNumber`,
+   * `header`, the text of its `description` (without HTML tags), the names of
+   * its `modifiers`, the text of its `custom` properties and its `url`; see
+   * `sectionURL()`.
+   *
+   * @param {KssStyleGuide} styleGuide The KSS style guide in object format.
+   * @returns {Object[]} The entries of the search index.
+   */
+  searchIndex(styleGuide) {
+    return styleGuide.sections().map(section => {
+      return {
+        reference: section.reference(),
+        referenceNumber: section.referenceNumber(),
+        header: section.header(),
+        description: stripHTML(section.description()),
+        modifiers: section.modifiers().map(modifier => {
+          return modifier.name();
+        }),
+        custom: section.customPropertyNames().map(name => {
+          return searchText(section.custom(name));
+        }).filter(text => {
+          return text !== '';
+        }).join(' '),
+        url: this.sectionURL(section)
+      };
+    });
+  }
+
+  /**
+   * Saves the search index of a style guide as the `search-index.js` script in
+   * the destination, which sets the `kssSearchIndex` global variable used by
+   * the search box of the style guide.
+   *
+   * @param {KssStyleGuide} styleGuide The KSS style guide in object format.
+   * @returns {Promise} A `Promise` object.
+   */
+  buildSearchIndex(styleGuide) {
+    return fs.writeFileAsync(
+      path.join(this.options.destination, 'search-index.js'),
+      'window.kssSearchIndex = ' + JSON.stringify(this.searchIndex(styleGuide)) + ';\n'
+    );
+  }
+
   /**
    * Allow the builder to preform pre-build tasks or modify the KssStyleGuide
    * object.
@@ -548,4 +853,58 @@ class KssBuilderBase {
   }
 }
 
+/**
+ * Removes the HTML tags of a string and collapses its whitespace.
+ *
+ * @private
+ * @param {string} html The HTML.
+ * @returns {string} The text.
+ */
+const stripHTML = function(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Returns the searchable text of a custom property's value.
+ *
+ * Strings and numbers are searchable, as are arrays of them; other values,
+ * like the `sourceFile` object of each section, are not.
+ *
+ * @private
+ * @param {*} value The value.
+ * @returns {string} The text, or an empty string.
+ */
+const searchText = function(value) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    return stripHTML(String(value));
+  }
+  if (value instanceof Array) {
+    return value.map(searchText).join(' ').trim();
+  }
+  return '';
+};
+
+/**
+ * Escapes the HTML special characters of a string.
+ *
+ * @private
+ * @param {string} text The string.
+ * @returns {string} The escaped string.
+ */
+const escapeHTML = function(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
 module.exports = KssBuilderBase;
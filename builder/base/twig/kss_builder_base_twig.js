@@ -214,11 +214,17 @@ class KssBuilderBaseTwig extends KssBuilderBase {
   /**
    * Build the HTML files of the style guide given a KssStyleGuide object.
    *
+   * When rebuilding a style guide after its source files have changed, the
+   * `changes` parameter can limit the pages that are built to the homepage
+   * (if `changes.homepage` is `true`) and to the pages of the root sections
+   * listed in `changes.roots`.
+   *
    * @param {KssStyleGuide} styleGuide The KSS style guide in object format.
+   * @param {Object} [changes] Optional. The pages that need to be rebuilt.
    * @returns {Promise.<KssStyleGuide>} A `Promise` object resolving to a
    *   `KssStyleGuide` object.
    */
-  build(styleGuide) {
+  build(styleGuide, changes) {
     this.styleGuide = styleGuide;
     this.userTemplates = {};
 
@@ -330,13 +336,15 @@ class KssBuilderBaseTwig extends KssBuilderBase {
         template.name = path.basename(template.file);
         template.exampleName = 'kss-example-' + template.name;
 
-        let findTemplates = [];
-        this.options.source.forEach(source => {
-          findTemplates.push(glob(source + '/**/' + template.file));
-          findTemplates.push(glob(source + '/**/kss-example-' + template.name));
-        });
         buildTasks.push(
-          Promise.all(findTemplates).then(globMatches => {
+          this.sourceDirectories().then(sources => {
+            let findTemplates = [];
+            sources.forEach(source => {
+              findTemplates.push(glob(source + '/**/' + template.file));
+              findTemplates.push(glob(source + '/**/kss-example-' + template.name));
+            });
+            return Promise.all(findTemplates);
+          }).then(globMatches => {
             let foundTemplate = false,
               foundExample = false,
               compileTemplates = [];
@@ -427,14 +435,21 @@ class KssBuilderBaseTwig extends KssBuilderBase {
       let buildPageTasks = [];
 
       // Build the homepage.
-      buildPageTasks.push(this.buildPage('index', null, []));
+      if (!changes || changes.homepage) {
+        buildPageTasks.push(this.buildPage('index', null, []));
+      }
 
       // Group all of the sections by their root reference, and make a page for
       // each.
       sectionRoots.forEach(rootReference => {
-        buildPageTasks.push(this.buildPage('section', rootReference, this.styleGuide.sections(rootReference + '.*')));
+        if (!changes || changes.roots.indexOf(rootReference) !== -1) {
+          buildPageTasks.push(this.buildPage('section', rootReference, this.styleGuide.sections(rootReference + '.*')));
+        }
       });
 
+      // Update the search index, since any section may have changed.
+      buildPageTasks.push(this.buildSearchIndex(this.styleGuide));
+
       return Promise.all(buildPageTasks);
     }).then(() => {
       // We return the KssStyleGuide, just like KssBuilderBase.build() does.
@@ -504,7 +519,10 @@ class KssBuilderBaseTwig extends KssBuilderBase {
     context = context || {};
     context.styleGuide = this.styleGuide;
     context.sections = sections.map(section => {
-      return section.toJSON();
+      let json = section.toJSON();
+      json.editURL = this.editURL(section);
+      json.statusBadge = this.statusBadge(section);
+      return this.resolveLinks(json, section);
     });
     context.hasNumericReferences = this.styleGuide.hasNumericReferences();
     context.userTemplates = this.userTemplates;
@@ -620,11 +638,11 @@ class KssBuilderBaseTwig extends KssBuilderBase {
       // Grab the homepage text if it hasn't already been provided.
       let getHomepageText;
       if (templateName === 'index' && typeof context.homepage === 'undefined') {
-        getHomepageText = Promise.all(
-          this.options.source.map(source => {
+        getHomepageText = this.sourceDirectories().then(sources => {
+          return Promise.all(sources.map(source => {
             return glob(source + '/**/' + this.options.homepage);
-          })
-        ).then(globMatches => {
+          }));
+        }).then(globMatches => {
           for (let files of globMatches) {
             if (files.length) {
               // Read the file contents from the first matched path.
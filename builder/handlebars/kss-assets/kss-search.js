@@ -0,0 +1,97 @@
+(function() {
+  var input, results, maxResults;
+
+  input = document.querySelector('.kss-search__input');
+  results = document.querySelector('.kss-search__results');
+  maxResults = 50;
+
+  // The search index is created by the builder in search-index.js.
+  if (!input || !results || !window.kssSearchIndex) {
+    return;
+  }
+
+  // Returns the lower-cased text of an entry that the search looks through.
+  function entryText(entry) {
+    if (!entry.text) {
+      entry.text = [entry.reference, entry.referenceNumber, entry.header, entry.description, entry.modifiers.join(' '), entry.custom].join(' ').toLowerCase();
+    }
+    return entry.text;
+  }
+
+  // Finds the entries containing all the search terms, listing the entries
+  // whose header or reference contains the terms first.
+  function search(query) {
+    var terms, matches;
+
+    terms = query.toLowerCase().split(/\s+/).filter(function(term) {
+      return term !== '';
+    });
+    if (!terms.length) {
+      return [];
+    }
+
+    matches = [];
+    window.kssSearchIndex.forEach(function(entry, index) {
+      var title, score;
+      if (!terms.every(function(term) {
+        return entryText(entry).indexOf(term) !== -1;
+      })) {
+        return;
+      }
+      title = (entry.reference + ' ' + entry.header).toLowerCase();
+      score = terms.filter(function(term) {
+        return title.indexOf(term) !== -1;
+      }).length;
+      matches.push({entry: entry, score: score, index: index});
+    });
+
+    return matches.sort(function(a, b) {
+      return b.score - a.score || a.index - b.index;
+    }).slice(0, maxResults).map(function(match) {
+      return match.entry;
+    });
+  }
+
+  function showResults() {
+    var matches = search(input.value);
+
+    while (results.firstChild) {
+      results.removeChild(results.firstChild);
+    }
+
+    matches.forEach(function(entry) {
+      var item, link, ref, name;
+      item = document.createElement('li');
+      item.className = 'kss-search__result';
+      link = document.createElement('a');
+      link.className = 'kss-search__link';
+      link.href = entry.url;
+      ref = document.createElement('span');
+      ref.className = 'kss-nav__ref';
+      ref.appendChild(document.createTextNode(entry.referenceNumber));
+      name = document.createElement('span');
+      name.className = 'kss-nav__name';
+      name.appendChild(document.createTextNode(entry.header || entry.reference));
+      link.appendChild(ref);
+      link.appendChild(name);
+      item.appendChild(link);
+      results.appendChild(item);
+    });
+
+    if (input.value.trim() && !matches.length) {
+      var empty = document.createElement('li');
+      empty.className = 'kss-search__empty';
+      empty.appendChild(document.createTextNode('No sections found.'));
+      results.appendChild(empty);
+    }
+  }
+
+  input.addEventListener('input', showResults);
+  input.addEventListener('keydown', function(event) {
+    // Clear the search with the Escape key.
+    if (event.keyCode === 27) {
+      input.value = '';
+      showResults();
+    }
+  });
+}).call(this);
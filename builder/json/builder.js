@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * The `kss/builder/json` module exports the parsed style guide as a single
+ * JSON file that can be used by other tools, e.g. a design system's website,
+ * a search index or a Storybook integration.
+ *
+ * ```
+ * kss --source styles --destination styleguide --builder node_modules/kss/builder/json
+ * ```
+ *
+ * @module kss/builder/json
+ */
+
+const path = require('path'),
+  Promise = require('bluebird');
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+let KssBuilderBaseHandlebars,
+  kssVersion;
+
+try {
+  // In order for a builder to be "kss clone"-able, it must use the
+  // require('kss/builder/path') syntax.
+  KssBuilderBaseHandlebars = require('kss/builder/base/handlebars');
+  kssVersion = require('kss/package.json').version;
+} catch (e) {
+  // See the comment in kss/builder/handlebars/builder.js.
+  KssBuilderBaseHandlebars = require('../base/handlebars');
+  kssVersion = require('../../package.json').version;
+}
+
+/**
+ * The version of the JSON file's format. The major version will change
+ * whenever a property is removed or its meaning changes.
+ */
+const formatVersion = '1.0';
+
+/**
+ * A kss-node builder that writes the style guide to a JSON file.
+ *
+ * The JSON file contains the output of `KssStyleGuide.toJSON()`, but the markup
+ * of each section and modifier is rendered with the section's Handlebars
+ * partial, just like the HTML builders render it.
+ */
+class KssBuilderJSON extends KssBuilderBaseHandlebars {
+  /**
+   * Create a builder object.
+   */
+  constructor() {
+    // First call the constructor of KssBuilderBaseHandlebars.
+    super();
+
+    // This builder does not render any templates, so prevent build() from
+    // loading an index.hbs file.
+    this.templates = {
+      index: false,
+      section: false
+    };
+
+    // Then tell kss which Yargs-like options this builder adds.
+    this.addOptionDefinitions({
+      'json-file': {
+        group: 'Style guide:',
+        string: true,
+        multiple: false,
+        describe: 'File name of the JSON file to create in the destination',
+        default: 'styleguide.json'
+      }
+    });
+  }
+
+  /**
+   * Build the JSON file of the style guide given a KssStyleGuide object.
+   *
+   * The JSON file is always fully rebuilt, so the optional `changes` given
+   * during a watch rebuild are ignored.
+   *
+   * @param {KssStyleGuide} styleGuide The KSS style guide in object format.
+   * @returns {Promise.<KssStyleGuide>} A `Promise` object resolving to a
+   *   `KssStyleGuide` object.
+   */
+  build(styleGuide) {
+    // The parent class registers the markup of each section as a partial.
+    return super.build(styleGuide).then(() => {
+      if (this.options.verbose) {
+        this.log('...Building JSON file:');
+        this.log(' - ' + this.options['json-file']);
+      }
+
+      return fs.writeFileAsync(
+        path.join(this.options.destination, this.options['json-file']),
+        JSON.stringify(this.toJSON(styleGuide), null, 2) + '\n'
+      );
+    }).then(() => {
+      return Promise.resolve(styleGuide);
+    });
+  }
+
+  /**
+   * Returns the data written to the JSON file.
+   *
+   * In addition to the data of `KssStyleGuide.toJSON()`, each section has a
+   * `markupSource` property containing its unrendered markup (or the file name
+   * of its markup.)
+   *
+   * @param {KssStyleGuide} styleGuide The KSS style guide in object format.
+   * @returns {Object} The data of the JSON file.
+   */
+  toJSON(styleGuide) {
+    let data = styleGuide.toJSON(),
+      sections = styleGuide.sections();
+
+    data.sections = this.renderSections(sections).map((section, index) => {
+      section.markupSource = sections[index].markup();
+      return section;
+    });
+
+    return {
+      formatVersion: formatVersion,
+      kssVersion: kssVersion,
+      styleGuide: data
+    };
+  }
+
+  /**
+   * Skips building the HTML pages of the style guide.
+   *
+   * @returns {Promise} A `Promise` object.
+   */
+  buildPage() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Skips the search index, which is only used by the HTML builders.
+   *
+   * @returns {Promise} A `Promise` object.
+   */
+  buildSearchIndex() {
+    return Promise.resolve();
+  }
+}
+
+module.exports = KssBuilderJSON;
@@ -0,0 +1,268 @@
+'use strict';
+
+/**
+ * The `kss/builder/markdown` module builds a style guide as Markdown files
+ * that can be published in a wiki or a documentation repository.
+ *
+ * ```
+ * kss --source styles --destination docs --builder node_modules/kss/builder/markdown
+ * ```
+ *
+ * @module kss/builder/markdown
+ */
+
+const path = require('path'),
+  Promise = require('bluebird');
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+let KssBuilderBaseHandlebars;
+
+try {
+  // In order for a builder to be "kss clone"-able, it must use the
+  // require('kss/builder/path') syntax.
+  KssBuilderBaseHandlebars = require('kss/builder/base/handlebars');
+} catch (e) {
+  // See the comment in kss/builder/handlebars/builder.js.
+  KssBuilderBaseHandlebars = require('../base/handlebars');
+}
+
+/**
+ * A kss-node builder that builds a Markdown file for each root section of the
+ * style guide and an index.md file for the homepage.
+ *
+ * The markup of each section is rendered with the section's Handlebars partial,
+ * just like the HTML builders render it.
+ */
+class KssBuilderMarkdown extends KssBuilderBaseHandlebars {
+  /**
+   * Create a builder object.
+   */
+  constructor() {
+    // First call the constructor of KssBuilderBaseHandlebars.
+    super();
+
+    // This builder does not use Handlebars templates for its pages, so prevent
+    // build() from loading an index.hbs file.
+    this.templates = {
+      index: false,
+      section: false
+    };
+
+    // Keep the descriptions in their original Markdown format.
+    this.addOptions({
+      markdown: false
+    });
+
+    // Then tell kss which Yargs-like options this builder adds.
+    this.addOptionDefinitions({
+      title: {
+        group: 'Style guide:',
+        string: true,
+        multiple: false,
+        describe: 'Title of the style guide',
+        default: 'KSS Style Guide'
+      }
+    });
+  }
+
+  /**
+   * Renders the Markdown for a page and saves it to a file.
+   *
+   * @param {string} templateName The name of the page's template, either
+   *   "index" or "section".
+   * @param {string|null} pageReference The reference of the current page's root
+   *   section, or null if the current page is the homepage.
+   * @param {Array} sections An array of KssSection objects.
+   * @returns {Promise} A `Promise` object.
+   */
+  buildPage(templateName, pageReference, sections) {
+    let fileName,
+      getMarkdown;
+
+    if (pageReference) {
+      let rootSection = this.styleGuide.sections(pageReference);
+      if (this.options.verbose) {
+        this.log(' - ' + templateName + ' ' + pageReference + ' [' + (rootSection.header() || /* istanbul ignore next */ 'Unnamed') + ']');
+      }
+      fileName = templateName + '-' + rootSection.referenceURI() + '.md';
+      getMarkdown = Promise.resolve(this.renderSections(sections).map(section => {
+        return this.sectionMarkdown(section, rootSection.depth());
+      }).join('\n'));
+    } else {
+      if (this.options.verbose) {
+        this.log(' - homepage');
+      }
+      fileName = 'index.md';
+      getMarkdown = this.readHomepage().then(homepageText => {
+        return this.indexMarkdown(homepageText);
+      });
+    }
+
+    return getMarkdown.then(markdown => {
+      return fs.writeFileAsync(path.join(this.options.destination, fileName), markdown);
+    });
+  }
+
+  /**
+   * Returns the URL of a section's Markdown file.
+   *
+   * @param {KssSection} section The section.
+   * @returns {string} The URL of the Markdown file of the section's root
+   *   section, or an empty string if the section has no root section.
+   */
+  sectionURL(section) {
+    let rootSection = section.styleGuide() && section.styleGuide().sections(section.reference().split(/(?:\.|\ \-\ )/)[0]);
+    return rootSection ? 'section-' + rootSection.referenceURI() + '.md' : '';
+  }
+
+  /**
+   * Formats a link to a section as Markdown.
+   *
+   * @param {string} url The URL of the section.
+   * @param {string} text The text of the link.
+   * @returns {string} The Markdown link.
+   */
+  formatLink(url, text) {
+    return '[' + text + '](' + url + ')';
+  }
+
+  /**
+   * Skips the search index, which is only used by the HTML builders.
+   *
+   * @returns {Promise} A `Promise` object.
+   */
+  buildSearchIndex() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Returns the Markdown of the homepage.
+   *
+   * @param {string} homepageText The Markdown of the homepage file.
+   * @returns {string} The Markdown of the index.md file.
+   */
+  indexMarkdown(homepageText) {
+    let markdown = '# ' + this.options.title + '\n\n';
+
+    if (homepageText.trim()) {
+      markdown += homepageText.trim() + '\n\n';
+    }
+
+    markdown += '## Sections\n\n';
+    this.styleGuide.sections('x').forEach(section => {
+      markdown += '- [' + (section.header() || section.reference()) + '](section-' + section.referenceURI() + '.md)\n';
+    });
+
+    return markdown;
+  }
+
+  /**
+   * Returns the Markdown of a section.
+   *
+   * @param {Object} section A section in JSON format, with rendered markup.
+   * @param {number} rootDepth The depth of the page's root section.
+   * @returns {string} The Markdown of the section.
+   */
+  sectionMarkdown(section, rootDepth) {
+    let level = Math.min(section.depth - rootDepth + 1, 6),
+      markdown = '#'.repeat(level) + ' ' + (section.header || section.reference) + '\n\n';
+
+    let details = ['Reference: `' + section.reference + '`'];
+    if (section.sourceFile && section.sourceFile.name) {
+      details.push('Source: `' + section.sourceFile.name + '`, line ' + section.sourceFile.line);
+    }
+    if (section.since) {
+      details.push('Added in ' + section.since);
+    }
+    let badge = section.statusBadge;
+    if (badge) {
+      details.push('**' + badge.label + '**' + (badge.since ? ' since ' + badge.since : ''));
+    }
+    markdown += details.join(' | ') + '\n\n';
+
+    if (badge && (badge.message || badge.replacement)) {
+      let replacement = '`' + badge.replacement + '`';
+      if (badge.replacementURL) {
+        replacement = '[' + replacement + '](' + badge.replacementURL + ')';
+      }
+      markdown += '> ' + [badge.message, badge.replacement ? 'Replaced by ' + replacement + '.' : ''].join(' ').trim() + '\n\n';
+    }
+
+    if (section.description) {
+      markdown += section.description.trim() + '\n\n';
+    }
+
+    if (section.relatedLinks && section.relatedLinks.length) {
+      markdown += 'See also: ' + section.relatedLinks.map(link => {
+        return link.url ? '[' + link.header + '](' + link.url + ')' : link.header;
+      }).join(', ') + '\n\n';
+    }
+
+    if (section.modifiers.length) {
+      markdown += table(['Modifier', 'Description'], section.modifiers.map(modifier => {
+        return ['`' + modifier.name + '`', modifier.description];
+      }));
+    }
+
+    if (section.parameters.length) {
+      markdown += table(['Parameter', 'Default', 'Description'], section.parameters.map(parameter => {
+        return [
+          '`' + parameter.name + '`',
+          parameter.defaultValue ? '`' + parameter.defaultValue + '`' : '',
+          parameter.description
+        ];
+      }));
+    }
+
+    if (section.markup) {
+      markdown += fence(section.example, 'html');
+    }
+
+    return markdown;
+  }
+}
+
+/**
+ * Returns a Markdown table.
+ *
+ * @private
+ * @param {Array} headers The text of each column's header.
+ * @param {Array} rows An array of rows, each an array of cell text.
+ * @returns {string} The Markdown of the table.
+ */
+const table = function(headers, rows) {
+  const row = cells => {
+    return '| ' + cells.map(cell => {
+      // A table cell must fit on one line and may not contain an unescaped
+      // pipe.
+      return String(cell).trim().replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+    }).join(' | ') + ' |\n';
+  };
+
+  return row(headers)
+    + row(headers.map(() => {
+      return '---';
+    }))
+    + rows.map(row).join('') + '\n';
+};
+
+/**
+ * Returns a fenced code block.
+ *
+ * @private
+ * @param {string} code The code to display.
+ * @param {string} language The language of the code.
+ * @returns {string} The Markdown of the code block.
+ */
+const fence = function(code, language) {
+  // The fence must be longer than any run of backticks in the code.
+  let backticks = (code.match(/`+/g) || []).reduce((longest, run) => {
+    return Math.max(longest, run.length + 1);
+  }, 3);
+  let marker = '`'.repeat(backticks);
+
+  return marker + language + '\n' + code.trim() + '\n' + marker + '\n\n';
+};
+
+module.exports = KssBuilderMarkdown;
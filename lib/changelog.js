@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * The `kss/lib/changelog` module is normally accessed via the
+ * [`changelog()`]{@link module:kss.changelog} method of the `kss` module:
+ * ```
+ * const kss = require('kss');
+ * kss.traverse(directory).then(styleGuide => {
+ *   let versions = kss.changelog(styleGuide);
+ * });
+ * ```
+ * @private
+ * @module kss/lib/changelog
+ */
+
+const KssSection = require('./kss_section.js');
+
+/**
+ * Lists the changes documented in a style guide, grouped by version.
+ *
+ * A section is added in the version given by its `@since` tag and its status
+ * changes in the version given by the `since` part of its `@status` tag (or
+ * of its `@deprecated` tag).
+ *
+ * Each version is described by an object with a `version` property and a
+ * `changes` property listing the changes of that version in the order of the
+ * style guide's sections. Each change is an object with the following
+ * properties:
+ * - type: `added` or the name of the section's new status, e.g. `deprecated`.
+ * - reference: The reference of the section.
+ * - header: The header of the section.
+ * - message: The message of the status, if any.
+ * - replacement: The reference of the section replacing this one, if any.
+ *
+ * @alias module:kss.changelog
+ * @param {KssStyleGuide} styleGuide The style guide.
+ * @returns {Object[]} The versions, the most recent first.
+ */
+const changelog = function(styleGuide) {
+  let versions = {};
+
+  let addChange = function(version, change) {
+    versions[version] = versions[version] || {version: version, changes: []};
+    versions[version].changes.push(change);
+  };
+
+  styleGuide.sections().forEach(section => {
+    if (section.since()) {
+      addChange(section.since(), {
+        type: 'added',
+        reference: section.reference(),
+        header: section.header(),
+        message: '',
+        replacement: ''
+      });
+    }
+    let status = section.status();
+    if (status.since) {
+      addChange(status.since, {
+        type: status.name,
+        reference: section.reference(),
+        header: section.header(),
+        message: status.message,
+        replacement: status.replacement
+      });
+    }
+  });
+
+  return Object.keys(versions).sort(compareVersions).reverse().map(version => {
+    return versions[version];
+  });
+};
+
+/**
+ * Formats the versions of a changelog as Markdown.
+ *
+ * The changes of each version are grouped by type: the added sections first,
+ * then the sections whose status changed, in the order of the statuses.
+ *
+ * @alias module:kss.changelog.text
+ * @param {Object[]} versions The versions, as returned by `changelog()`.
+ * @returns {string} The Markdown of the changelog.
+ */
+changelog.text = function(versions) {
+  let types = ['added'].concat(KssSection.statuses);
+
+  return versions.map(version => {
+    let markdown = '## ' + version.version + '\n';
+    types.forEach(type => {
+      let changes = version.changes.filter(change => {
+        return change.type === type;
+      });
+      if (!changes.length) {
+        return;
+      }
+      markdown += '\n### ' + type.charAt(0).toUpperCase() + type.slice(1) + '\n\n';
+      changes.forEach(change => {
+        let details = [change.message, change.replacement ? 'Replaced by `' + change.replacement + '`.' : ''].join(' ').trim();
+        markdown += '- `' + change.reference + '`' + (change.header ? ' ' + change.header : '') + (details ? ': ' + details : '') + '\n';
+      });
+    });
+    return markdown;
+  }).join('\n');
+};
+
+/**
+ * Compares two versions, e.g. `1.10` and `1.9`, part by part.
+ *
+ * Numeric parts are compared as numbers and other parts alphabetically.
+ *
+ * @private
+ * @param {string} a The first version.
+ * @param {string} b The second version.
+ * @returns {number} A negative number if `a` is older than `b`, a positive
+ *   number if it is newer, or 0 if they are equal.
+ */
+const compareVersions = function(a, b) {
+  let partsA = a.replace(/^v/i, '').split(/[.-]/),
+    partsB = b.replace(/^v/i, '').split(/[.-]/);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    let partA = partsA[i] || '0',
+      partB = partsB[i] || '0';
+    if (partA === partB) {
+      continue;
+    }
+    if (/^\d+$/.test(partA) && /^\d+$/.test(partB)) {
+      return parseInt(partA) - parseInt(partB);
+    }
+    return partA > partB ? 1 : -1;
+  }
+
+  return 0;
+};
+
+module.exports = changelog;
@@ -20,6 +20,9 @@ const Promise = require('bluebird'),
 
 const fs = Promise.promisifyAll(require('fs-extra'));
 
+// The commands that can be given as the first argument.
+const commands = ['serve', 'lint', 'migrate', 'changelog'];
+
 /**
  * Parses command line arguments in `opts.argv` and outputs messages and errors
  * on `opts.stdout` and `opts.stderr`, respectively.
@@ -42,6 +45,12 @@ const cli = function(opts) {
     opts.stdout.write(message + '\n');
   };
 
+  // A command, e.g. "kss serve", is the same as using the boolean option with
+  // the same name, e.g. "kss --serve".
+  if (args.length && commands.indexOf(args[0]) !== -1) {
+    args[0] = '--' + args[0];
+  }
+
   // If the demo is requested, load the settings from its config file.
   if (args.indexOf('--demo') !== -1) {
     // Add the configuration file to the raw arguments list.
@@ -143,7 +152,7 @@ const cli = function(opts) {
     options = yargs(args)
       .options(builder.getOptionDefinitions())
       // Make a --help option available.
-      .usage('Usage: kss [options]')
+      .usage('Usage: kss [' + commands.join('|') + '] [options]')
       .help('help')
       .alias('help', 'h')
       .alias('help', '?')
@@ -0,0 +1,348 @@
+'use strict';
+
+/**
+ * The `kss/lib/coverage` module is normally accessed via the
+ * [`coverage()`]{@link module:kss.coverage} method of the `kss` module:
+ * ```
+ * const kss = require('kss');
+ * kss.coverage(styleGuide).then(report => {});
+ * ```
+ * @private
+ * @module kss/lib/coverage
+ */
+
+const parseSource = require('./parse_source.js'),
+  path = require('path'),
+  Promise = require('bluebird');
+
+/**
+ * Measures how much of the source files of a style guide is documented.
+ *
+ * Each file found by `traverse()` is read and its top-level selectors, mixins
+ * (and functions) and variables are counted. An item is documented if it
+ * directly follows a KSS comment, or if its selectors are modifiers documented
+ * by a section of the same file, e.g. `.button:hover` when the section of
+ * `.button` documents the `:hover` modifier.
+ *
+ * The report has the following properties:
+ * - total: The number of `items` found, the number of `documented` items and
+ *   the `percent` documented.
+ * - directories: An array of objects with a `path` property and the same
+ *   properties as `total`, one for each directory containing source files.
+ * - files: An array of objects with a `path` property, the same properties as
+ *   `total` and an `undocumented` property listing the `{line, type, name}` of
+ *   each undocumented item.
+ *
+ * @alias module:kss.coverage
+ * @param {KssStyleGuide} styleGuide The style guide to measure, as returned by
+ *   `traverse()`.
+ * @returns {Promise.<Object>} A `Promise` object resolving to the coverage
+ *   report.
+ */
+const coverage = function(styleGuide) {
+  // Find the line of the code documented by each section, and the selectors
+  // of its modifiers.
+  let documented = {},
+    modifiers = {};
+  styleGuide.sections().forEach(section => {
+    let sourceFile = section.custom('sourceFile'),
+      source = section.source();
+    if (sourceFile && sourceFile.path && source) {
+      documented[sourceFile.path] = documented[sourceFile.path] || [];
+      documented[sourceFile.path].push(source.line);
+      modifiers[sourceFile.path] = (modifiers[sourceFile.path] || []).concat(modifierSelectors(section));
+    }
+  });
+
+  return Promise.all(
+    styleGuide.meta.files.map(file => {
+      return styleGuide.readFile(file).then(contents => {
+        let lines = contents.replace(/\r\n?/g, '\n').split('\n'),
+          items = findItems(lines),
+          documentedLines = documented[file] || [],
+          documentedModifiers = modifiers[file] || [];
+
+        let isDocumented = item => {
+          return documentedLines.indexOf(item.line) !== -1
+            || item.type === 'selector' && item.name.split(/\s*,\s*/).every(selector => {
+              return documentedModifiers.indexOf(selector) !== -1;
+            });
+        };
+        let result = summarize(items, isDocumented);
+        result.path = file;
+        result.undocumented = items.filter(item => {
+          return !isDocumented(item);
+        });
+        return result;
+      });
+    })
+  ).then(files => {
+    files.sort((a, b) => {
+      return a.path > b.path ? 1 : -1;
+    });
+
+    // Add up the files in each directory.
+    let directories = {};
+    files.forEach(file => {
+      let directory = path.dirname(file.path);
+      directories[directory] = directories[directory] || {path: directory, items: 0, documented: 0};
+      directories[directory].items += file.items;
+      directories[directory].documented += file.documented;
+    });
+
+    let total = {items: 0, documented: 0};
+    files.forEach(file => {
+      total.items += file.items;
+      total.documented += file.documented;
+    });
+
+    return {
+      total: addPercent(total),
+      directories: Object.keys(directories).sort().map(directory => {
+        return addPercent(directories[directory]);
+      }),
+      files: files
+    };
+  });
+};
+
+/**
+ * Formats a coverage report as text.
+ *
+ * @alias module:kss.coverage.text
+ * @param {Object} report The coverage report.
+ * @returns {string} The report as a table, listing each directory and file.
+ */
+coverage.text = function(report) {
+  let rows = [['Documentation coverage', 'Items', 'Coverage']];
+  report.directories.forEach(directory => {
+    rows.push([directory.path + path.sep, directory.documented + '/' + directory.items, directory.percent + '%']);
+    report.files.filter(file => {
+      return path.dirname(file.path) === directory.path;
+    }).forEach(file => {
+      rows.push(['  ' + path.basename(file.path), file.documented + '/' + file.items, file.percent + '%']);
+    });
+  });
+  rows.push(['Total', report.total.documented + '/' + report.total.items, report.total.percent + '%']);
+
+  // Pad each column to the width of its longest cell.
+  let widths = [0, 0, 0];
+  rows.forEach(row => {
+    row.forEach((cell, column) => {
+      widths[column] = Math.max(widths[column], cell.length);
+    });
+  });
+  return rows.map(row => {
+    return pad(row[0], widths[0], true) + '  ' + pad(row[1], widths[1]) + '  ' + pad(row[2], widths[2]);
+  }).join('\n');
+};
+
+/**
+ * Formats a coverage report as an HTML page.
+ *
+ * @alias module:kss.coverage.html
+ * @param {Object} report The coverage report.
+ * @returns {string} The HTML page.
+ */
+coverage.html = function(report) {
+  let row = function(name, result, className) {
+    return '<tr class="' + className + '"><td>' + escapeHTML(name) + '</td>'
+      + '<td>' + result.documented + '/' + result.items + '</td>'
+      + '<td><meter min="0" max="100" value="' + result.percent + '"></meter> ' + result.percent + '%</td></tr>';
+  };
+
+  let rows = [];
+  report.directories.forEach(directory => {
+    rows.push(row(directory.path + path.sep, directory, 'kss-coverage-directory'));
+    report.files.filter(file => {
+      return path.dirname(file.path) === directory.path;
+    }).forEach(file => {
+      let undocumented = file.undocumented.map(item => {
+        return escapeHTML(path.basename(file.path) + ':' + item.line + ' ' + item.name) + ' <small>(' + item.type + ')</small>';
+      });
+      rows.push(row(path.basename(file.path), file, 'kss-coverage-file'));
+      if (undocumented.length) {
+        rows.push('<tr class="kss-coverage-undocumented"><td colspan="3"><ul><li>' + undocumented.join('</li><li>') + '</li></ul></td></tr>');
+      }
+    });
+  });
+  rows.push(row('Total', report.total, 'kss-coverage-total'));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '  <meta charset="utf-8">',
+    '  <meta name="generator" content="kss-node" />',
+    '  <title>Documentation coverage</title>',
+    '  <style>',
+    '    body { font-family: sans-serif; margin: 2em; }',
+    '    table { border-collapse: collapse; }',
+    '    td, th { padding: .25em 1em; text-align: left; }',
+    '    .kss-coverage-directory, .kss-coverage-total { font-weight: bold; }',
+    '    .kss-coverage-file td:first-child { padding-left: 2em; }',
+    '    .kss-coverage-undocumented td { color: #666; padding-left: 3em; }',
+    '  </style>',
+    '</head>',
+    '<body>',
+    '  <h1>Documentation coverage</h1>',
+    '  <table>',
+    '    <thead><tr><th>File</th><th>Items</th><th>Coverage</th></tr></thead>',
+    '    <tbody>',
+    '      ' + rows.join('\n      '),
+    '    </tbody>',
+    '  </table>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Finds the top-level selectors, mixins and variables of a file.
+ *
+ * @private
+ * @param {string[]} lines The lines of the file.
+ * @returns {Object[]} An array of objects with `line`, `type` (`selector`,
+ *   `mixin` or `variable`) and `name` properties.
+ */
+const findItems = function(lines) {
+  let items = [],
+    index = 0;
+
+  while (index < lines.length) {
+    let rules = parseSource.rules(lines, index, lines.length);
+    rules.forEach(rule => {
+      let item = classify(rule);
+      if (item) {
+        items.push(item);
+      }
+    });
+
+    // If the parsing stopped at a stray closing brace, continue after it.
+    index = rules.length ? rules[rules.length - 1].endLine : index + 1;
+  }
+
+  return items;
+};
+
+/**
+ * Determines whether a top-level rule or statement is a selector, a mixin or a
+ * variable.
+ *
+ * @private
+ * @param {Object} rule The rule, as returned by `parseSource()`.
+ * @returns {Object|boolean} An object with `line`, `type` and `name`
+ *   properties, or false if the rule is none of those, e.g. `@media`.
+ */
+const classify = function(rule) {
+  let type,
+    name;
+
+  if (!rule.selectors.length) {
+    // Sass ($name: value), Less (@name: value) and Stylus (name = value)
+    // variables.
+    let match = rule.code.match(/^([$@][\w-]+)\s*:|^([\w-]+)\s*=/);
+    if (match) {
+      type = 'variable';
+      name = match[1] || match[2];
+    }
+  } else {
+    name = rule.selectors.join(', ');
+    if (/^(@mixin|@function|=)/.test(name) || /^\.?[\w-]+\(/.test(name)) {
+      // Sass mixins and functions, and Less and Stylus mixins.
+      type = 'mixin';
+      name = name.replace(/^(@mixin|@function)\s+|^=/, '');
+    } else if (name.charAt(0) !== '@') {
+      type = 'selector';
+    }
+  }
+
+  return type ? {line: rule.line, type: type, name: name} : false;
+};
+
+/**
+ * Returns the selectors of the modifiers documented by a section.
+ *
+ * The modifiers are added to the section's block, the first class selector of
+ * the rule following its KSS comment, e.g. `:hover` becomes `.button:hover`,
+ * while a modifier starting with the block, e.g. `.button--large`, is kept.
+ *
+ * @private
+ * @param {KssSection} section The section.
+ * @returns {string[]} The selectors of the modifiers.
+ */
+const modifierSelectors = function(section) {
+  let block = section.source().selectors.filter(selector => {
+    return /^\.[\w-]+$/.test(selector);
+  })[0];
+  if (!block) {
+    return [];
+  }
+
+  return section.modifiers().map(modifier => {
+    let name = modifier.name().trim();
+    return name.indexOf(block) === 0 ? name : block + name;
+  });
+};
+
+/**
+ * Counts the documented items.
+ *
+ * @private
+ * @param {Object[]} items The items.
+ * @param {Function} isDocumented A function returning whether an item is
+ *   documented.
+ * @returns {Object} An object with `items`, `documented` and `percent`
+ *   properties.
+ */
+const summarize = function(items, isDocumented) {
+  return addPercent({
+    items: items.length,
+    documented: items.filter(isDocumented).length
+  });
+};
+
+/**
+ * Adds the percentage of documented items to a result.
+ *
+ * @private
+ * @param {Object} result An object with `items` and `documented` properties.
+ * @returns {Object} The result, with a `percent` property rounded to one
+ *   decimal place. A result without items is 100% documented.
+ */
+const addPercent = function(result) {
+  result.percent = result.items ? Math.round(result.documented / result.items * 1000) / 10 : 100;
+  return result;
+};
+
+/**
+ * Pads a string with spaces.
+ *
+ * @private
+ * @param {string} text The string.
+ * @param {number} width The width to pad to.
+ * @param {boolean} [right] Whether to add the spaces on the right.
+ * @returns {string} The padded string.
+ */
+const pad = function(text, width, right) {
+  let spaces = new Array(Math.max(width - text.length, 0) + 1).join(' ');
+  return right ? text + spaces : spaces + text;
+};
+
+/**
+ * Escapes the HTML special characters of a string.
+ *
+ * @private
+ * @param {string} text The string.
+ * @returns {string} The escaped string.
+ */
+const escapeHTML = function(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+module.exports = coverage;
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * The `kss/lib/ignore_filter` module is used by the
+ * [`traverse()`]{@link module:kss.traverse} function and by the watcher to
+ * skip the files and directories matching the `ignore` option or a
+ * `.kssignore` file:
+ * ```
+ * const ignoreFilter = require('kss/lib/ignore_filter');
+ * ```
+ * @private
+ * @module kss/lib/ignore_filter
+ */
+
+const minimatch = require('minimatch'),
+  path = require('path'),
+  Promise = require('bluebird');
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+/**
+ * Creates a function telling whether a file or directory of a source directory
+ * is ignored.
+ *
+ * The ignore patterns are globs matched against the path of a file relative to
+ * the source directory, e.g. `vendor/**` or `*.min.css`, like the patterns of a
+ * `.gitignore` file:
+ * - A pattern without a slash, e.g. `*.min.css`, matches the name of a file or
+ *   directory at any depth.
+ * - A pattern starting with a slash, e.g. `/build`, only matches at the root
+ *   of the source directory.
+ * - A pattern ending with a slash, e.g. `node_modules/`, only matches
+ *   directories.
+ * - A pattern ending with `/**` also matches the directory itself, so the
+ *   directory is not traversed at all.
+ * - A pattern starting with `!` includes the files matching it again.
+ *
+ * The patterns of the `.kssignore` file found at the root of the source
+ * directory, if any, are added to the given patterns. The file lists one
+ * pattern per line; blank lines and lines starting with `#` are skipped.
+ *
+ * @param {string} directory The source directory.
+ * @param {string|string[]} [patterns] The ignore patterns.
+ * @returns {Promise.<Function>} A `Promise` object resolving to a function
+ *   given the path of a file (and whether it is a directory) and returning
+ *   whether it is ignored.
+ */
+const ignoreFilter = function(directory, patterns) {
+  patterns = [].concat(patterns || []);
+
+  return fs.readFileAsync(path.join(directory, '.kssignore'), 'utf8').then(contents => {
+    return patterns.concat(contents.split(/\r?\n/).map(line => {
+      return line.trim();
+    }).filter(line => {
+      return line !== '' && line.charAt(0) !== '#';
+    }));
+  }).catch(() => {
+    // The .kssignore file is optional.
+    return patterns;
+  }).then(allPatterns => {
+    return (name, isDirectory) => {
+      let relativePath = path.relative(directory, name).replace(/\\/g, '/'),
+        ignored = false;
+
+      if (relativePath === '' || relativePath.indexOf('../') === 0) {
+        return false;
+      }
+
+      // The last pattern matching the path decides whether it is ignored.
+      for (let pattern of allPatterns) {
+        let negated = pattern.charAt(0) === '!';
+        if (matches(relativePath, negated ? pattern.slice(1) : pattern, isDirectory)) {
+          ignored = !negated;
+        }
+      }
+      return ignored;
+    };
+  });
+};
+
+/**
+ * Checks whether a path matches an ignore pattern.
+ *
+ * @private
+ * @param {string} relativePath The path relative to the source directory.
+ * @param {string} pattern The ignore pattern, without a leading `!`.
+ * @param {boolean} isDirectory Whether the path is a directory.
+ * @returns {boolean} Whether the path matches.
+ */
+const matches = function(relativePath, pattern, isDirectory) {
+  // Patterns with a slash, other than a trailing one, are matched from the
+  // source directory.
+  const options = {dot: true, matchBase: pattern.replace(/\/+$/, '').indexOf('/') === -1};
+  pattern = pattern.replace(/^\.?\//, '');
+
+  if (/\/$/.test(pattern)) {
+    return isDirectory && minimatch(relativePath, pattern.replace(/\/+$/, ''), options);
+  }
+  if (minimatch(relativePath, pattern, options)) {
+    return true;
+  }
+  return isDirectory && /\/\*\*$/.test(pattern) && minimatch(relativePath, pattern.replace(/\/\*\*$/, ''), options);
+};
+
+module.exports = ignoreFilter;
@@ -17,18 +17,27 @@
  * const KssSection    = require('kss').KssSection;
  * const KssModifier   = require('kss').KssModifier;
  * const KssParameter  = require('kss').KssParameter;
+ * const KssWebpackPlugin = require('kss').KssWebpackPlugin;
  *
  * const kss           = require('kss');
  * const traverse      = require('kss').traverse();
  * const parse         = require('kss').parse();
+ * const parseStream   = require('kss').parseStream();
+ * const lint          = require('kss').lint();
+ * const coverage      = require('kss').coverage();
+ * const migrate       = require('kss').migrate();
+ * const changelog     = require('kss').changelog();
+ * const tagParsers    = require('kss').tagParsers;
  * ```
  *
  * The usual style guide build process:
  * - The command-line tool uses `lib/cli` to gather the command line options,
  *   which passes the options to `kss()`.
- * - The `kss()` function takes an object of options and calls `traverse()`.
+ * - The `kss()` function takes an object of options and calls `traverse()`,
+ *   or `parseStream()` if the `files` option is used.
  * - The `traverse()` function reads all the `source` directories and calls
- *   `parse()`.
+ *   `parse()`. The `parseStream()` function collects the in-memory files of
+ *   the `files` option and calls `parse()`.
  * - The `parse()` function finds the KSS comments in the provided text, creates
  *   a JSON object containing all the parsed data and passes it the
  *   `new KssStyleGuide(data)` constructor to create a style guide object.
@@ -41,20 +50,50 @@
  *   has one.)
  * - The builder's `build()` method is run and the style guide files are
  *   created in the specified destination.
+ * - If the `watch` option is used, a `KssWatcher` object watches the `source`
+ *   directories and rebuilds the affected pages when files change.
+ * - If the `serve` option is used, a `KssServer` object also serves the style
+ *   guide over HTTP and reloads the browser after each rebuild.
+ * - If the `lint` option is used, `kss()` calls `lint()` with the parsed style
+ *   guide and reports the problems found instead of building the style guide.
+ * - If the `migrate` option is used, `kss()` parses the classic KSS comments
+ *   and calls `migrate()` to rewrite them instead of building the style guide.
+ * - If the `changelog` option is used, `kss()` calls `changelog()` with the
+ *   parsed style guide and lists the changes of each version instead of
+ *   building the style guide.
+ * - If the `coverage` option is used, `kss()` calls `coverage()` after the
+ *   build and reports how much of the source is documented.
  * @module kss
  */
 
 const KssBuilderBase = require('../builder'),
+  KssServer = require('./kss_server.js'),
+  KssWatcher = require('./kss_watcher.js'),
+  changelog = require('./changelog.js'),
+  coverage = require('./coverage.js'),
+  lint = require('./lint.js'),
+  migrate = require('./migrate.js'),
+  parseStream = require('./parse_stream.js'),
   path = require('path'),
   Promise = require('bluebird'),
+  tagParsers = require('./tag_parsers.js'),
   traverse = require('./traverse.js');
 
+const fs = Promise.promisifyAll(require('fs-extra'));
+
 /**
  * Builds a style guide given the proper options.
  *
+ * Instead of the `source` option, build tools can use the `files` option to
+ * give the files to parse as a stream, an iterable or an async iterable of
+ * Vinyl-like file objects; see
+ * [`parseStream()`]{@link module:kss.parseStream}. The files are only read
+ * once, so the `watch` option still watches the `source` directories.
+ *
  * @param {object} [options] A collection of options.
- * @returns {Promise.<KssStyleGuide|null>} A `Promise` object resolving to a
- *   `KssStyleGuide` object, or to `null` if the clone option is used.
+ * @returns {Promise.<KssStyleGuide|KssWatcher|null>} A `Promise` object
+ *   resolving to a `KssStyleGuide` object, to a `KssWatcher` object if the
+ *   watch or serve option is used, or to `null` if the clone option is used.
  */
 const kss = function(options) {
   options = options || {};
@@ -100,25 +139,147 @@ const kss = function(options) {
     }
 
     // If no source is specified, display helpful error and exit.
-    if (!builder.getOptions('source').length) {
+    if (!builder.getOptions('source').length && !builder.getOptions('files')) {
       return Promise.reject(new Error('No "source" option specified.'));
     }
 
+    // Serving the style guide implies watching it for changes.
+    let server;
+    if (builder.getOptions('serve')) {
+      server = new KssServer(
+        builder.getOptions('destination'),
+        builder.getOptions('port'),
+        builder.getOptions('css').concat(builder.getOptions('js')),
+        builder.getOptions('host')
+      );
+      builder.addOptions({
+        watch: true
+      });
+    }
+
     if (builder.getOptions('verbose')) {
       builder.log('...Parsing your style guide:');
     }
 
-    // Then traverse the source and parse the files found.
-    return traverse(builder.getOptions('source'), {
+    // Builders that do not output HTML can set the markdown option to false
+    // to keep descriptions in their original Markdown format.
+    let traverseOptions = {
       header: true,
-      markdown: true,
+      markdown: builder.getOptions('markdown') !== false,
       markup: true,
       mask: builder.getOptions('mask'),
-      custom: builder.getOptions('custom')
-    }).then(styleGuide => {
+      ignore: builder.getOptions('ignore'),
+      followSymlinks: builder.getOptions('follow-symlinks') !== false,
+      cache: builder.getOptions('cache'),
+      custom: builder.getOptions('custom'),
+      syntax: builder.getOptions('syntax'),
+      duplicates: builder.getOptions('duplicates')
+    };
+
+    // Parse the files given by the files option, or traverse the source.
+    const read = parseOptions => {
+      if (builder.getOptions('files')) {
+        return parseStream(builder.getOptions('files'), parseOptions);
+      }
+      return traverse(builder.getOptions('source'), parseOptions);
+    };
+
+    // If requested, check the documentation for problems instead of building
+    // the style guide.
+    if (builder.getOptions('lint')) {
+      let styleGuide;
+      return read(traverseOptions).then(result => {
+        styleGuide = result;
+        return builder.sourceDirectories();
+      }).then(sourceDirectories => {
+        return lint(styleGuide, {
+          source: sourceDirectories,
+          custom: builder.getOptions('custom')
+        });
+      }).then(problems => {
+        problems.forEach(problem => {
+          builder.log(problem.file + ':' + problem.line + ': ' + problem.message + ' [' + problem.rule + ']');
+        });
+        if (problems.length) {
+          let error = new Error('Found ' + problems.length + ' problem' + (problems.length === 1 ? '' : 's') + ' in the KSS documentation.');
+          error.problems = problems;
+          return Promise.reject(error);
+        }
+        builder.log('No problems found in the KSS documentation.');
+        return Promise.resolve(styleGuide);
+      });
+    }
+
+    // If requested, rewrite the classic KSS comments as docblocks instead of
+    // building the style guide.
+    if (builder.getOptions('migrate')) {
+      let styleGuide,
+        dryRun = builder.getOptions('dry-run'),
+        // Keep the raw values of the custom tags.
+        custom = tagParsers.normalize(builder.getOptions('custom')).map(tag => {
+          return tag.name;
+        });
+      return read(Object.assign({}, traverseOptions, {
+        markdown: false,
+        custom: custom,
+        syntax: 'kss',
+        duplicates: 'warn'
+      })).then(result => {
+        styleGuide = result;
+        return migrate(styleGuide, {
+          destination: builder.getOptions('migrate-destination'),
+          dryRun: dryRun,
+          custom: custom
+        });
+      }).then(files => {
+        let count = 0;
+        files.forEach(file => {
+          count += file.sections;
+          builder.log(dryRun ? file.diff : (file.sections + ' KSS comment' + (file.sections === 1 ? '' : 's') + ' migrated in ' + file.destination));
+        });
+        if (!files.length) {
+          builder.log('No classic KSS comments found.');
+        } else {
+          builder.log((dryRun ? 'Would migrate ' : 'Migrated ') + count + ' KSS comment' + (count === 1 ? '' : 's') + ' in ' + files.length + ' file' + (files.length === 1 ? '' : 's') + '.');
+        }
+        return Promise.resolve(styleGuide);
+      });
+    }
+
+    // If requested, list the changes of each version instead of building the
+    // style guide.
+    if (builder.getOptions('changelog')) {
+      return read(Object.assign({}, traverseOptions, {
+        markdown: false
+      })).then(styleGuide => {
+        let versions = changelog(styleGuide);
+        builder.log(versions.length ? changelog.text(versions) : 'No versions found in the KSS documentation.');
+        return Promise.resolve(styleGuide);
+      });
+    }
+
+    // Then traverse the source and parse the files found.
+    return read(traverseOptions).then(styleGuide => {
+      if (builder.getOptions('duplicates') === 'warn') {
+        styleGuide.duplicates().forEach(duplicate => {
+          builder.log('WARNING: ' + duplicate.message);
+        });
+      }
+
       // Then allow the builder to prepare itself and the KssStyleGuide object.
       return builder.prepare(styleGuide);
     }).then(styleGuide => {
+      // Report the tags that could not be parsed and the links to sections
+      // that are not in the style guide.
+      styleGuide.sections().forEach(section => {
+        section.errors().forEach(error => {
+          builder.log('WARNING: ' + error);
+        });
+      });
+      styleGuide.brokenLinks().forEach(brokenLink => {
+        builder.log('WARNING: ' + brokenLink.message);
+      });
+
       // Then build the style guide.
       return builder.build(styleGuide);
     }).then(styleGuide => {
@@ -126,6 +287,30 @@ const kss = function(options) {
         builder.log('');
       }
       builder.log('Style guide build completed successfully!');
+
+      if (builder.getOptions('coverage')) {
+        return reportCoverage(builder, styleGuide);
+      }
+      return styleGuide;
+    }).then(styleGuide => {
+      // If requested, keep rebuilding the style guide as its files change.
+      if (builder.getOptions('watch')) {
+        let watcher = new KssWatcher(builder, traverseOptions);
+        if (server) {
+          watcher.on('rebuild', () => {
+            server.reload();
+          });
+          watcher.on('close', () => {
+            server.close();
+          });
+          return server.start().then(() => {
+            builder.log('Serving the style guide at ' + server.url());
+            return watcher.start(styleGuide);
+          });
+        }
+        return watcher.start(styleGuide);
+      }
+
       return Promise.resolve(styleGuide);
     });
   }).catch(error => {
@@ -134,10 +319,41 @@ const kss = function(options) {
   });
 };
 
+/**
+ * Logs the documentation coverage of a style guide and saves the coverage
+ * report as JSON and HTML files in the style guide's destination.
+ *
+ * @private
+ * @param {KssBuilderBase} builder The builder.
+ * @param {KssStyleGuide} styleGuide The style guide.
+ * @returns {Promise.<KssStyleGuide>} A `Promise` object resolving to the
+ *   style guide.
+ */
+const reportCoverage = function(builder, styleGuide) {
+  return coverage(styleGuide).then(report => {
+    let destination = builder.getOptions('destination');
+    builder.log('');
+    builder.log(coverage.text(report));
+    return Promise.all([
+      fs.writeFileAsync(path.join(destination, 'coverage.json'), JSON.stringify(report, null, 2)),
+      fs.writeFileAsync(path.join(destination, 'coverage.html'), coverage.html(report))
+    ]);
+  }).then(() => {
+    return styleGuide;
+  });
+};
+
 module.exports = kss;
 module.exports.KssStyleGuide = require('./kss_style_guide.js');
 module.exports.KssSection = require('./kss_section.js');
 module.exports.KssModifier = require('./kss_modifier.js');
 module.exports.KssParameter = require('./kss_parameter.js');
+module.exports.KssWebpackPlugin = require('./kss_webpack_plugin.js');
+module.exports.changelog = changelog;
+module.exports.coverage = coverage;
+module.exports.lint = lint;
+module.exports.migrate = migrate;
 module.exports.parse = require('./parse.js');
+module.exports.parseStream = parseStream;
+module.exports.tagParsers = tagParsers;
 module.exports.traverse = traverse;
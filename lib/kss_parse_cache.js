@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * The `kss/lib/kss_parse_cache` module is used by the
+ * [`traverse()`]{@link module:kss.traverse} function when the `cache` option
+ * is used:
+ * ```
+ * const KssParseCache = require('kss/lib/kss_parse_cache');
+ * ```
+ * @private
+ * @module kss/lib/kss_parse_cache
+ */
+
+const crypto = require('crypto'),
+  Promise = require('bluebird'),
+  version = require('../package.json').version;
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+/**
+ * A KssParseCache object stores the sections parsed from each file, so that
+ * the files that did not change since the last run are not parsed again.
+ *
+ * The sections of a file are keyed by the file's path and by a hash of the
+ * file's contents, the file's source directory and the parsing options that
+ * change the sections: `markdown`, `header`, `syntax` and `custom`. The hash
+ * includes the source of the custom tags' `parse` functions, but not the
+ * variables they use; clear the cache after changing those.
+ *
+ * The values of the sections are stored as JSON, so custom parsers must return
+ * values that can be converted to JSON.
+ */
+class KssParseCache {
+
+  /**
+   * Creates a KssParseCache object.
+   *
+   * @param {string} file The path of the JSON file the cache is stored in.
+   */
+  constructor(file) {
+    this.file = file;
+    this.entries = {};
+    this.usedEntries = {};
+  }
+
+  /**
+   * Reads the cache file.
+   *
+   * A missing or invalid cache file, or one written by another version of kss,
+   * results in an empty cache.
+   *
+   * @returns {Promise.<KssParseCache>} A `Promise` object resolving to the
+   *   `KssParseCache` object.
+   */
+  load() {
+    return fs.readFileAsync(this.file, 'utf8').then(contents => {
+      let data = JSON.parse(contents);
+      this.entries = data && data.version === version && data.files ? data.files : {};
+      return this;
+    }).catch(() => {
+      this.entries = {};
+      return this;
+    });
+  }
+
+  /**
+   * Writes the cache file.
+   *
+   * Only the files that were parsed or found in the cache since the cache was
+   * loaded are kept, so the entries of deleted files are removed.
+   *
+   * @returns {Promise.<KssParseCache>} A `Promise` object resolving to the
+   *   `KssParseCache` object.
+   */
+  save() {
+    this.entries = this.usedEntries;
+    this.usedEntries = {};
+    return fs.outputFileAsync(this.file, JSON.stringify({version: version, files: this.entries})).then(() => {
+      return this;
+    });
+  }
+
+  /**
+   * Gets the sections of a file, if it did not change since it was cached.
+   *
+   * @param {Object} file The file object with `base`, `path` and `contents`
+   *   properties.
+   * @param {Object} options The normalized parsing options.
+   * @returns {Object[]|boolean} The sections parsed from the file, or `false`
+   *   if the file is not in the cache.
+   */
+  get(file, options) {
+    let entry = file.path ? this.entries[file.path] : false;
+    if (!entry || entry.hash !== this.hash(file, options)) {
+      return false;
+    }
+    this.usedEntries[file.path] = entry;
+    return JSON.parse(JSON.stringify(entry.sections));
+  }
+
+  /**
+   * Stores the sections of a file.
+   *
+   * @param {Object} file The file object with `base`, `path` and `contents`
+   *   properties.
+   * @param {Object} options The normalized parsing options.
+   * @param {Object[]} sections The sections parsed from the file.
+   * @returns {KssParseCache} The `KssParseCache` object is returned to allow
+   *   chaining of methods.
+   */
+  set(file, options, sections) {
+    if (file.path) {
+      this.entries[file.path] = this.usedEntries[file.path] = {
+        hash: this.hash(file, options),
+        sections: JSON.parse(JSON.stringify(sections))
+      };
+    }
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Computes the hash of a file's contents and of the parsing options.
+   *
+   * @param {Object} file The file object with `base`, `path` and `contents`
+   *   properties.
+   * @param {Object} options The normalized parsing options.
+   * @returns {string} The hash.
+   */
+  hash(file, options) {
+    let key = JSON.stringify({
+      base: file.base || '',
+      markdown: options.markdown,
+      header: options.header,
+      syntax: options.syntax,
+      custom: options.custom
+    }, (name, value) => {
+      // Include the source of functions and regular expressions.
+      return typeof value === 'function' || value instanceof RegExp ? value.toString() : value;
+    });
+
+    return crypto.createHash('sha1').update(key).update('\n').update(file.contents).digest('hex');
+  }
+}
+
+module.exports = KssParseCache;
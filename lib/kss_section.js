@@ -3,6 +3,9 @@
 const KssModifier = require('./kss_modifier'),
   KssParameter = require('./kss_parameter');
 
+// The lifecycle statuses of a section, in order.
+const statuses = ['draft', 'experimental', 'stable', 'deprecated', 'removed'];
+
 /**
  * The `kss/lib/kss_section` module is normally accessed via the
  * [`KssSection()`]{@link module:kss.KssSection} class of the `kss` module:
@@ -43,6 +46,7 @@ class KssSection {
     this.meta = {
       styleGuide: data.styleGuide || null,
       raw: data.raw || '',
+      errors: data.errors || [],
       customPropertyNames: [],
       depth: data.depth || 0
     };
@@ -52,11 +56,20 @@ class KssSection {
       description: '',
       deprecated: false,
       experimental: false,
+      status: {
+        name: 'stable',
+        message: '',
+        since: '',
+        replacement: ''
+      },
+      since: '',
+      see: [],
       reference: '',
       referenceNumber: '',
       referenceURI: '',
       weight: 0,
       markup: '',
+      source: false,
       modifiers: [],
       parameters: []
     };
@@ -89,11 +102,15 @@ class KssSection {
       description: this.description(),
       deprecated: this.deprecated(),
       experimental: this.experimental(),
+      status: Object.assign({}, this.status()),
+      since: this.since(),
+      see: this.see().slice(),
       reference: this.reference(),
       referenceNumber: this.referenceNumber(),
       referenceURI: this.referenceURI(),
       weight: this.weight(),
       markup: this.markup(),
+      source: this.source(),
       // Include meta as well.
       depth: this.depth()
     };
@@ -230,6 +247,10 @@ class KssSection {
    * If the `deprecated` value is provided, the `deprecated` flag for this section
    * is set. Otherwise, the `deprecated` flag for the section is returned.
    *
+   * A section is deprecated if its status is `deprecated` or `removed`.
+   * Setting the flag also changes the status to `deprecated` or, if the flag
+   * is removed, to `stable`.
+   *
    * @param {boolean} [deprecated] Optional. The deprecated flag for the section.
    * @returns {KssSection|boolean} If `deprecated` is given, the `KssSection`
    *   object is returned to allow chaining of methods. Otherwise, the deprecated
@@ -240,7 +261,10 @@ class KssSection {
       return this.data.deprecated;
     }
 
-    this.data.deprecated = !!deprecated;
+    deprecated = !!deprecated;
+    if (deprecated !== this.data.deprecated) {
+      this.status(Object.assign({}, this.data.status, {name: deprecated ? 'deprecated' : 'stable'}));
+    }
     // Allow chaining.
     return this;
   }
@@ -249,7 +273,12 @@ class KssSection {
    * Gets or sets the experimental flag for the section.
    *
    * If the `experimental` value is provided, the `experimental` flag for this
-   * section is set. Otherwise, the `deprecated` flag for the section is returned.
+   * section is set. Otherwise, the `experimental` flag for the section is
+   * returned.
+   *
+   * A section is experimental if its status is `experimental`. Setting the
+   * flag also changes the status to `experimental` or, if the flag is removed,
+   * to `stable`.
    *
    * @param {boolean} [experimental] Optional. The experimental flag for the
    *   section.
@@ -262,7 +291,98 @@ class KssSection {
       return this.data.experimental;
     }
 
-    this.data.experimental = !!experimental;
+    experimental = !!experimental;
+    if (experimental !== this.data.experimental) {
+      this.status(Object.assign({}, this.data.status, {name: experimental ? 'experimental' : 'stable'}));
+    }
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Gets or sets the lifecycle status of the section.
+   *
+   * If the `status` value is provided, the status of the section is set.
+   * Otherwise, the status of the section is returned.
+   *
+   * The status is an object with the following properties:
+   * - name: One of `draft`, `experimental`, `stable` (the default),
+   *   `deprecated` or `removed`.
+   * - message: A description of the status, e.g. what to use instead of a
+   *   deprecated component.
+   * - since: The version since which the section has had the status.
+   * - replacement: The reference of the section replacing this one.
+   *
+   * Setting the status also sets the `deprecated` and `experimental` flags.
+   *
+   * @param {Object|string} [status] Optional. The status of the section, or
+   *   the name of the status.
+   * @returns {KssSection|Object} If `status` is given, the `KssSection` object
+   *   is returned to allow chaining of methods. Otherwise, the status of the
+   *   section is returned.
+   */
+  status(status) {
+    if (typeof status === 'undefined') {
+      return this.data.status;
+    }
+
+    if (typeof status === 'string') {
+      status = {name: status};
+    }
+    if (KssSection.statuses.indexOf(status.name) === -1) {
+      throw new Error('Invalid status "' + status.name + '"; it must be one of: ' + KssSection.statuses.join(', ') + '.');
+    }
+    this.data.status = {
+      name: status.name,
+      message: status.message || '',
+      since: status.since || '',
+      replacement: status.replacement || ''
+    };
+    this.data.deprecated = status.name === 'deprecated' || status.name === 'removed';
+    this.data.experimental = status.name === 'experimental';
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Gets or sets the version in which the section first appeared.
+   *
+   * If the `since` value is provided, the version of the section is set.
+   * Otherwise, the version of the section is returned.
+   *
+   * @param {string} [since] Optional. The version, e.g. `2.1`.
+   * @returns {KssSection|string} If `since` is given, the `KssSection` object
+   *   is returned to allow chaining of methods. Otherwise, the version of the
+   *   section is returned.
+   */
+  since(since) {
+    if (typeof since === 'undefined') {
+      return this.data.since;
+    }
+
+    this.data.since = since.toString();
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Gets or sets the references of the sections related to the section.
+   *
+   * If the `see` value is provided, the related references of the section are
+   * set. Otherwise, the related references of the section are returned.
+   *
+   * @param {string|string[]} [see] Optional. The reference, or an array of
+   *   references, of the related sections.
+   * @returns {KssSection|string[]} If `see` is given, the `KssSection` object
+   *   is returned to allow chaining of methods. Otherwise, the related
+   *   references of the section are returned.
+   */
+  see(see) {
+    if (typeof see === 'undefined') {
+      return this.data.see;
+    }
+
+    this.data.see = [].concat(see);
     // Allow chaining.
     return this;
   }
@@ -400,6 +520,18 @@ class KssSection {
     return this;
   }
 
+  /**
+   * Returns the errors found in the section's KSS comment.
+   *
+   * `parse()` ignores the value of a tag it cannot parse, e.g. an unknown
+   * `@status`, and records a description of the error instead.
+   *
+   * @returns {string[]} The error messages.
+   */
+  errors() {
+    return this.meta.errors;
+  }
+
   /**
    * Gets or sets the markup of the section.
    *
@@ -421,6 +553,36 @@ class KssSection {
     return this;
   }
 
+  /**
+   * Gets or sets the source code documented by the section.
+   *
+   * If the `source` value is provided, the `source` for this section is set.
+   * Otherwise, the `source` of the section is returned.
+   *
+   * The source is an object with the following properties:
+   * - code: The CSS code following the section's KSS comment.
+   * - line: The line number of the start of the code.
+   * - endLine: The line number of the end of the code.
+   * - selectors: The selectors of the rule, or the signature of the mixin.
+   * - declarations: An array of `{property, value}` objects.
+   * - rules: An array of nested rules, each with `selectors`, `declarations`
+   *   and `rules` properties.
+   *
+   * @param {Object} [source] Optional. The source code of the section.
+   * @returns {KssSection|Object|boolean} If `source` is given, the `KssSection`
+   *   object is returned to allow chaining of methods. Otherwise, the source of
+   *   the section is returned, or `false` if none.
+   */
+  source(source) {
+    if (typeof source === 'undefined') {
+      return this.data.source;
+    }
+
+    this.data.source = source;
+    // Allow chaining.
+    return this;
+  }
+
   /**
    * Gets or adds nested objects of the section.
    *
@@ -524,4 +686,11 @@ class KssSection {
   }
 }
 
+/**
+ * The lifecycle statuses a section can have, from `draft` to `removed`.
+ *
+ * @type {string[]}
+ */
+KssSection.statuses = statuses;
+
 module.exports = KssSection;
@@ -0,0 +1,305 @@
+'use strict';
+
+/**
+ * The `kss/lib/kss_server` module is used by the
+ * [`kss()`]{@link module:kss} function when the `serve` option is used:
+ * ```
+ * const KssServer = require('kss/lib/kss_server');
+ * ```
+ * @private
+ * @module kss/lib/kss_server
+ */
+
+const http = require('http'),
+  path = require('path'),
+  Promise = require('bluebird'),
+  url = require('url');
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+const contentTypes = {
+  '.css': 'text/css',
+  '.gif': 'image/gif',
+  '.html': 'text/html',
+  '.jpg': 'image/jpeg',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.woff': 'font/woff'
+};
+
+// The script added to each page so the browser reloads after a rebuild.
+const liveReloadScript = [
+  '(function() {',
+  '  if (!window.EventSource) {',
+  '    return;',
+  '  }',
+  '  var source = new EventSource(\'/kss-live-reload\');',
+  '  source.onmessage = function() {',
+  '    window.location.reload();',
+  '  };',
+  '})();',
+  ''
+].join('\n');
+
+/**
+ * A KssServer object serves a built style guide over HTTP and tells the
+ * browsers viewing it to reload whenever the style guide is rebuilt.
+ */
+class KssServer {
+
+  /**
+   * Creates a KssServer object.
+   *
+   * The style guide's CSS and JavaScript files are often outside of the
+   * style guide's destination, e.g. `../styles.css`. Given the URLs of those
+   * files, the server also serves the directory of each file at the URL the
+   * style guide's pages use for it, without serving the directories above the
+   * destination.
+   *
+   * @param {string} destination The directory of the built style guide.
+   * @param {number} [port] Optional. The port to listen on. Use `0` to let the
+   *   operating system choose a free port. Defaults to `8080`.
+   * @param {string[]} [assets] Optional. The URLs of the CSS and JavaScript
+   *   files used by the style guide.
+   * @param {string} [host] Optional. The host name or IP address to listen
+   *   on. Defaults to `localhost`, so the style guide is not served to other
+   *   computers.
+   */
+  constructor(destination, port, assets, host) {
+    this.destination = path.resolve(destination);
+    this.root = this.destination;
+    this.port = (typeof port === 'undefined') ? 8080 : port;
+    this.host = host || 'localhost';
+    this.server = null;
+    this.clients = [];
+
+    // The files and directories served at URLs outside of the destination,
+    // keyed by URL path.
+    this.files = {};
+    this.directories = {};
+    (assets || []).forEach(asset => {
+      let pathname = url.parse(asset).pathname;
+      if (!pathname || asset.match(/^([a-z]+:)?\/\//i) || asset.charAt(0) === '/') {
+        return;
+      }
+      let assetPath = path.resolve(this.destination, pathname);
+      if (assetPath.indexOf(this.destination + path.sep) === 0) {
+        return;
+      }
+
+      // The pages of the style guide are at the root of the server, so the
+      // browser resolves the URL from there.
+      let assetURL = url.resolve('/', pathname),
+        directory = path.dirname(assetPath);
+      if (this.destination.indexOf(directory + path.sep) === 0) {
+        // Only serve the file of a directory containing the destination.
+        this.files[assetURL] = assetPath;
+      } else {
+        this.directories[assetURL.replace(/[^/]*$/, '')] = directory;
+      }
+    });
+  }
+
+  /**
+   * The URL of the script that makes a page reload after each rebuild.
+   *
+   * The script is added to the HTML pages served by the server, not to the
+   * files of the style guide, so the deployed style guide does not use it.
+   *
+   * @returns {string} The URL of the live reload script.
+   */
+  static liveReloadURL() {
+    return '/kss-live-reload.js';
+  }
+
+  /**
+   * Starts the HTTP server.
+   *
+   * @returns {Promise.<KssServer>} A `Promise` object resolving to the
+   *   `KssServer` object once the server is listening.
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((request, response) => {
+        this.handleRequest(request, response);
+      });
+      this.server.on('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Returns the URL of the style guide's homepage.
+   *
+   * @returns {string} The URL of the server.
+   */
+  url() {
+    let host = (this.host === '0.0.0.0' || this.host === '::') ? 'localhost' : this.host;
+    if (host.indexOf(':') !== -1) {
+      host = '[' + host + ']';
+    }
+    return 'http://' + host + ':' + this.port + '/';
+  }
+
+  /**
+   * Tells all connected browsers to reload the current page.
+   *
+   * @returns {KssServer} The `KssServer` object is returned to allow chaining
+   *   of methods.
+   */
+  reload() {
+    this.clients.forEach(response => {
+      response.write('data: reload\n\n');
+    });
+
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Disconnects all browsers and stops the HTTP server.
+   *
+   * @returns {Promise} A `Promise` object resolving once the server is closed.
+   */
+  close() {
+    this.clients.forEach(response => {
+      response.end();
+    });
+    this.clients = [];
+
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.server.close(() => {
+        resolve();
+      });
+      this.server = null;
+    });
+  }
+
+  /**
+   * Responds to an HTTP request.
+   *
+   * @private
+   * @param {http.IncomingMessage} request The HTTP request.
+   * @param {http.ServerResponse} response The HTTP response.
+   */
+  handleRequest(request, response) {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.parse(request.url).pathname);
+    } catch (error) {
+      // The URL is malformed, e.g. "/%E0%A4%A".
+      response.writeHead(400, {'Content-Type': 'text/plain'});
+      response.end('Bad request');
+      return;
+    }
+
+    // Serve the live reload script.
+    if (pathname === KssServer.liveReloadURL()) {
+      response.writeHead(200, {'Content-Type': contentTypes['.js']});
+      response.end(liveReloadScript);
+      return;
+    }
+
+    // Keep the connection open with browsers listening for rebuilds.
+    if (pathname === '/kss-live-reload') {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      response.write('\n');
+      this.clients.push(response);
+      request.on('close', () => {
+        this.clients.splice(this.clients.indexOf(response), 1);
+      });
+      return;
+    }
+
+    let file = this.resolvePath(pathname);
+    if (!file) {
+      this.sendNotFound(response);
+      return;
+    }
+
+    fs.statAsync(file).then(stat => {
+      if (stat.isDirectory()) {
+        file = path.join(file, 'index.html');
+      }
+      return fs.readFileAsync(file);
+    }).then(contents => {
+      if (path.extname(file) === '.html') {
+        contents = addLiveReloadScript(contents.toString('utf8'));
+      }
+      response.writeHead(200, {
+        'Content-Type': contentTypes[path.extname(file)] || 'application/octet-stream'
+      });
+      response.end(contents);
+    }).catch(() => {
+      this.sendNotFound(response);
+    });
+  }
+
+  /**
+   * Finds the file served at a URL path.
+   *
+   * @private
+   * @param {string} pathname The decoded path of the URL.
+   * @returns {string|boolean} The path of the file, or `false` if the URL is
+   *   outside of the served directories.
+   */
+  resolvePath(pathname) {
+    if (this.files[pathname]) {
+      return this.files[pathname];
+    }
+
+    // Use the longest URL prefix of the asset directories, or the destination.
+    let prefix = Object.keys(this.directories).filter(directoryURL => {
+        return pathname.indexOf(directoryURL) === 0;
+      }).sort((a, b) => {
+        return b.length - a.length;
+      })[0],
+      root = prefix ? this.directories[prefix] : this.root,
+      file = path.join(root, prefix ? pathname.slice(prefix.length) : pathname);
+
+    // Do not serve files outside of the served directory.
+    if (file !== root && file.indexOf(root + path.sep) !== 0) {
+      return false;
+    }
+    return file;
+  }
+
+  /**
+   * Responds with a "404 Not Found" error.
+   *
+   * @private
+   * @param {http.ServerResponse} response The HTTP response.
+   */
+  sendNotFound(response) {
+    response.writeHead(404, {'Content-Type': 'text/plain'});
+    response.end('Not found');
+  }
+}
+
+/**
+ * Adds the live reload script to an HTML page.
+ *
+ * @private
+ * @param {string} html The HTML of the page.
+ * @returns {string} The HTML with the script added before the end of the body.
+ */
+const addLiveReloadScript = function(html) {
+  let script = '<script src="' + KssServer.liveReloadURL() + '"></script>\n',
+    index = html.lastIndexOf('</body>');
+  return index === -1 ? html + script : html.slice(0, index) + script + html.slice(index);
+};
+
+module.exports = KssServer;
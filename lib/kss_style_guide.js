@@ -1,6 +1,16 @@
 'use strict';
 
-const KssSection = require('./kss_section');
+const KssSection = require('./kss_section'),
+  Promise = require('bluebird');
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+// The values allowed for the "duplicates" option.
+const duplicatePolicies = ['warn', 'error', 'merge', 'keep-first'];
+
+// An inline link to a section, e.g. "{@link 2.1.3}" or
+// "{@link forms.button|the buttons}".
+const linkPattern = /{@link\s+([^}|]+?)\s*(?:\|\s*([^}]*?)\s*)?}/g;
 
 /**
  * The `kss/lib/kss_styleguide` module is normally accessed via the
@@ -31,14 +41,33 @@ class KssStyleGuide {
    * If passed an object, it will add `autoInit`, `customPropertyNames`, and
    * `sections` properties.
    *
+   * The `duplicates` property of the object sets how a section is handled when
+   * its reference is the same as the reference of a section already in the
+   * style guide:
+   * - `warn` (the default): the duplicate is ignored, keeping the first
+   *   section, and is recorded in `duplicates()` so it can be reported.
+   * - `error`: an error is thrown.
+   * - `merge`: the duplicate's properties are merged into the first section.
+   * - `keep-first`: like `warn`, but `kss()` does not log a warning.
+   *
+   * The `files` property lists the paths of the parsed files, and the
+   * `fileContents` property maps each path to the file's contents.
+   *
    * @param {Object} [data] An object of data.
    */
   constructor(data) {
     data = data || {};
 
+    if (data.duplicates && duplicatePolicies.indexOf(data.duplicates) === -1) {
+      throw new Error('Invalid duplicates option "' + data.duplicates + '"; it must be one of: ' + duplicatePolicies.join(', ') + '.');
+    }
+
     this.meta = {
       autoInit: false,
+      duplicatePolicy: data.duplicates || 'warn',
+      duplicates: [],
       files: data.files || [],
+      fileContents: data.fileContents || {},
       hasNumericReferences: true,
       needsDepth: false,
       needsReferenceNumber: false,
@@ -268,6 +297,106 @@ class KssStyleGuide {
     return this;
   }
 
+  /**
+   * Returns the duplicate section references found while adding sections.
+   *
+   * Each duplicate is an object with the following properties:
+   * - reference: The duplicated reference.
+   * - original: The `sourceFile` of the first section with the reference.
+   * - duplicate: The `sourceFile` of the duplicate section.
+   * - message: A description of the duplicate, including both locations.
+   *
+   * @returns {Object[]} An array of duplicates.
+   */
+  duplicates() {
+    return this.meta.duplicates;
+  }
+
+  /**
+   * Reads a file the style guide was parsed from.
+   *
+   * The contents given to the parser are used, so files given in memory to
+   * `parseStream()` can be checked by `lint()`, `coverage()` and `migrate()`.
+   * Other files are read from the disk.
+   *
+   * @param {string} file The full path to the file.
+   * @returns {Promise.<string>} A `Promise` object resolving to the contents of
+   *   the file.
+   */
+  readFile(file) {
+    if (this.meta.fileContents.hasOwnProperty(file)) {
+      return Promise.resolve(this.meta.fileContents[file]);
+    }
+    return fs.readFileAsync(file, 'utf8');
+  }
+
+  /**
+   * Replaces the inline links to sections found in a text.
+   *
+   * An inline link is written `{@link reference}` or, to give the link a text,
+   * `{@link reference|text}`. The replacer function is given the linked
+   * `KssSection` (or false if there is no section with the reference), the
+   * reference and the text of the link (or an empty string), and returns the
+   * replacement of the link.
+   *
+   * @param {string} text The text containing the links.
+   * @param {Function} replacer The function returning each link's replacement.
+   * @returns {string} The text with the links replaced.
+   */
+  replaceLinks(text, replacer) {
+    return text.replace(linkPattern, (match, reference, label) => {
+      return replacer(this.meta.referenceMap[reference] || false, reference, label || '');
+    });
+  }
+
+  /**
+   * Returns the links to sections that are not in the style guide.
+   *
+   * The links are the inline links in the descriptions of the sections and of
+   * their modifiers and parameters, the related references given by `@see`
+   * tags and the replacements of their status.
+   *
+   * Each broken link is an object with the following properties:
+   * - section: The `KssSection` containing the link.
+   * - reference: The reference of the missing section.
+   * - message: A description of the broken link, including its location.
+   *
+   * @returns {Object[]} An array of broken links.
+   */
+  brokenLinks() {
+    let brokenLinks = [];
+
+    this.data.sections.forEach(section => {
+      let references = section.see().slice(),
+        texts = [section.description()];
+      if (section.status().replacement) {
+        references.push(section.status().replacement);
+      }
+      section.modifiers().concat(section.parameters()).forEach(item => {
+        texts.push(item.description());
+      });
+      texts.forEach(text => {
+        this.replaceLinks(text, (linked, reference) => {
+          references.push(reference);
+          return '';
+        });
+      });
+
+      references.filter((reference, index) => {
+        return !this.meta.referenceMap[reference] && references.indexOf(reference) === index;
+      }).forEach(reference => {
+        brokenLinks.push({
+          section: section,
+          reference: reference,
+          message: 'Section "' + section.reference() + '" at ' + location(section.custom('sourceFile') || {})
+            + ' links to the unknown section "' + reference + '".'
+        });
+      });
+    });
+
+    return brokenLinks;
+  }
+
   /**
    * Returns whether the style guide has numeric references or not.
    *
@@ -304,20 +433,51 @@ class KssStyleGuide {
    * Or Regular Expressions:
    * - `sections(/2\.[1-5]/)` returns Sections 2.1 through to 2.5.
    *
+   * The sections found can be filtered with an object of conditions:
+   * - `sections('2.*', {status: 'deprecated'})` returns the deprecated
+   *   sections among Section 2 and its descendants.
+   * - `sections('*', {status: ['draft', 'experimental']})` returns the
+   *   sections with either status.
+   * - `sections('*', {deprecated: true, file: 'forms/'})` returns the
+   *   deprecated sections documented in the files of the `forms` directory.
+   * - `sections(undefined, {status: 'deprecated'})` returns the deprecated
+   *   sections too.
+   *
+   * A section must match all of the filter's conditions:
+   * - status: The name of the section's status, or an array of names.
+   * - text: A string found in the header or the description of the section
+   *   (ignoring case), or a RegExp matching either of them.
+   * - header, description: A string found in the header (or description) of
+   *   the section (ignoring case), or a RegExp matching it.
+   * - custom: An object whose keys are names of custom properties. A value of
+   *   `true` (or `false`) requires the property to be set (or not); a RegExp
+   *   must match the property's value; any other value must be equal to it. If
+   *   the property is an array, one of its items must match.
+   * - deprecated, experimental: Whether the section has the flag.
+   * - depth: The depth of the section, or an object with a `min` and/or a
+   *   `max` depth.
+   * - file: The path of the section's file, relative to its source directory,
+   *   or of a directory containing it, e.g. `forms/`; or a RegExp matching
+   *   that path.
+   * - markup, modifiers, parameters: Whether the section has markup (or
+   *   modifiers, or parameters).
+   *
    * @param {Object|Object[]|string|RegExp} [sections] Optional. A section object
    *   or array of secction objects to add to the style guide. Or a string or
    *   Regexp object to match a KssSection's style guide reference.
+   * @param {Object} [filter] Optional. The conditions the sections found must
+   *   match; see above.
    * @returns {KssStyleGuide|KssSection|KssSection[]|boolean} If `sections` is
    *   given, the `KssStyleGuide` object is returned to allow chaining of methods.
    *   Otherwise, the exact KssSection requested, an array of KssSection objects
    *   matching the query, or false is returned.
    */
-  sections(sections) {
+  sections(sections, filter) {
     let query,
       matchedSections = [];
 
     if (typeof sections === 'undefined') {
-      return this.data.sections;
+      return filter ? filterSections(this.data.sections, filter) : this.data.sections;
     }
 
     // If we are given an object, assign the properties.
@@ -332,6 +492,29 @@ class KssStyleGuide {
           section = new KssSection(section);
         }
 
+        // Check if a section with the same reference was already added.
+        let original = this.meta.referenceMap[section.reference()];
+        if (original) {
+          let duplicate = {
+            reference: section.reference(),
+            original: original.custom('sourceFile') || {},
+            duplicate: section.custom('sourceFile') || {}
+          };
+          duplicate.message = 'Duplicate section reference "' + duplicate.reference + '" at '
+            + location(duplicate.duplicate) + '; it is already defined at ' + location(duplicate.original) + '.';
+
+          if (this.meta.duplicatePolicy === 'error') {
+            throw new Error(duplicate.message);
+          }
+          this.meta.duplicates.push(duplicate);
+
+          if (this.meta.duplicatePolicy === 'merge') {
+            mergeSections(original, section);
+            this.meta.weightMap[original.reference().toLowerCase()] = original.weight();
+          }
+          return;
+        }
+
         // Set the style guide for each section.
         section.styleGuide(this);
 
@@ -382,7 +565,7 @@ class KssStyleGuide {
       // If the query is '*', 'x', or ends with '.*', ' - *', '.x', or ' - x',
       // then it is not an exact query.
       if (!(/(^[x\*]$|\s\-\s[x\*]$|\.[x\*]$)/.test(query))) {
-        if (this.meta.referenceMap[query]) {
+        if (this.meta.referenceMap[query] && (!filter || filterSections([this.meta.referenceMap[query]], filter).length)) {
           return this.meta.referenceMap[query];
         } else {
           return false;
@@ -421,8 +604,187 @@ class KssStyleGuide {
       }
     }
 
-    return matchedSections;
+    return filter ? filterSections(matchedSections, filter) : matchedSections;
   }
 }
 
+/**
+ * Returns the sections matching the conditions of a filter.
+ *
+ * @private
+ * @param {KssSection[]} sections The sections to filter.
+ * @param {Object} filter The conditions; see `KssStyleGuide.sections()`.
+ * @returns {KssSection[]} The sections matching all the conditions.
+ */
+const filterSections = function(sections, filter) {
+  let conditions = Object.keys(filter);
+  conditions.forEach(condition => {
+    if (!filters[condition]) {
+      throw new Error('Invalid filter "' + condition + '"; it must be one of: ' + Object.keys(filters).join(', ') + '.');
+    }
+  });
+
+  return sections.filter(section => {
+    return conditions.every(condition => {
+      return filters[condition](section, filter[condition]);
+    });
+  });
+};
+
+/**
+ * The conditions of a filter. Each condition is given a section and the
+ * condition's value and returns whether the section matches.
+ *
+ * @private
+ */
+const filters = {
+  status: (section, value) => {
+    return [].concat(value).indexOf(section.status().name) !== -1;
+  },
+  text: (section, value) => {
+    return matchesText(section.header(), value) || matchesText(section.description(), value);
+  },
+  header: (section, value) => {
+    return matchesText(section.header(), value);
+  },
+  description: (section, value) => {
+    return matchesText(section.description(), value);
+  },
+  custom: (section, value) => {
+    return Object.keys(value).every(name => {
+      return matchesValue(section.custom(name), value[name]);
+    });
+  },
+  deprecated: (section, value) => {
+    return section.deprecated() === !!value;
+  },
+  experimental: (section, value) => {
+    return section.experimental() === !!value;
+  },
+  depth: (section, value) => {
+    if (typeof value === 'number') {
+      return section.depth() === value;
+    }
+    return (typeof value.min === 'undefined' || section.depth() >= value.min)
+      && (typeof value.max === 'undefined' || section.depth() <= value.max);
+  },
+  file: (section, value) => {
+    let sourceFile = section.custom('sourceFile'),
+      name = sourceFile && sourceFile.name ? sourceFile.name : '';
+    if (value instanceof RegExp) {
+      return value.test(name);
+    }
+    return name !== '' && (name === value || name.indexOf(value.replace(/\/?$/, '/')) === 0);
+  },
+  markup: (section, value) => {
+    return !!section.markup() === !!value;
+  },
+  modifiers: (section, value) => {
+    return !!section.modifiers().length === !!value;
+  },
+  parameters: (section, value) => {
+    return !!section.parameters().length === !!value;
+  }
+};
+
+/**
+ * Checks whether a text contains a string, ignoring case, or matches a RegExp.
+ *
+ * @private
+ * @param {string} text The text.
+ * @param {string|RegExp} value The string or RegExp.
+ * @returns {boolean} Whether the text matches.
+ */
+const matchesText = function(text, value) {
+  if (value instanceof RegExp) {
+    return value.test(text);
+  }
+  return text.toLowerCase().indexOf(value.toLowerCase()) !== -1;
+};
+
+/**
+ * Checks whether the value of a custom property matches the value of a
+ * filter's `custom` condition.
+ *
+ * @private
+ * @param {*} actual The value of the custom property.
+ * @param {*} expected The value of the condition.
+ * @returns {boolean} Whether the value matches.
+ */
+const matchesValue = function(actual, expected) {
+  if (typeof expected === 'boolean') {
+    let isSet = typeof actual !== 'undefined' && actual !== null && actual !== '' && actual !== false
+      && !(actual instanceof Array && !actual.length);
+    return isSet === expected;
+  }
+  if (actual instanceof Array) {
+    return actual.some(item => {
+      return matchesValue(item, expected);
+    });
+  }
+  if (expected instanceof RegExp) {
+    return typeof actual !== 'undefined' && expected.test(String(actual));
+  }
+  return actual === expected;
+};
+
+/**
+ * Returns the location of a section's source as "file:line".
+ *
+ * @private
+ * @param {Object} sourceFile The `sourceFile` property of a section.
+ * @returns {string} The location.
+ */
+const location = function(sourceFile) {
+  if (!sourceFile.line) {
+    return 'an unknown location';
+  }
+  return sourceFile.path ? sourceFile.path + ':' + sourceFile.line : 'line ' + sourceFile.line;
+};
+
+/**
+ * Merges the properties of a duplicate section into the original section.
+ *
+ * Text properties of the original section are only replaced if they are empty,
+ * except for the description, which is appended, and the status, which is
+ * only replaced if it is `stable`. Modifiers, parameters and related
+ * references are added to the original section.
+ *
+ * @private
+ * @param {KssSection} original The first section with the reference.
+ * @param {KssSection} duplicate The duplicate section.
+ */
+const mergeSections = function(original, duplicate) {
+  if (!original.header()) {
+    original.header(duplicate.header());
+  }
+  if (duplicate.description()) {
+    original.description(original.description() ? original.description() + '\n' + duplicate.description() : duplicate.description());
+  }
+  if (!original.markup()) {
+    original.markup(duplicate.markup());
+  }
+  if (!original.weight()) {
+    original.weight(duplicate.weight());
+  }
+  if (original.status().name === 'stable') {
+    original.status(duplicate.status());
+  }
+  if (!original.since()) {
+    original.since(duplicate.since());
+  }
+  original
+    .see(original.see().concat(duplicate.see().filter(reference => {
+      return original.see().indexOf(reference) === -1;
+    })))
+    .modifiers(duplicate.modifiers())
+    .parameters(duplicate.parameters());
+
+  duplicate.customPropertyNames().forEach(name => {
+    if (!original.custom(name)) {
+      original.custom(name, duplicate.custom(name));
+    }
+  });
+};
+
 module.exports = KssStyleGuide;
@@ -0,0 +1,448 @@
+'use strict';
+
+/**
+ * The `kss/lib/kss_watcher` module is used by the
+ * [`kss()`]{@link module:kss} function when the `watch` option is used:
+ * ```
+ * const KssWatcher = require('kss/lib/kss_watcher');
+ * ```
+ * @private
+ * @module kss/lib/kss_watcher
+ */
+
+const EventEmitter = require('events'),
+  KssStyleGuide = require('./kss_style_guide.js'),
+  hasMagic = require('glob').hasMagic,
+  ignoreFilter = require('./ignore_filter.js'),
+  minimatch = require('minimatch'),
+  parse = require('./parse.js'),
+  path = require('path'),
+  Promise = require('bluebird'),
+  statItem = require('./traverse.js').statItem;
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+/**
+ * A KssWatcher object watches the source directories of a style guide, and the
+ * directories of its builder and of the builder's `extend` option, and rebuilds
+ * the parts of the style guide affected by each change.
+ *
+ * After each rebuild, the watcher emits a `rebuild` event with an object
+ * containing the `files` that changed and the `styleGuide` that was built.
+ */
+class KssWatcher extends EventEmitter {
+
+  /**
+   * Creates a KssWatcher object.
+   *
+   * @param {KssBuilderBase} builder The builder used to build the style guide.
+   * @param {Object} options The options given to `traverse()` when the style
+   *   guide was first parsed.
+   */
+  constructor(builder, options) {
+    super();
+
+    this.builder = builder;
+    this.options = options;
+    this.styleGuide = null;
+    this.watchers = {};
+    this.watchedPaths = {};
+    this.changedFiles = [];
+    this.timer = null;
+    this.rebuilding = Promise.resolve();
+
+    // The number of milliseconds to wait for more changes before rebuilding.
+    this.delay = 100;
+  }
+
+  /**
+   * Starts watching the builder's source directories and the builder's own
+   * directories.
+   *
+   * @param {KssStyleGuide} styleGuide The style guide that was just built.
+   * @returns {Promise.<KssWatcher>} A `Promise` object resolving to the
+   *   `KssWatcher` object.
+   */
+  start(styleGuide) {
+    this.styleGuide = styleGuide;
+
+    return this.builder.sourceDirectories().then(sources => {
+      return Promise.all(
+        sources.map(directory => {
+          directory = path.resolve(directory);
+          return ignoreFilter(directory, this.options.ignore).then(isIgnored => {
+            return this.watchDirectory(directory, isIgnored);
+          });
+        }).concat(this.builderDirectories().map(directory => {
+          return this.watchDirectory(directory, name => {
+            return path.basename(name) === 'node_modules';
+          });
+        }))
+      );
+    }).then(() => {
+      this.builder.log('Watching for changes...');
+      return this;
+    });
+  }
+
+  /**
+   * Stops watching for changes.
+   *
+   * @returns {KssWatcher} The `KssWatcher` object is returned to allow chaining
+   *   of methods.
+   */
+  close() {
+    clearTimeout(this.timer);
+    for (let directory in this.watchers) {
+      // istanbul ignore else
+      if (this.watchers.hasOwnProperty(directory)) {
+        this.watchers[directory].close();
+      }
+    }
+    this.watchers = {};
+    this.watchedPaths = {};
+    this.emit('close');
+
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Watches a directory and all of its sub-directories, except the ignored
+   * ones.
+   *
+   * Symbolic links are followed unless the `followSymlinks` option is `false`.
+   * Each directory is only watched once, even if several links lead to it.
+   *
+   * @private
+   * @param {string} directory The path to the directory.
+   * @param {Function} isIgnored The function telling whether a file or
+   *   directory of the source directory is ignored.
+   * @returns {Promise} A `Promise` object.
+   */
+  watchDirectory(directory, isIgnored) {
+    return fs.realpathAsync(directory).then(realPath => {
+      if (this.watchers[directory] || this.watchedPaths[realPath]) {
+        return Promise.resolve();
+      }
+      this.watchedPaths[realPath] = true;
+
+      this.watchers[directory] = fs.watch(directory, (event, fileName) => {
+        // istanbul ignore else
+        if (fileName && !isIgnored(path.join(directory, fileName.toString()), false)) {
+          this.queue(path.join(directory, fileName.toString()));
+        }
+      });
+      // If the directory is removed, stop watching it.
+      this.watchers[directory].on('error', /* istanbul ignore next */ () => {
+        this.watchers[directory].close();
+        delete this.watchers[directory];
+      });
+
+      return this.watchSubdirectories(directory, isIgnored);
+    });
+  }
+
+  /**
+   * Watches the sub-directories of a directory.
+   *
+   * @private
+   * @param {string} directory The path to the directory.
+   * @param {Function} isIgnored The function telling whether a file or
+   *   directory of the source directory is ignored.
+   * @returns {Promise} A `Promise` object.
+   */
+  watchSubdirectories(directory, isIgnored) {
+    return fs.readdirAsync(directory).then(relnames => {
+      return Promise.all(
+        relnames.map(fileName => {
+          let name = path.join(directory, fileName);
+          return statItem(name, this.options.followSymlinks !== false).then(stat => {
+            if (stat && stat.isDirectory() && fileName !== '.svn' && fileName !== '.git' && !isIgnored(name, true)) {
+              return this.watchDirectory(name, isIgnored);
+            }
+            return Promise.resolve();
+          });
+        })
+      );
+    });
+  }
+
+  /**
+   * Queues a changed file for the next rebuild.
+   *
+   * Editors often save a file with several file system operations, so the
+   * rebuild waits until no changes have been seen for a short delay.
+   *
+   * @private
+   * @param {string} file The path to the changed file.
+   */
+  queue(file) {
+    if (this.changedFiles.indexOf(file) === -1) {
+      this.changedFiles.push(file);
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      let files = this.changedFiles;
+      this.changedFiles = [];
+      // Only run one rebuild at a time.
+      this.rebuilding = this.rebuilding.then(() => {
+        return this.rebuild(files);
+      });
+    }, this.delay);
+  }
+
+  /**
+   * Rebuilds the parts of the style guide affected by the given files.
+   *
+   * - A changed stylesheet is re-parsed and the pages of the root sections it
+   *   documents are rebuilt.
+   * - A changed markup file (or its JSON data) rebuilds the pages of the
+   *   sections that use it.
+   * - A changed homepage file rebuilds the homepage.
+   *
+   * If the change alters the navigation menu (e.g. a section's header or
+   * reference changes), the entire style guide is rebuilt.
+   *
+   * @param {string[]} files The paths of the changed files.
+   * @returns {Promise.<KssStyleGuide>} A `Promise` object resolving to the
+   *   rebuilt `KssStyleGuide`.
+   */
+  rebuild(files) {
+    let styleSheets = [],
+      otherFiles = [],
+      builderChanged = false,
+      changes = {
+        homepage: false,
+        roots: []
+      };
+
+    // Gets the reference of the root section of the given section.
+    const addRoot = section => {
+      let root = section.reference().split(/(?:\.|\ \-\ )/)[0];
+      if (changes.roots.indexOf(root) === -1) {
+        changes.roots.push(root);
+      }
+    };
+
+    files.forEach(file => {
+      if (this.isBuilderFile(file)) {
+        // Reload the changed templates and extend modules.
+        builderChanged = true;
+        delete require.cache[file];
+      } else if (this.isStyleSheet(file)) {
+        styleSheets.push(file);
+      } else if (path.basename(file) === this.builder.getOptions('homepage')) {
+        changes.homepage = true;
+      } else {
+        otherFiles.push(file);
+        // Ensure a changed JSON file for a markup file is re-loaded.
+        if (path.extname(file) === '.json') {
+          delete require.cache[file];
+        }
+      }
+    });
+
+    if (this.builder.getOptions('verbose')) {
+      this.builder.log('');
+      this.builder.log('...Changes detected:');
+      this.builder.log(files.map(file => {
+        return ' - ' + file;
+      }).join('\n'));
+    }
+
+    return this.reparse(styleSheets).then(styleGuide => {
+      if (this.options.duplicates === 'warn') {
+        styleGuide.duplicates().forEach(duplicate => {
+          this.builder.log('WARNING: ' + duplicate.message);
+        });
+      }
+      // Only the changed stylesheets have new errors.
+      styleGuide.sections().filter(section => {
+        return styleSheets.indexOf(section.custom('sourceFile').path) !== -1;
+      }).forEach(section => {
+        section.errors().forEach(error => {
+          this.builder.log('WARNING: ' + error);
+        });
+      });
+
+      // Determine which sections were affected by stylesheet changes.
+      this.styleGuide.sections().concat(styleGuide.sections()).forEach(section => {
+        let sourceFile = section.custom('sourceFile');
+        if (sourceFile && styleSheets.indexOf(sourceFile.path) !== -1) {
+          addRoot(section);
+        }
+      });
+
+      // Determine which sections use the changed markup files.
+      let changedNames = otherFiles.map(file => {
+        return path.basename(file, path.extname(file)).replace(/^kss-example-/, '');
+      });
+      styleGuide.sections().forEach(section => {
+        let markup = section.markup();
+        if (markup && markup.match(/^[^\n]+\.(html|hbs|twig)$/)
+          && changedNames.indexOf(path.basename(markup, path.extname(markup))) !== -1) {
+          addRoot(section);
+        }
+      });
+
+      return this.builder.prepare(styleGuide);
+    }).then(styleGuide => {
+      // If the builder or the menu has changed, every page needs to be rebuilt.
+      let fullRebuild = builderChanged || (menuSignature(this.styleGuide) !== menuSignature(styleGuide));
+      if (builderChanged) {
+        delete this.builder.templates;
+      }
+
+      this.styleGuide = styleGuide;
+      return fullRebuild ? this.builder.build(styleGuide) : this.builder.build(styleGuide, changes);
+    }).then(styleGuide => {
+      this.builder.log('Style guide rebuilt after changes to ' + files.length + ' file' + (files.length === 1 ? '' : 's') + '.');
+      this.emit('rebuild', {
+        files: files,
+        styleGuide: styleGuide
+      });
+      return styleGuide;
+    }).catch(error => {
+      // Report the error, but keep watching.
+      this.builder.logError(error);
+      return this.styleGuide;
+    });
+  }
+
+  /**
+   * Returns the directories of the builder and of its `extend` option.
+   *
+   * @private
+   * @returns {string[]} The absolute paths of the directories.
+   */
+  builderDirectories() {
+    return [].concat(this.builder.getOptions('builder') || [], this.builder.getOptions('extend') || []).map(directory => {
+      return path.resolve(directory);
+    });
+  }
+
+  /**
+   * Checks whether a changed file is in the directory of the builder or of
+   * its `extend` option.
+   *
+   * @private
+   * @param {string} file The path to the changed file.
+   * @returns {boolean} Whether the file is one of the builder's files.
+   */
+  isBuilderFile(file) {
+    return this.builderDirectories().some(directory => {
+      return path.relative(directory, file).indexOf('..') !== 0;
+    });
+  }
+
+  /**
+   * Checks whether a changed file is one of the stylesheets of the sources.
+   *
+   * A file is a stylesheet if it is given as a source, if it matches a glob
+   * given as a source, or if it is in a source directory and matches the mask.
+   *
+   * @private
+   * @param {string} file The path to the changed file.
+   * @returns {boolean} Whether the file is a stylesheet.
+   */
+  isStyleSheet(file) {
+    return this.builder.getOptions('source').some(source => {
+      source = path.resolve(source);
+      if (hasMagic(source)) {
+        return minimatch(file.replace(/\\/g, '/'), source.replace(/\\/g, '/'));
+      }
+      if (file === source) {
+        return true;
+      }
+      return path.relative(source, file).indexOf('..') !== 0 && !!file.match(this.options.mask);
+    });
+  }
+
+  /**
+   * Creates a new style guide by re-parsing the given stylesheets.
+   *
+   * @private
+   * @param {string[]} styleSheets The paths of the changed stylesheets.
+   * @returns {Promise.<KssStyleGuide>} A `Promise` object resolving to a new
+   *   `KssStyleGuide`.
+   */
+  reparse(styleSheets) {
+    return Promise.all([
+      this.builder.sourceDirectories(),
+      Promise.all(
+        styleSheets.map(file => {
+          return fs.readFileAsync(file, 'utf8').then(contents => {
+            return {
+              path: file,
+              contents: contents
+            };
+          }).catch(() => {
+            // The file was deleted.
+            return false;
+          });
+        })
+      )
+    ]).then(results => {
+      let sources = results[0].map(source => {
+          return path.resolve(source);
+        }),
+        existingFiles = results[1].filter(file => {
+          return file;
+        });
+
+      // Find the source directory each file is in.
+      existingFiles.forEach(file => {
+        file.base = sources.filter(source => {
+          return path.relative(source, file.path).indexOf('..') !== 0;
+        })[0];
+      });
+
+      // Keep the sections from the unchanged files. Sections without a source
+      // file were auto-created by the builder's prepare() and will be re-created.
+      let sections = this.styleGuide.sections().filter(section => {
+        let sourceFile = section.custom('sourceFile');
+        return sourceFile && sourceFile.path && styleSheets.indexOf(sourceFile.path) === -1;
+      });
+      let fileNames = this.styleGuide.meta.files.filter(file => {
+          return styleSheets.indexOf(file) === -1;
+        }),
+        fileContents = {};
+      fileNames.forEach(file => {
+        if (this.styleGuide.meta.fileContents.hasOwnProperty(file)) {
+          fileContents[file] = this.styleGuide.meta.fileContents[file];
+        }
+      });
+
+      if (existingFiles.length) {
+        let parsed = parse(existingFiles, this.options);
+        sections = sections.concat(parsed.sections());
+        fileNames = fileNames.concat(parsed.meta.files);
+        Object.assign(fileContents, parsed.meta.fileContents);
+      }
+
+      return new KssStyleGuide({
+        files: fileNames,
+        fileContents: fileContents,
+        sections: sections,
+        duplicates: this.options.duplicates
+      });
+    });
+  }
+}
+
+/**
+ * Returns a string representing the navigation menu of the style guide.
+ *
+ * @private
+ * @param {KssStyleGuide} styleGuide The style guide.
+ * @returns {string} A string of all the references and headers.
+ */
+const menuSignature = function(styleGuide) {
+  return styleGuide.sections().map(section => {
+    return section.reference() + ' ' + section.header();
+  }).join('\n');
+};
+
+module.exports = KssWatcher;
@@ -0,0 +1,334 @@
+'use strict';
+
+/**
+ * The `kss/lib/kss_webpack_plugin` module is normally accessed via the
+ * [`KssWebpackPlugin`]{@link module:kss.KssWebpackPlugin} property of the
+ * `kss` module:
+ * ```
+ * const KssWebpackPlugin = require('kss').KssWebpackPlugin;
+ * ```
+ * @private
+ * @module kss/lib/kss_webpack_plugin
+ */
+
+const crypto = require('crypto'),
+  os = require('os'),
+  path = require('path'),
+  Promise = require('bluebird');
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+/**
+ * A KssWebpackPlugin object builds a style guide as part of each webpack
+ * compilation.
+ *
+ * The plugin collects the stylesheets of the compilation's modules, parses
+ * them with [`parseStream()`]{@link module:kss.parseStream}, builds the style
+ * guide with [`kss()`]{@link module:kss} in a temporary directory and adds
+ * its files to the compilation's assets, in the `destination` directory of
+ * webpack's output directory. Webpack then emits them with the other assets,
+ * to the disk or to the memory of a development server. In watch mode, the
+ * style guide is rebuilt when a stylesheet or the list of emitted CSS files
+ * changes.
+ *
+ * ```
+ * // webpack.config.js
+ * const KssWebpackPlugin = require('kss').KssWebpackPlugin;
+ * module.exports = {
+ *   // ...
+ *   plugins: [
+ *     new KssWebpackPlugin({destination: 'styleguide', title: 'My styles'})
+ *   ]
+ * };
+ * ```
+ *
+ * Errors of the build are added to the errors of the compilation.
+ */
+class KssWebpackPlugin {
+
+  /**
+   * Creates a KssWebpackPlugin object.
+   *
+   * The options are given to `kss()`, except for the `watch`, `serve` and
+   * `files` options, with the following differences:
+   * - destination: The directory of the style guide's assets, relative to
+   *   webpack's output directory. Defaults to `styleguide`.
+   * - logFunction: The function logging the progress of the build. Defaults
+   *   to a function logging nothing, so the build does not clutter webpack's
+   *   output.
+   * - source: The directories to look for markup files and the homepage in.
+   *   Defaults to the directories of the stylesheets.
+   * - css: The URLs of CSS files to include in the style guide. The CSS files
+   *   emitted by webpack are added to them.
+   *
+   * The plugin also has the following options:
+   * - mask: A RegExp matching the stylesheets among the modules' files.
+   *   Defaults to the `.css`, `.less`, `.sass`, `.scss`, `.styl` and
+   *   `.stylus` files.
+   * - exclude: A RegExp matching the stylesheets to skip. Defaults to the
+   *   stylesheets in a `node_modules` directory.
+   * - cssAssets: A RegExp matching the emitted assets to add to the `css`
+   *   option, or `false` to add none. Defaults to the `.css` assets.
+   * - publicPath: The URL of webpack's output directory, used for the URLs of
+   *   the emitted CSS files. Defaults to their path relative to the style
+   *   guide.
+   *
+   * @param {Object} [options] The options.
+   */
+  constructor(options) {
+    this.options = Object.assign({
+      destination: 'styleguide',
+      mask: /\.(css|less|sass|scss|styl|stylus)$/,
+      exclude: /[\\/]node_modules[\\/]/,
+      cssAssets: /\.css$/,
+      logFunction: () => {},
+      // Errors are reported by webpack.
+      logErrorFunction: () => {}
+    }, options);
+
+    // The fingerprint of the stylesheets and CSS files of the last build, and
+    // the contents of the files it built, keyed by their path in the style
+    // guide.
+    this.fingerprint = '';
+    this.files = {};
+  }
+
+  /**
+   * Adds the plugin to a webpack compiler.
+   *
+   * @param {Object} compiler The webpack compiler.
+   */
+  apply(compiler) {
+    if (compiler.webpack && compiler.webpack.Compilation) {
+      // Webpack 5 and newer. Add the assets once the names of the CSS files
+      // are final.
+      compiler.hooks.thisCompilation.tap('KssWebpackPlugin', compilation => {
+        compilation.hooks.processAssets.tapPromise({
+          name: 'KssWebpackPlugin',
+          stage: compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_REPORT
+        }, () => {
+          return this.build(compiler, compilation);
+        });
+      });
+    } else /* istanbul ignore else */ if (compiler.hooks) {
+      // Webpack 4.
+      compiler.hooks.emit.tapPromise('KssWebpackPlugin', compilation => {
+        return this.build(compiler, compilation);
+      });
+    } else {
+      // Webpack 3 and older.
+      compiler.plugin('emit', (compilation, callback) => {
+        this.build(compiler, compilation).then(() => {
+          callback();
+        });
+      });
+    }
+  }
+
+  /**
+   * Builds the style guide of a compilation and adds its files to the
+   * compilation's assets.
+   *
+   * @param {Object} compiler The webpack compiler.
+   * @param {Object} compilation The webpack compilation.
+   * @returns {Promise.<KssStyleGuide|null>} A `Promise` object resolving to
+   *   the `KssStyleGuide` object, or to `null` if nothing changed since the
+   *   last build, in which case the files of the last build are added again.
+   */
+  build(compiler, compilation) {
+    // Require kss() here, since the kss module requires this one.
+    const kss = require('./kss.js');
+
+    let css = [].concat(this.options.css || []).concat(this.cssAssets(compiler, compilation)),
+      destination,
+      styleGuide = null;
+
+    return this.stylesheets(compiler, compilation).then(files => {
+      let fingerprint = crypto.createHash('sha1');
+      fingerprint.update(JSON.stringify(css));
+      files.forEach(file => {
+        fingerprint.update(file.path).update(file.contents);
+      });
+      fingerprint = fingerprint.digest('hex');
+      if (fingerprint === this.fingerprint) {
+        return null;
+      }
+
+      let options = Object.assign({}, this.options, {
+        source: this.options.source || commonDirectories(files.map(file => {
+          return path.dirname(file.path);
+        })),
+        css: css,
+        files: files,
+        watch: false,
+        serve: false
+      });
+      ['mask', 'exclude', 'cssAssets', 'publicPath'].forEach(key => {
+        delete options[key];
+      });
+
+      // Build the style guide in a temporary directory and keep its files in
+      // memory.
+      return fs.mkdtempAsync(path.join(os.tmpdir(), 'kss-webpack-')).then(directory => {
+        destination = directory;
+        options.destination = destination;
+        return kss(options);
+      }).then(result => {
+        styleGuide = result;
+        return readFiles(destination);
+      }).then(builtFiles => {
+        this.files = builtFiles;
+        this.fingerprint = fingerprint;
+      });
+    }).then(() => {
+      this.addAssets(compiler, compilation);
+      return styleGuide;
+    }).catch(error => {
+      compilation.errors.push(error);
+      return null;
+    }).finally(() => {
+      return destination ? fs.removeAsync(destination) : null;
+    });
+  }
+
+  /**
+   * Adds the files of the last build to a compilation's assets.
+   *
+   * @param {Object} compiler The webpack compiler.
+   * @param {Object} compilation The webpack compilation.
+   */
+  addAssets(compiler, compilation) {
+    let directory = path.relative(compiler.outputPath, path.resolve(compiler.outputPath, this.options.destination));
+    Object.keys(this.files).forEach(file => {
+      let name = path.join(directory, file).replace(/\\/g, '/'),
+        contents = this.files[file];
+      if (compiler.webpack && compilation.emitAsset) {
+        compilation.emitAsset(name, new compiler.webpack.sources.RawSource(contents));
+      } else {
+        compilation.assets[name] = {
+          source: () => {
+            return contents;
+          },
+          size: () => {
+            return contents.length;
+          }
+        };
+      }
+    });
+  }
+
+  /**
+   * Reads the stylesheets of a compilation's modules.
+   *
+   * @param {Object} compiler The webpack compiler.
+   * @param {Object} compilation The webpack compilation.
+   * @returns {Promise.<Object[]>} A `Promise` object resolving to file objects
+   *   with `base`, `path` and `contents` properties, sorted by path.
+   */
+  stylesheets(compiler, compilation) {
+    let paths = [];
+    Array.from(compilation.modules).forEach(module => {
+      let resource = typeof module.resource === 'string' ? module.resource.split('?')[0] : '';
+      if (resource && this.options.mask.test(resource) && !(this.options.exclude && this.options.exclude.test(resource)) && paths.indexOf(resource) === -1) {
+        paths.push(resource);
+      }
+    });
+    paths.sort();
+
+    let readFile = Promise.promisify(compiler.inputFileSystem.readFile, {context: compiler.inputFileSystem});
+    return Promise.all(
+      paths.map(file => {
+        return readFile(file).then(contents => {
+          return {
+            base: compiler.context,
+            path: file,
+            contents: contents.toString('utf8')
+          };
+        });
+      })
+    );
+  }
+
+  /**
+   * Returns the URLs of the CSS files emitted by a compilation, except for the
+   * style guide's own files.
+   *
+   * @param {Object} compiler The webpack compiler.
+   * @param {Object} compilation The webpack compilation.
+   * @returns {string[]} The URLs, relative to the style guide unless the
+   *   `publicPath` option is set.
+   */
+  cssAssets(compiler, compilation) {
+    if (!this.options.cssAssets) {
+      return [];
+    }
+
+    let destination = path.resolve(compiler.outputPath, this.options.destination);
+    return Object.keys(compilation.assets).filter(name => {
+      // Skip the style guide's own assets.
+      return this.options.cssAssets.test(name) && !this.files.hasOwnProperty(path.relative(destination, path.join(compiler.outputPath, name)));
+    }).sort().map(name => {
+      if (typeof this.options.publicPath === 'string') {
+        return this.options.publicPath.replace(/\/?$/, '/') + name;
+      }
+      return path.relative(destination, path.join(compiler.outputPath, name)).replace(/\\/g, '/');
+    });
+  }
+}
+
+/**
+ * Reads the files of a directory and of its subdirectories.
+ *
+ * @private
+ * @param {string} directory The directory.
+ * @param {string} [prefix] The path of the directory relative to the one
+ *   first given.
+ * @returns {Promise.<Object>} A `Promise` object resolving to the contents of
+ *   the files as `Buffer` objects, keyed by their path relative to the
+ *   directory.
+ */
+const readFiles = function(directory, prefix) {
+  prefix = prefix || '';
+  let files = {};
+  const readFile = name => {
+    let file = path.join(directory, name);
+    return fs.statAsync(file).then(stat => {
+      if (stat.isDirectory()) {
+        return readFiles(file, path.join(prefix, name));
+      }
+      return fs.readFileAsync(file).then(contents => {
+        return {[path.join(prefix, name)]: contents};
+      });
+    });
+  };
+  return fs.readdirAsync(directory).then(names => {
+    return Promise.all(names.map(readFile));
+  }).then(results => {
+    results.forEach(result => {
+      Object.assign(files, result);
+    });
+    return files;
+  });
+};
+
+/**
+ * Returns the directories of a list that are not inside another one of them.
+ *
+ * @private
+ * @param {string[]} directories The directories.
+ * @returns {string[]} The outermost directories, sorted.
+ */
+const commonDirectories = function(directories) {
+  let result = [];
+  directories.slice().sort().forEach(directory => {
+    let isInside = result.some(parent => {
+      return directory === parent || directory.indexOf(parent + path.sep) === 0;
+    });
+    if (!isInside) {
+      result.push(directory);
+    }
+  });
+  return result;
+};
+
+module.exports = KssWebpackPlugin;
@@ -0,0 +1,597 @@
+'use strict';
+
+/**
+ * The `kss/lib/lint` module is normally accessed via the
+ * [`lint()`]{@link module:kss.lint} method of the `kss` module:
+ * ```
+ * const kss = require('kss');
+ * kss.lint(styleGuide, options).then(problems => {});
+ * ```
+ * @private
+ * @module kss/lib/lint
+ */
+
+const parse = require('./parse'),
+  parseSource = require('./parse_source'),
+  Promise = require('bluebird'),
+  tagParsers = require('./tag_parsers');
+
+const glob = Promise.promisify(require('glob'));
+
+// The tags understood by parse().
+const knownTags = [
+  'styleguide',
+  'description',
+  'modifier',
+  'param',
+  'markup',
+  'weight',
+  'deprecated',
+  'experimental',
+  'status',
+  'since',
+  'see'
+];
+
+/**
+ * Checks the KSS documentation of a style guide for problems.
+ *
+ * The style guide should be the one returned by `traverse()` or `parse()`,
+ * before a builder's `prepare()` adds any missing sections to it.
+ *
+ * Each problem found is an object with the following properties:
+ * - file: The path of the file containing the KSS comment.
+ * - line: The line number of the start of the KSS comment.
+ * - reference: The reference of the section.
+ * - rule: The name of the rule that found the problem.
+ * - message: A description of the problem.
+ *
+ * The `options` object can contain:
+ * - source: The source directories used to find markup files.
+ * - custom: The custom tags, which are allowed, given as names or as objects
+ *   with a `name` property like in the `custom` option of `traverse()`.
+ *
+ * @alias module:kss.lint
+ * @param {KssStyleGuide} styleGuide The style guide to check.
+ * @param {Object} [options] Options to alter the checks.
+ * @returns {Promise.<Object[]>} A `Promise` object resolving to an array of
+ *   the problems found, sorted by file and line.
+ */
+const lint = function(styleGuide, options) {
+  options = options || {};
+  options.source = options.source || [];
+  options.custom = options.custom || [];
+
+  // Data shared by the rules, e.g. the modifiers used by each section's CSS.
+  let context = {};
+
+  return Promise.all(
+    Object.keys(rules).map(rule => {
+      return Promise.resolve(rules[rule](styleGuide, options, context));
+    })
+  ).then(results => {
+    let problems = [];
+    results.forEach(result => {
+      problems = problems.concat(result);
+    });
+
+    // Problems with the same file, line and rule keep the order they were
+    // found in, whatever the sort algorithm of the JavaScript engine.
+    let order = new Map(problems.map((problem, index) => {
+      return [problem, index];
+    }));
+    return problems.sort((a, b) => {
+      if (a.file !== b.file) {
+        return a.file > b.file ? 1 : -1;
+      }
+      if (a.line !== b.line) {
+        return a.line - b.line;
+      }
+      if (a.rule !== b.rule) {
+        return a.rule > b.rule ? 1 : -1;
+      }
+      return order.get(a) - order.get(b);
+    });
+  });
+};
+
+/**
+ * Creates a problem object for the given section.
+ *
+ * @private
+ * @param {KssSection} section The section with the problem.
+ * @param {string} rule The name of the rule that found the problem.
+ * @param {string} message A description of the problem.
+ * @returns {Object} A problem object.
+ */
+const createProblem = function(section, rule, message) {
+  let sourceFile = section.custom('sourceFile') || {};
+  return {
+    file: sourceFile.path || '',
+    line: sourceFile.line || 0,
+    reference: section.reference(),
+    rule: rule,
+    message: message
+  };
+};
+
+/**
+ * The lint rules. Each rule is given the style guide, the lint options and an
+ * object shared by all the rules and returns an array of problems (or a
+ * Promise resolving to one.)
+ *
+ * @private
+ */
+const rules = {
+  'duplicate-reference': function(styleGuide) {
+    // The style guide records the duplicates, since, depending on its
+    // "duplicates" option, it may not keep the duplicate sections.
+    return styleGuide.duplicates().map(duplicate => {
+      return {
+        file: duplicate.duplicate.path || '',
+        line: duplicate.duplicate.line || 0,
+        reference: duplicate.reference,
+        rule: 'duplicate-reference',
+        message: 'Section "' + duplicate.reference + '" is already defined at '
+          + (duplicate.original.path || '') + ':' + (duplicate.original.line || 0) + '.'
+      };
+    });
+  },
+
+  'missing-parent': function(styleGuide) {
+    let problems = [],
+      delimiter = styleGuide.referenceDelimiter(),
+      references = styleGuide.sections().map(section => {
+        return section.reference();
+      }),
+      reported = [];
+
+    styleGuide.sections().forEach(section => {
+      let parts = section.reference().split(delimiter);
+      for (let i = 1; i < parts.length; i++) {
+        let parent = parts.slice(0, i).join(delimiter);
+        if (references.indexOf(parent) === -1 && reported.indexOf(parent) === -1) {
+          reported.push(parent);
+          problems.push(createProblem(section, 'missing-parent',
+            'Section "' + section.reference() + '" has no parent section "' + parent + '".'
+          ));
+        }
+      }
+    });
+
+    return problems;
+  },
+
+  'broken-link': function(styleGuide) {
+    return styleGuide.brokenLinks().map(brokenLink => {
+      return createProblem(brokenLink.section, 'broken-link',
+        'Section "' + brokenLink.section.reference() + '" links to the unknown section "' + brokenLink.reference + '".'
+      );
+    });
+  },
+
+  'markup-not-found': function(styleGuide, options) {
+    return Promise.all(
+      styleGuide.sections().filter(section => {
+        return section.markup() && section.markup().match(/^[^\n]+\.(html|hbs|twig)$/);
+      }).map(section => {
+        // Like the builders, accept a kss-example-* file instead of the
+        // markup file.
+        let fileName = section.markup().replace(/^.*\//, '');
+        let pattern = '{' + section.markup() + ',kss-example-' + fileName + '}';
+        return Promise.all(
+          options.source.map(source => {
+            return glob(source + '/**/' + pattern);
+          })
+        ).then(globMatches => {
+          let found = globMatches.some(files => {
+            return files.length > 0;
+          });
+          return found ? [] : [createProblem(section, 'markup-not-found',
+            'The markup file "' + section.markup() + '" of section "' + section.reference() + '" was not found.'
+          )];
+        });
+      })
+    ).then(results => {
+      return [].concat.apply([], results);
+    });
+  },
+
+  'unknown-parameter': function(styleGuide) {
+    let problems = [];
+
+    styleGuide.sections().forEach(section => {
+      // A parameter name starting with an unescaped "@", e.g. a Less
+      // variable, is parsed as the start of a new tag, leaving the parameter
+      // without a name.
+      section.parameters().filter(parameter => {
+        return parameter.name() === '';
+      }).forEach(() => {
+        problems.push(createProblem(section, 'unknown-parameter',
+          'A parameter of section "' + section.reference() + '" has no name; escape the "@" of a Less variable as "\\@", e.g. "@param \\@size".'
+        ));
+      });
+
+      let signature = findSignature(section.source());
+      if (!section.parameters().length || !signature) {
+        return;
+      }
+      section.parameters().filter(parameter => {
+        return parameter.name() !== '' && signature.indexOf(normalizeParameter(parameter.name())) === -1;
+      }).forEach(parameter => {
+        problems.push(createProblem(section, 'unknown-parameter',
+          'Parameter "' + parameter.name() + '" of section "' + section.reference() + '" is not in the signature of the documented mixin.'
+        ));
+      });
+    });
+
+    return problems;
+  },
+
+  'undocumented-modifier': function(styleGuide, options, context) {
+    return findUsedModifiers(styleGuide, context).then(usage => {
+      let problems = [];
+      usage.forEach(used => {
+        let documented = documentedParts(used.section, used.block);
+        used.modifiers.filter(modifier => {
+          return documented.indexOf(modifier) === -1;
+        }).forEach(modifier => {
+          problems.push(createProblem(used.section, 'undocumented-modifier',
+            'Modifier "' + modifier + '" of section "' + used.section.reference() + '" is used in the CSS but is not documented.'
+          ));
+        });
+      });
+      return problems;
+    });
+  },
+
+  'unused-modifier': function(styleGuide, options, context) {
+    return findUsedModifiers(styleGuide, context).then(usage => {
+      let problems = [];
+      usage.forEach(used => {
+        used.section.modifiers().filter(modifier => {
+          return !isModifierUsed(modifier, used);
+        }).forEach(modifier => {
+          problems.push(createProblem(used.section, 'unused-modifier',
+            'Modifier "' + modifier.name() + '" of section "' + used.section.reference() + '" is documented but is not used in the CSS.'
+          ));
+        });
+      });
+      return problems;
+    });
+  },
+
+  'empty-description': function(styleGuide) {
+    return styleGuide.sections().filter(section => {
+      let tags = docblockTags(section);
+      return (!section.header() && !section.description()) || tags && tags.description === '';
+    }).map(section => {
+      return createProblem(section, 'empty-description',
+        'Section "' + section.reference() + '" has an empty description.'
+      );
+    });
+  },
+
+  'unknown-tag': function(styleGuide, options) {
+    let problems = [],
+      allowedTags = knownTags.concat(tagParsers.normalize(options.custom).map(tag => {
+        return tag.name;
+      }));
+
+    styleGuide.sections().forEach(section => {
+      let tags = docblockTags(section) || {};
+      Object.keys(tags).forEach(tag => {
+        if (allowedTags.indexOf(tag) === -1) {
+          problems.push(createProblem(section, 'unknown-tag',
+            'Section "' + section.reference() + '" has an unknown tag "@' + tag + '".'
+          ));
+        }
+      });
+    });
+
+    return problems;
+  },
+
+  'invalid-tag': function(styleGuide) {
+    let problems = [];
+
+    styleGuide.sections().forEach(section => {
+      section.errors().forEach(error => {
+        problems.push(createProblem(section, 'invalid-tag', error));
+      });
+    });
+
+    return problems;
+  }
+};
+
+/**
+ * Returns the tags of a section's docblock.
+ *
+ * @private
+ * @param {KssSection} section The section.
+ * @returns {Object|boolean} The tags, as returned by `parse.docblock()`, or
+ *   false if the section is written in the classic KSS syntax, which has no
+ *   tags.
+ */
+const docblockTags = function(section) {
+  let sourceFile = section.custom('sourceFile') || {};
+  if (sourceFile.syntax && sourceFile.syntax !== 'cssdoc') {
+    return false;
+  }
+  return parse.docblock(section.meta.raw).tags;
+};
+
+/**
+ * Finds the names of the parameters of the mixin or function documented by a
+ * section.
+ *
+ * Sass (`@mixin name($a, $b)`, `=name($a)`), and Less (`.name(@a; @b)`)
+ * signatures are recognized.
+ *
+ * @private
+ * @param {Object|boolean} source The code following the section's KSS comment,
+ *   as returned by the section's `source()` method.
+ * @returns {string[]|boolean} The normalized names of the parameters, or false
+ *   if the KSS comment is not followed by a mixin or function.
+ */
+const findSignature = function(source) {
+  let match = source && source.selectors.length && source.selectors[0].match(/^(?:@mixin\s+|@function\s+|=|[.#])[\w-]+\s*\(([^)]*)\)/);
+  if (!match) {
+    return false;
+  }
+
+  return match[1].split(/[,;]/).map(parameter => {
+    return normalizeParameter(parameter.replace(/:.*$/, ''));
+  }).filter(parameter => {
+    return parameter !== '';
+  });
+};
+
+/**
+ * Finds the modifiers used in the CSS documented by each section.
+ *
+ * A section's CSS is the code from the rule following its KSS comment to the
+ * next KSS comment in the same file. Its block is the first class selector of
+ * that rule, e.g. `.button`, and its modifiers are the classes and
+ * pseudo-classes added to the block, e.g. `.button.primary`,
+ * `.button--large` or `&:hover`. This is the reverse of the mapping done by
+ * `KssModifier.className()`.
+ *
+ * Sections that do not document a class, e.g. mixins and variables, are
+ * skipped.
+ *
+ * @private
+ * @param {KssStyleGuide} styleGuide The style guide.
+ * @param {Object} context The object shared by the lint rules.
+ * @returns {Promise.<Object[]>} A `Promise` object resolving to an array of
+ *   objects with `section`, `block` and `modifiers` properties.
+ */
+const findUsedModifiers = function(styleGuide, context) {
+  if (context.usedModifiers) {
+    return context.usedModifiers;
+  }
+
+  // Group the sections by file.
+  let files = {};
+  styleGuide.sections().forEach(section => {
+    let sourceFile = section.custom('sourceFile');
+    if (sourceFile && sourceFile.path) {
+      files[sourceFile.path] = files[sourceFile.path] || [];
+      files[sourceFile.path].push(section);
+    }
+  });
+
+  context.usedModifiers = Promise.all(
+    Object.keys(files).map(file => {
+      return styleGuide.readFile(file).then(contents => {
+        return findFileModifiers(contents.replace(/\r\n?/g, '\n').split('\n'), files[file]);
+      });
+    })
+  ).then(results => {
+    return [].concat.apply([], results);
+  });
+
+  return context.usedModifiers;
+};
+
+/**
+ * Finds the modifiers used in the CSS documented by the sections of a file.
+ *
+ * @private
+ * @param {string[]} lines The lines of the file.
+ * @param {KssSection[]} sections The sections found in the file.
+ * @returns {Object[]} An array of objects with `section`, `block` and
+ *   `modifiers` properties.
+ */
+const findFileModifiers = function(lines, sections) {
+  let usage = [];
+
+  sections.sort((a, b) => {
+    return a.custom('sourceFile').line - b.custom('sourceFile').line;
+  });
+
+  sections.forEach((section, index) => {
+    let source = section.source(),
+      block = source && source.selectors.filter(selector => {
+        return /^\.[\w-]+$/.test(selector);
+      })[0];
+    if (!block) {
+      return;
+    }
+
+    // The section's CSS ends at the next KSS comment.
+    let end = (index + 1 < sections.length) ? sections[index + 1].custom('sourceFile').line - 1 : lines.length,
+      modifiers = [];
+    resolveSelectors(parseSource.rules(lines, source.line - 1, end), []).forEach(selector => {
+      modifierParts(selector, block).forEach(part => {
+        if (modifiers.indexOf(part) === -1) {
+          modifiers.push(part);
+        }
+      });
+    });
+    usage.push({
+      section: section,
+      block: block,
+      modifiers: modifiers
+    });
+  });
+
+  return usage;
+};
+
+/**
+ * Checks if the CSS of a section uses a documented modifier.
+ *
+ * @private
+ * @param {KssModifier} modifier The documented modifier.
+ * @param {Object} used The modifiers used by the section's CSS, as found by
+ *   `findUsedModifiers()`.
+ * @returns {boolean} Whether every part of the modifier is used.
+ */
+const isModifierUsed = function(modifier, used) {
+  return modifierParts(modifier.name(), used.block, true).every(part => {
+    return used.modifiers.indexOf(part) !== -1;
+  });
+};
+
+/**
+ * Resolves the selectors of nested rules, e.g. `&:hover` inside `.button`
+ * becomes `.button:hover`.
+ *
+ * @private
+ * @param {Object[]} rules The rules.
+ * @param {string[]} parents The selectors of the rules' parent.
+ * @returns {string[]} The resolved selectors of the rules and their children.
+ */
+const resolveSelectors = function(rules, parents) {
+  let selectors = [];
+
+  rules.forEach(rule => {
+    let resolved = parents;
+    // At-rules, e.g. @media or @mixin, do not change the selectors of their
+    // children.
+    if (rule.selectors.length && rule.selectors[0].charAt(0) !== '@') {
+      resolved = [];
+      rule.selectors.forEach(selector => {
+        if (!parents.length) {
+          resolved.push(selector);
+        }
+        parents.forEach(parent => {
+          resolved.push(selector.indexOf('&') !== -1 ? selector.replace(/&/g, parent) : parent + ' ' + selector);
+        });
+      });
+      selectors = selectors.concat(resolved);
+    }
+    selectors = selectors.concat(resolveSelectors(rule.rules, resolved));
+  });
+
+  return selectors;
+};
+
+/**
+ * Finds the modifiers a selector adds to a block.
+ *
+ * Only the first compound selector is used, so `.button.primary .icon` adds
+ * the `.primary` modifier. Each class, attribute selector and pseudo-class is
+ * a separate modifier, so `.button.primary:hover` adds both `.primary` and
+ * `:hover`. Pseudo-elements are not modifiers.
+ *
+ * When finding the modifiers documented by a section, the block may be omitted
+ * from the selector, e.g. `:hover`. Otherwise, selectors that do not start with
+ * the block, e.g. `.icon`, have no modifiers.
+ *
+ * @private
+ * @param {string} selector The selector, e.g. `.button--large:hover`.
+ * @param {string} block The block's selector, e.g. `.button`.
+ * @param {boolean} [documented] Whether the selector is a documented
+ *   modifier's name.
+ * @returns {string[]} The modifiers, e.g. `['.button--large', ':hover']`.
+ */
+const modifierParts = function(selector, block, documented) {
+  let compound = splitSelector(selector.trim(), /[\s>+~]/)[0] || '';
+
+  if (compound.indexOf(block) === 0) {
+    let rest = compound.slice(block.length);
+    if (rest && !/^(--|_(?!_)|[.:[])/.test(rest)) {
+      // A different class, e.g. .button-group or the element .button__icon.
+      return [];
+    }
+    // A BEM modifier is a separate class, e.g. .button--large.
+    compound = /^[-_]/.test(rest) ? compound : rest;
+  } else if (!documented) {
+    return [];
+  }
+
+  return splitSelector(compound, /[.:[]/, true).filter(part => {
+    return part !== '' && !/^::|^:(before|after|first-line|first-letter)$/.test(part);
+  });
+};
+
+/**
+ * Returns the normalized modifiers documented by a section.
+ *
+ * @private
+ * @param {KssSection} section The section.
+ * @param {string} block The block's selector.
+ * @returns {string[]} The documented modifiers.
+ */
+const documentedParts = function(section, block) {
+  let parts = [];
+  section.modifiers().forEach(modifier => {
+    parts = parts.concat(modifierParts(modifier.name(), block, true));
+  });
+  return parts;
+};
+
+/**
+ * Splits a selector at the given separators, ignoring any separator inside
+ * parentheses or brackets.
+ *
+ * @private
+ * @param {string} selector The selector.
+ * @param {RegExp} separator A regular expression matching a separator.
+ * @param {boolean} [keep] Whether to keep each separator at the start of the
+ *   following part.
+ * @returns {string[]} The parts of the selector.
+ */
+const splitSelector = function(selector, separator, keep) {
+  let parts = [],
+    depth = 0,
+    start = 0;
+
+  for (let i = 0; i < selector.length; i++) {
+    let character = selector[i];
+    if (character === '(' || character === '[') {
+      // Brackets are a separator of attribute selectors.
+      if (depth === 0 && character === '[' && separator.test(character)) {
+        parts.push(selector.slice(start, i));
+        start = i;
+      }
+      depth++;
+    } else if (character === ')' || character === ']') {
+      depth = Math.max(depth - 1, 0);
+    } else if (depth === 0 && separator.test(character) && !(character === ':' && selector[i - 1] === ':')) {
+      parts.push(selector.slice(start, i));
+      start = keep ? i : i + 1;
+    }
+  }
+  parts.push(selector.slice(start));
+
+  return parts.filter(part => {
+    return part !== '';
+  });
+};
+
+/**
+ * Normalizes a parameter name so documented and declared names can be compared.
+ *
+ * @private
+ * @param {string} name The parameter name, e.g. `$size` or `@size...`.
+ * @returns {string} The name without its sigil or trailing ellipsis.
+ */
+const normalizeParameter = function(name) {
+  return name.trim().replace(/^[$@]/, '').replace(/\.\.\.$/, '');
+};
+
+module.exports = lint;
@@ -0,0 +1,297 @@
+'use strict';
+
+/**
+ * The `kss/lib/migrate` module is normally accessed via the
+ * [`migrate()`]{@link module:kss.migrate} method of the `kss` module:
+ * ```
+ * const kss = require('kss');
+ * kss.traverse(directory, {syntax: 'kss', markdown: false}).then(styleGuide => {
+ *   return kss.migrate(styleGuide, options);
+ * }).then(files => {});
+ * ```
+ * @private
+ * @module kss/lib/migrate
+ */
+
+const path = require('path'),
+  Promise = require('bluebird');
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+// The number of unchanged lines shown around each change of a diff.
+const diffContext = 3;
+
+/**
+ * Rewrites the classic KSS comments of a style guide's files as docblocks
+ * using tags like `@styleguide` and `@modifier`.
+ *
+ * The style guide must be parsed with the `kss` syntax and with the
+ * `markdown` option disabled, so its sections contain the original text of the
+ * comments. Only the files containing sections are rewritten.
+ *
+ * The `options` object can contain:
+ * - destination: The directory to write the migrated files to, using the path
+ *   of each file relative to its source directory. By default, the files are
+ *   rewritten in place.
+ * - dryRun: If true, no file is written.
+ * - custom: The names of the custom properties to convert to tags.
+ *
+ * Each migrated file is described by an object with the following properties:
+ * - path: The path of the original file.
+ * - destination: The path the migrated file is written to.
+ * - sections: The number of comments migrated.
+ * - contents: The migrated contents of the file.
+ * - diff: A unified diff of the changes.
+ *
+ * @alias module:kss.migrate
+ * @param {KssStyleGuide} styleGuide The style guide to migrate.
+ * @param {Object} [options] Options to alter the migration.
+ * @returns {Promise.<Object[]>} A `Promise` object resolving to an array of
+ *   the migrated files.
+ */
+const migrate = function(styleGuide, options) {
+  options = options || {};
+  options.custom = options.custom || [];
+
+  // Group the sections by file.
+  let files = {};
+  styleGuide.sections().forEach(section => {
+    let sourceFile = section.custom('sourceFile');
+    if (sourceFile && sourceFile.path) {
+      files[sourceFile.path] = files[sourceFile.path] || [];
+      files[sourceFile.path].push(section);
+    }
+  });
+
+  return Promise.all(
+    Object.keys(files).sort().map(file => {
+      return styleGuide.readFile(file).then(contents => {
+        let sourceFile = files[file][0].custom('sourceFile'),
+          result = migrateFile(contents, files[file], options);
+
+        result.path = file;
+        result.destination = options.destination ? path.join(options.destination, sourceFile.name) : file;
+        result.diff = createDiff(sourceFile.name || file, contents, result.changes);
+        delete result.changes;
+
+        if (options.dryRun) {
+          return result;
+        }
+        return fs.mkdirsAsync(path.dirname(result.destination)).then(() => {
+          return fs.writeFileAsync(result.destination, result.contents);
+        }).then(() => {
+          return result;
+        });
+      });
+    })
+  );
+};
+
+/**
+ * Replaces the KSS comments of a file with docblocks.
+ *
+ * @private
+ * @param {string} contents The contents of the file.
+ * @param {KssSection[]} sections The sections found in the file.
+ * @param {Object} options The migration options.
+ * @returns {Object} An object with the new `contents`, the number of
+ *   `sections` migrated and the list of `changes`, each with the `start` and
+ *   `end` indexes of the lines replaced and the new `lines`.
+ */
+const migrateFile = function(contents, sections, options) {
+  let newline = contents.indexOf('\r\n') !== -1 ? '\r\n' : '\n',
+    lines = contents.replace(/\r\n?/g, '\n').split('\n');
+
+  let changes = sections.map(section => {
+    let sourceFile = section.custom('sourceFile'),
+      start = sourceFile.line - 1,
+      indent = lines[start].match(/^\s*/)[0],
+      marker = lines[start].match(/^\s*(\/\/+)/);
+    return {
+      start: start,
+      end: sourceFile.endLine - 1,
+      lines: createDocblock(section, options.custom, marker ? marker[1] : '').map(line => {
+        return (indent + line).replace(/\s+$/, '');
+      })
+    };
+  }).sort((a, b) => {
+    return a.start - b.start;
+  });
+
+  // Replace the comments, starting with the last one so the line indexes of
+  // the others do not change.
+  let newLines = lines.slice();
+  changes.slice().reverse().forEach(change => {
+    Array.prototype.splice.apply(newLines, [change.start, change.end - change.start + 1].concat(change.lines));
+  });
+
+  return {
+    contents: newLines.join(newline),
+    sections: sections.length,
+    changes: changes
+  };
+};
+
+/**
+ * Creates the lines of a docblock documenting a section.
+ *
+ * Sass and Less remove `//` comments from the compiled CSS, but keep block
+ * comments, so a KSS comment written with `//` (or `///`) becomes a docblock
+ * written with the same comment marker.
+ *
+ * @private
+ * @param {KssSection} section The section.
+ * @param {string[]} custom The names of the custom properties.
+ * @param {string} [marker] The marker of the single-line comments to use,
+ *   e.g. `//`, instead of a `/**` comment.
+ * @returns {string[]} The lines of the docblock.
+ */
+const createDocblock = function(section, custom, marker) {
+  let paragraphs = [],
+    description = section.description().split(/\n\n+/).filter(paragraph => {
+      return paragraph !== '';
+    }),
+    deprecated = '',
+    experimental = '';
+
+  // Move the "Deprecated:" and "Experimental:" paragraphs to their tags.
+  description = description.filter(paragraph => {
+    let match = paragraph.match(/^(deprecated|experimental):\s*([\s\S]*)$/i);
+    if (match && match[1].toLowerCase() === 'deprecated' && section.deprecated()) {
+      deprecated = match[2];
+      return false;
+    }
+    if (match && match[1].toLowerCase() === 'experimental' && section.experimental()) {
+      experimental = match[2];
+      return false;
+    }
+    return true;
+  });
+
+  if (section.header()) {
+    paragraphs.push(section.header());
+  }
+  if (description.length) {
+    paragraphs.push('@description ' + description.join('\n\n'));
+  }
+  if (section.deprecated()) {
+    paragraphs.push(('@deprecated ' + deprecated).trim());
+  }
+  if (section.experimental()) {
+    paragraphs.push(('@experimental ' + experimental).trim());
+  }
+  // Only add a status tag if the status is more than a deprecated or
+  // experimental flag.
+  let status = section.status();
+  if (status.message || status.since || status.replacement || ['stable', 'deprecated', 'experimental'].indexOf(status.name) === -1) {
+    paragraphs.push('@status ' + status.name
+      + (status.since ? ' since ' + status.since : '')
+      + (status.replacement ? ' replaced by ' + status.replacement : '')
+      + (status.message ? ' - ' + status.message : ''));
+  }
+  if (section.since()) {
+    paragraphs.push('@since ' + section.since());
+  }
+  if (section.markup()) {
+    paragraphs.push(section.markup().indexOf('\n') === -1 ? '@markup ' + section.markup() : '@markup\n' + section.markup());
+  }
+  if (section.modifiers().length) {
+    paragraphs.push(section.modifiers().map(modifier => {
+      return '@modifier ' + modifier.name() + ' - ' + modifier.description();
+    }).join('\n'));
+  }
+  if (section.parameters().length) {
+    paragraphs.push(section.parameters().map(parameter => {
+      // A tag's value cannot start with "@", so the "@" of Less variables is
+      // escaped.
+      return '@param ' + parameter.name().replace(/^@/, '\\@') + (parameter.defaultValue() ? ' = ' + parameter.defaultValue() : '') + ' - ' + parameter.description();
+    }).join('\n'));
+  }
+  if (section.weight()) {
+    paragraphs.push('@weight ' + section.weight());
+  }
+  custom.forEach(name => {
+    if (section.custom(name)) {
+      // A repeated custom property has an array of values, one for each tag.
+      paragraphs.push([].concat(section.custom(name)).map(value => {
+        return '@' + name + ' ' + value;
+      }).join('\n'));
+    }
+  });
+  paragraphs.push('@styleguide ' + section.reference());
+
+  if (marker) {
+    return paragraphs.join('\n\n').split('\n').map(line => {
+      return marker + ' ' + line;
+    });
+  }
+
+  let lines = ['/**'];
+  paragraphs.join('\n\n').split('\n').forEach(line => {
+    lines.push(' * ' + line);
+  });
+  lines.push(' */');
+
+  return lines;
+};
+
+/**
+ * Creates a unified diff of the changes made to a file.
+ *
+ * @private
+ * @param {string} name The name of the file.
+ * @param {string} contents The original contents of the file.
+ * @param {Object[]} changes The changes, sorted by line.
+ * @returns {string} The unified diff.
+ */
+const createDiff = function(name, contents, changes) {
+  let lines = contents.replace(/\r\n?/g, '\n').split('\n'),
+    hunks = [],
+    offset = 0;
+
+  changes.forEach(change => {
+    let start = Math.max(change.start - diffContext, 0),
+      end = Math.min(change.end + diffContext, lines.length - 1),
+      previous = hunks[hunks.length - 1];
+
+    // Merge the changes whose context overlaps.
+    if (previous && start <= previous.end + 1) {
+      previous.end = end;
+      previous.changes.push(change);
+    } else {
+      hunks.push({start: start, end: end, changes: [change]});
+    }
+  });
+
+  let diff = ['--- a/' + name, '+++ b/' + name];
+  hunks.forEach(hunk => {
+    let body = [],
+      index = hunk.start,
+      newLength = 0;
+
+    hunk.changes.forEach(change => {
+      for (; index < change.start; index++) {
+        body.push(' ' + lines[index]);
+      }
+      for (; index <= change.end; index++) {
+        body.push('-' + lines[index]);
+      }
+      change.lines.forEach(line => {
+        body.push('+' + line);
+      });
+      newLength += change.lines.length - (change.end - change.start + 1);
+    });
+    for (; index <= hunk.end; index++) {
+      body.push(' ' + lines[index]);
+    }
+
+    let oldLength = hunk.end - hunk.start + 1;
+    diff.push('@@ -' + (hunk.start + 1) + ',' + oldLength + ' +' + (hunk.start + 1 + offset) + ',' + (oldLength + newLength) + ' @@');
+    diff = diff.concat(body);
+    offset += newLength;
+  });
+
+  return diff.join('\n') + '\n';
+};
+
+module.exports = migrate;
@@ -11,9 +11,13 @@
  * @module kss/lib/parse
  */
 
-const KssStyleGuide = require('./kss_style_guide.js'),
+const KssParseCache = require('./kss_parse_cache.js'),
+  KssSection = require('./kss_section.js'),
+  KssStyleGuide = require('./kss_style_guide.js'),
   marked = require('marked'),
+  parseSource = require('./parse_source.js'),
   path = require('path'),
+  tagParsers = require('./tag_parsers.js'),
   docblockParser = require('docblock-parser');
 
 // Create a MarkDown renderer that does not output a wrapping paragraph.
@@ -32,7 +36,8 @@ inlineRenderer.paragraph = function(text) {
  * @alias module:kss.parse
  * @param {*} input The input to parse
  * @param {Object} [options] Options to alter the output content. Same as the
- *   options in [`traverse()`]{@link module:kss.traverse}.
+ *   options in [`traverse()`]{@link module:kss.traverse}, except that the
+ *   `cache` option is a loaded `KssParseCache` object.
  * @returns {KssStyleGuide} Returns a `KssStyleGuide` object.
  */
 const parse = function(input, options) {
@@ -44,12 +49,20 @@ const parse = function(input, options) {
   if (typeof options.header === 'undefined') {
     options.header = true;
   }
-  options.custom = options.custom || [];
+  options.custom = tagParsers.normalize(options.custom);
+  options.syntax = options.syntax || 'cssdoc';
+  if (!syntaxes[options.syntax] && options.syntax !== 'auto') {
+    throw new Error('Invalid syntax option "' + options.syntax + '"; it must be one of: ' + Object.keys(syntaxes).concat('auto').join(', ') + '.');
+  }
+
+  // The cache of the sections parsed from each file, if any.
+  let cache = options.cache instanceof KssParseCache ? options.cache : false;
 
   // Massage our input into a "files" array of Vinyl-like objects.
   let files = [],
     styleGuide = {
       files: [],
+      fileContents: {},
       sections: []
     };
 
@@ -66,124 +79,196 @@ const parse = function(input, options) {
         return {contents: file};
       } else {
         styleGuide.files.push(file.path);
+        styleGuide.fileContents[file.path] = file.contents;
         return file;
       }
     });
   }
 
   for (let file of files) {
-    // Retrieve an array of "comment block" strings, and then evaluate each one.
-    let comments = findCommentBlocks(file.contents);
+    // Reuse the sections of the files that did not change since they were
+    // cached.
+    let sections = cache ? cache.get(file, options) : false;
+    if (!sections) {
+      sections = parseFile(file, options);
+      if (cache) {
+        cache.set(file, options, sections);
+      }
+    }
+    styleGuide.sections = styleGuide.sections.concat(sections);
+  }
 
-    for (let comment of comments) {
-      // Parse the docblock comment and store it
-      const commentObject = docblockParser.parse(comment.raw);
+  if (options.duplicates) {
+    styleGuide.duplicates = options.duplicates;
+  }
 
-      // Create a new, temporary section object with some default values.
-      // "raw" is a comment block from the array above.
-      let newSection = {
-        raw: comment.raw,
-        header: '',
-        description: '',
-        modifiers: [],
-        parameters: [],
-        markup: '',
-        sourceFile: {
-          name: file.path ? file.path : '',
-          base: file.base ? file.base : '',
-          path: file.path ? file.path : '',
-          line: comment.line
-        }
-      };
+  return new KssStyleGuide(styleGuide);
+};
 
-      if (file.base) {
-        // Always display using UNIX separators.
-        newSection.sourceFile.name = path.relative(file.base, file.path).replace(/\\/g, '/');
+/**
+ * Parses the KSS comments of a file.
+ *
+ * @private
+ * @param {Object} file The file object with a `contents` property and,
+ *   optionally, `base` and `path` properties.
+ * @param {Object} options The normalized parsing options.
+ * @returns {Object[]} The objects describing the sections found in the file.
+ */
+const parseFile = function(file, options) {
+  let sections = [];
+
+  // Retrieve an array of "comment block" strings, and then evaluate each one.
+  let comments = findCommentBlocks(file.contents);
+  let lines = file.contents.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+
+  for (let comment of comments) {
+    // Parse the comment with the syntax it is written in.
+    let syntax = options.syntax,
+      commentObject = false;
+    if (syntax === 'auto') {
+      for (let name of Object.keys(syntaxes)) {
+        commentObject = syntaxes[name](comment, options);
+        if (commentObject) {
+          syntax = name;
+          break;
+        }
       }
+    } else {
+      commentObject = syntaxes[syntax](comment, options);
+    }
 
-      // Parse styleguide
-      newSection.reference = commentObject.tags.styleguide || false;
-      
-      // Ignore this docblock if a styleguide tag is undefined
-      if (!newSection.reference) {
-        continue;
-      }
+    // Ignore this comment if it is not a KSS comment, i.e. it has no
+    // styleguide reference.
+    if (!commentObject) {
+      continue;
+    }
 
-      // Parse header, if enabled
-      if (options.header) {
-        newSection.header = commentObject.text;
-        newSection.header = newSection.header.replace(/\n/g, ' ');
+    // Create a new, temporary section object with some default values.
+    // "raw" is a comment block from the array above.
+    let newSection = {
+      raw: comment.raw,
+      errors: [],
+      reference: commentObject.reference,
+      header: '',
+      description: '',
+      modifiers: [],
+      parameters: [],
+      markup: commentObject.markup,
+      sourceFile: {
+        name: file.path ? file.path : '',
+        base: file.base ? file.base : '',
+        path: file.path ? file.path : '',
+        line: comment.line,
+        endLine: comment.endLine,
+        syntax: syntax,
+        tags: findTagLines(comment, syntax)
       }
+    };
 
-      // Parse description
-      newSection.description = commentObject.tags.description || '';
+    if (file.base) {
+      // Always display using UNIX separators.
+      newSection.sourceFile.name = path.relative(file.base, file.path).replace(/\\/g, '/');
+    }
 
-      // Parse description with markdown, if enabled
-      if (options.markdown) {
-        newSection.description = marked(newSection.description);
-      }
+    // Parse header, if enabled
+    if (options.header) {
+      newSection.header = commentObject.header.replace(/\n/g, ' ');
+    }
 
-      // Parse modifiers
-      let modifiers = commentObject.tags.modifier || '';
+    // Parse description
+    newSection.description = commentObject.description;
 
-      if (modifiers !== '') {
-        newSection.modifiers = newSection.modifiers.concat(modifiers);
-        newSection.modifiers = createModifiers(newSection.modifiers, options);
-      }
+    // Parse description with markdown, if enabled
+    if (options.markdown) {
+      newSection.description = marked(newSection.description);
+    }
 
-      // Parse parameters
-      let parameters = commentObject.tags.param || '';
+    // Parse modifiers
+    if (commentObject.modifiers.length) {
+      newSection.modifiers = createModifiers(commentObject.modifiers, options);
+    }
 
-      if (parameters !== '') {
-        newSection.parameters = newSection.parameters.concat(parameters);
-        newSection.parameters = createParameters(newSection.parameters, options);
-      }
+    // Parse parameters
+    if (commentObject.parameters.length) {
+      newSection.parameters = createParameters(commentObject.parameters, options);
+    }
 
-      // Parse markup
-      newSection.markup = commentObject.tags.markup || '';
+    // Parse the code following the comment.
+    newSection.source = parseSource(lines, comment.endLine);
 
-      // Parse weight
-      // If weight is not defined, return 0 otherwise parse the string into an int
-      newSection.weight = isNaN(commentObject.tags.weight) ? 0 : parseInt(commentObject.tags.weight);
+    // Parse weight
+    // If weight is not defined, return 0 otherwise parse the string into an int
+    newSection.weight = isNaN(commentObject.weight) ? 0 : parseInt(commentObject.weight);
 
-      // Parse deprecation and experimental status
-      newSection.deprecated = typeof commentObject.tags.deprecated !== 'undefined';
-      newSection.experimental = typeof commentObject.tags.experimental !== 'undefined';
+    // Parse deprecation and experimental status
+    newSection.deprecated = commentObject.deprecated;
+    newSection.experimental = commentObject.experimental;
 
-      // Parse custom properties
-      if (options.custom) {
-        const custom = {};
+    // Parse the lifecycle status, which overrides the flags above. An invalid
+    // status is recorded as an error of the section and ignored.
+    let parsedStatus = typeof commentObject.status === 'undefined' ? false : parseStatus(commentObject.status, newSection);
+    if (parsedStatus) {
+      newSection.status = parsedStatus;
+    }
 
-        // Process custom properties.
-        for (let customProperty of options.custom) {
-          custom[customProperty] = commentObject.tags[customProperty] || '';
-        }
+    // Parse the version the section appeared in and the references of the
+    // related sections. Like an invalid status, a repeated since is recorded
+    // as an error and ignored.
+    if (commentObject.since instanceof Array) {
+      newSection.errors.push('Invalid since in ' + locate(newSection) + ': it can only be used once.');
+      newSection.since = '';
+    } else {
+      newSection.since = (commentObject.since || '').trim();
+    }
+    newSection.see = commentObject.see.map(reference => {
+      return reference.trim();
+    }).filter(reference => {
+      return reference !== '';
+    });
 
-        // Merge custom keys into newSection
-        newSection = Object.assign(newSection, custom);
-      }
+    // A deprecated section without a replacement is replaced by its first
+    // related section.
+    let status = newSection.status || {name: newSection.deprecated ? 'deprecated' : 'stable'};
+    if ((status.name === 'deprecated' || status.name === 'removed') && !status.replacement && newSection.see.length) {
+      newSection.status = Object.assign({}, status, {replacement: newSection.see[0]});
+    }
 
-      // Add the new section instance to the sections array.
-      styleGuide.sections.push(newSection);
+    // Parse custom properties and merge them into newSection. Custom tags
+    // without a parser keep their raw value.
+    for (let tag of options.custom) {
+      let value = commentObject.custom[tag.name];
+      if (!tag.parse) {
+        newSection[tag.name] = typeof value === 'undefined' ? '' : value;
+      } else if (tag.multiple || typeof value !== 'undefined') {
+        newSection[tag.name] = parseCustomTag(tag, value, options, newSection);
+      }
     }
+
+    // Add the new section instance to the sections array.
+    sections.push(newSection);
   }
 
-  return new KssStyleGuide(styleGuide);
+  return sections;
 };
 
 /**
  * Returns an array of comment blocks found within a string.
  *
+ * Each block has a `type`: `docblock` for a `/**` comment, `multi` for any
+ * other multi-line `/*` comment and `single` for consecutive lines of `//` or
+ * `///` comments.
+ *
  * @private
  * @param  {String} input The string to search.
- * @returns {Array} An array of blocks found as objects containing line, text,
- *   and raw properties.
+ * @returns {Array} An array of blocks found as objects containing type, line,
+ *   endLine, text, and raw properties.
  */
 const findCommentBlocks = function(input) {
   /* eslint-disable key-spacing */
   const commentRegex = {
+    single:        /^\s*\/\/.*$/,
     docblockStart: /^\s*\/\*\*\s*$/,
-    multiStart:    /^\s*\/\*\*\s*$/,
+    multiStart:    /^\s*\/\*+\s*$/,
     multiFinish:   /^\s*\*\/\s*$/
   };
   /* eslint-enable key-spacing */
@@ -193,7 +278,9 @@ const findCommentBlocks = function(input) {
 
   let blocks = [],
     block = {
+      type: '',
       line: 0,
+      endLine: 0,
       text: '',
       raw: ''
     },
@@ -212,13 +299,16 @@ const findCommentBlocks = function(input) {
     line = line.replace(/\s*$/, '');
 
     // If we have reached the end of the current block, save it.
-    if (insideSingleBlock || (insideMultiBlock || insideDocblock) && line.match(commentRegex.multiFinish)) {
+    if (insideSingleBlock && !line.match(commentRegex.single) || (insideMultiBlock || insideDocblock) && line.match(commentRegex.multiFinish)) {
       let doneWithCurrentLine = !insideSingleBlock;
       block.text = block.text.replace(/^\n+/, '').replace(/\n+$/, '');
+      block.endLine = doneWithCurrentLine ? i + 1 : i;
       blocks.push(block);
       insideMultiBlock = insideDocblock = insideSingleBlock = indentAmount = false;
       block = {
+        type: '',
         line: 0,
+        endLine: 0,
         text: '',
         raw: ''
       };
@@ -229,9 +319,22 @@ const findCommentBlocks = function(input) {
       }
     }
 
+    // Single-line parsing.
+    if (!insideMultiBlock && !insideDocblock && line.match(commentRegex.single)) {
+      if (!insideSingleBlock) {
+        block.type = 'single';
+        block.line = i + 1;
+      }
+      insideSingleBlock = true;
+      block.raw += line + '\n';
+      block.text += line.replace(/^\s*\/\/+\s?/, '') + '\n';
+      continue;
+    }
+
     // Docblock parsing.
-    if (line.match(commentRegex.docblockStart)) {
+    if (!insideMultiBlock && line.match(commentRegex.docblockStart)) {
       insideDocblock = true;
+      block.type = 'docblock';
       block.raw += line + '\n';
       block.line = i + 1;
       continue;
@@ -243,8 +346,9 @@ const findCommentBlocks = function(input) {
       continue;
     }
     // Multi-line parsing.
-    if (line.match(commentRegex.multiStart)) {
+    if (!insideMultiBlock && line.match(commentRegex.multiStart)) {
       insideMultiBlock = true;
+      block.type = 'multi';
       block.raw += line + '\n';
       block.line = i + 1;
       continue;
@@ -267,6 +371,315 @@ const findCommentBlocks = function(input) {
   return blocks;
 };
 
+/**
+ * The comment syntaxes understood by `parse()`.
+ *
+ * Each syntax is a function given a comment block found by
+ * `findCommentBlocks()` and the parsing options. If the comment is a KSS
+ * comment written in that syntax, it returns an object with the `reference`,
+ * `header`, `description`, `modifiers` (an array of "name - description"
+ * strings), `parameters` (also an array of strings), `markup`, `weight`,
+ * `deprecated`, `experimental`, `status` (the raw value of the status tag, if
+ * any), `since` (the raw value of the since tag, if any), `see` (an array of
+ * references) and `custom` (an object of the raw values of the
+ * custom tags used, with an array of values for a repeated tag) properties.
+ * Otherwise, it returns false.
+ *
+ * @private
+ */
+const syntaxes = {
+  // The docblock syntax, using tags like @styleguide and @modifier.
+  cssdoc: function(comment, options) {
+    if (comment.type !== 'docblock' && comment.type !== 'single') {
+      return false;
+    }
+
+    const commentObject = parseDocblock(comment.raw),
+      tags = commentObject.tags;
+    if (!tags.styleguide) {
+      return false;
+    }
+
+    let custom = {};
+    for (let tag of options.custom) {
+      custom[tag.name] = tags[tag.name];
+    }
+
+    // A message given to the deprecated or experimental tag is the message of
+    // the matching status.
+    let status = tags.status;
+    ['deprecated', 'experimental'].forEach(name => {
+      if (typeof status === 'undefined' && typeof tags[name] === 'string' && tags[name].trim()) {
+        status = name + ' ' + tags[name];
+      }
+    });
+
+    return {
+      reference: tags.styleguide,
+      header: commentObject.text,
+      description: tags.description || '',
+      modifiers: [].concat(tags.modifier || []),
+      // Keep a parameter without a name, e.g. "@param @size" whose name is
+      // parsed as a tag, so lint can report it.
+      parameters: typeof tags.param === 'undefined' ? [] : [].concat(tags.param),
+      markup: tags.markup || '',
+      weight: tags.weight,
+      deprecated: typeof tags.deprecated !== 'undefined',
+      experimental: typeof tags.experimental !== 'undefined',
+      status: status,
+      since: tags.since,
+      see: [].concat(tags.see || []),
+      custom: custom
+    };
+  },
+
+  // The classic KSS syntax, using paragraphs like "Styleguide 2.1" and
+  // "Markup: <div>" in any type of comment.
+  kss: function(comment, options) {
+    let text = comment.text;
+    // Remove the asterisks at the start of each line of a multi-line comment.
+    if (comment.type === 'multi' && text.split('\n').every(line => {
+      return /^\s*(\*|$)/.test(line);
+    })) {
+      text = text.replace(/^\s*\*[ \t]?/gm, '');
+    }
+
+    let paragraphs = text.trim().split(/\n[ \t]*\n+/),
+      match = paragraphs[paragraphs.length - 1].trim().match(/^style ?guide:?\s+(\S.*?)\.?$/i);
+    if (!match || /^none$|^no styleguide reference/i.test(match[1])) {
+      return false;
+    }
+
+    let commentObject = {
+        reference: match[1],
+        header: '',
+        description: '',
+        modifiers: [],
+        parameters: [],
+        markup: '',
+        weight: 0,
+        deprecated: false,
+        experimental: false,
+        see: [],
+        custom: {}
+      },
+      customNames = options.custom.map(tag => {
+        return tag.name.toLowerCase();
+      }),
+      description = [];
+
+    paragraphs.slice(0, -1).forEach(paragraph => {
+      let property = paragraph.match(/^\s*([\w-]+):\s*([\s\S]*)$/),
+        name = property ? property[1].toLowerCase() : '',
+        list = parseListParagraph(paragraph);
+
+      if (name === 'markup') {
+        commentObject.markup = property[2].trim();
+      } else if (name === 'status') {
+        commentObject.status = property[2].trim();
+      } else if (name === 'since') {
+        commentObject.since = property[2].trim();
+      } else if (name === 'weight') {
+        commentObject.weight = property[2].trim();
+      } else if (customNames.indexOf(name) !== -1) {
+        // Like a repeated docblock tag, a repeated property is an array.
+        let customName = options.custom[customNames.indexOf(name)].name;
+        commentObject.custom[customName] = typeof commentObject.custom[customName] === 'undefined'
+          ? property[2].trim()
+          : [].concat(commentObject.custom[customName], property[2].trim());
+      } else if (list) {
+        // Modifiers are selectors; parameters are variables or arguments.
+        if (/^[.:&[]/.test(list[0])) {
+          commentObject.modifiers = commentObject.modifiers.concat(list);
+        } else {
+          commentObject.parameters = commentObject.parameters.concat(list);
+        }
+      } else {
+        if (/^\s*deprecated:/i.test(paragraph)) {
+          commentObject.deprecated = true;
+        } else if (/^\s*experimental:/i.test(paragraph)) {
+          commentObject.experimental = true;
+        }
+        description.push(paragraph);
+      }
+    });
+
+    // The first paragraph is the header, unless the header option is
+    // disabled.
+    if (options.header && description.length) {
+      commentObject.header = description.shift();
+    }
+    commentObject.description = description.join('\n\n');
+
+    return commentObject;
+  }
+};
+
+/**
+ * Parses the tags of a docblock.
+ *
+ * A docblock is either a `/**` comment or consecutive lines of `//` (or `///`)
+ * comments, as used in Sass and Less.
+ *
+ * @private
+ * @param {string} raw The raw text of the comment.
+ * @returns {Object} The docblock's `text` and `tags`, as returned by
+ *   `docblockParser.parse()`.
+ */
+const parseDocblock = function(raw) {
+  if (/^\s*\/\//.test(raw)) {
+    // Convert the single-line comments into the equivalent /** */ comment.
+    raw = '/**\n' + raw.replace(/\n$/, '').split('\n').map(line => {
+      return ' * ' + line.replace(/^\s*\/\/+\s?/, '');
+    }).join('\n') + '\n */';
+  }
+  return docblockParser.parse(raw);
+};
+
+/**
+ * Parses a classic KSS paragraph listing modifiers or parameters.
+ *
+ * Each item of the list is a line like `.name - description`. An item's
+ * description can continue on the following, indented, lines.
+ *
+ * @private
+ * @param {string} paragraph The paragraph.
+ * @returns {string[]|boolean} The items, or false if the paragraph is not a
+ *   list.
+ */
+const parseListParagraph = function(paragraph) {
+  let items = [];
+
+  for (let line of paragraph.split('\n')) {
+    if (/^\S+\s+-\s/.test(line)) {
+      items.push(line);
+    } else if (items.length && /^\s+\S/.test(line)) {
+      items[items.length - 1] += '\n' + line;
+    } else {
+      return false;
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Finds the line numbers of the tags in a comment block.
+ *
+ * In the classic KSS syntax, the tags are the "Styleguide", "Markup",
+ * "Weight", "Status", "Since", "Deprecated" and "Experimental" paragraphs and
+ * the lines of the modifier and parameter lists.
+ *
+ * @private
+ * @param {Object} comment A comment block found by `findCommentBlocks()`.
+ * @param {string} syntax The syntax of the comment.
+ * @returns {Object} An object whose keys are tag names and whose values are
+ *   arrays of the line numbers where each of those tags is used, e.g.
+ *   `{modifier: [5, 6], styleguide: [8]}`.
+ */
+const findTagLines = function(comment, syntax) {
+  let tags = {};
+
+  comment.raw.split('\n').forEach((line, index) => {
+    let tag;
+    if (syntax === 'cssdoc') {
+      let match = line.match(/^\s*(\*|\/\/+)?\s*@([\w-]+)/);
+      tag = match && match[2];
+    } else {
+      // Remove the comment markers.
+      line = line.replace(/^\s*(\/\/+|\*+)?\s*/, '');
+      let match = line.match(/^(style ?guide|markup|weight|status|since|deprecated|experimental)(:|\s)/i);
+      if (match) {
+        tag = match[1].toLowerCase().replace(' ', '');
+      } else if (/^\S+\s+-\s/.test(line)) {
+        tag = /^[.:&[]/.test(line) ? 'modifier' : 'param';
+      }
+    }
+    if (tag) {
+      tags[tag] = tags[tag] || [];
+      tags[tag].push(comment.line + index);
+    }
+  });
+
+  return tags;
+};
+
+/**
+ * Parses the value of a custom tag with the tag's parser.
+ *
+ * @private
+ * @param {Object} tag The custom tag, as returned by `tagParsers.normalize()`.
+ * @param {string|string[]} [value] The raw value of the tag, or an array of
+ *   values if the tag is used several times.
+ * @param {Object} options The options object.
+ * @param {Object} section The section being parsed, to locate errors.
+ * @returns {*} The parsed value, or an array of parsed values if the tag is
+ *   `multiple`.
+ */
+const parseCustomTag = function(tag, value, options, section) {
+  let values = typeof value === 'undefined' ? [] : [].concat(value);
+
+  try {
+    if (!tag.multiple && values.length > 1) {
+      throw new Error('it can only be used once.');
+    }
+    values = values.map(item => {
+      return tag.parse(item, options);
+    });
+  } catch (error) {
+    throw new Error('Invalid custom tag "' + tag.name + '" in ' + locate(section) + ': ' + error.message);
+  }
+
+  return tag.multiple ? values : values[0];
+};
+
+/**
+ * Parses the value of a status tag.
+ *
+ * The value is the name of the status, optionally followed by `since` and a
+ * version, by `replaced by` and a reference, and by a message, e.g.
+ * `deprecated since 2.0 replaced by buttons.new - Use the new buttons.`
+ *
+ * @private
+ * @param {string|string[]} value The raw value of the tag.
+ * @param {Object} section The section being parsed, whose `errors` the
+ *   problems found are added to.
+ * @returns {Object|boolean} The status, with `name`, `message`, `since` and
+ *   `replacement` properties, or false if the tag is invalid.
+ */
+const parseStatus = function(value, section) {
+  if (value instanceof Array) {
+    section.errors.push('Invalid status in ' + locate(section) + ': it can only be used once.');
+    return false;
+  }
+
+  let match = value.trim().match(/^([\w-]*)(?:\s+since\s+(\S+))?(?:\s+replaced by\s+(\S+))?\s*(?:-\s)?([\s\S]*)$/i),
+    name = match[1].toLowerCase();
+  if (KssSection.statuses.indexOf(name) === -1) {
+    section.errors.push('Invalid status "' + match[1] + '" in ' + locate(section) + '; it must be one of: ' + KssSection.statuses.join(', ') + '.');
+    return false;
+  }
+
+  return {
+    name: name,
+    message: match[4].trim(),
+    since: match[2] || '',
+    replacement: match[3] || ''
+  };
+};
+
+/**
+ * Describes the location of a section being parsed, for error messages.
+ *
+ * @private
+ * @param {Object} section The section being parsed.
+ * @returns {string} The reference of the section and its file and line.
+ */
+const locate = function(section) {
+  let sourceFile = section.sourceFile;
+  return 'section "' + section.reference + '" at ' + (sourceFile.path ? sourceFile.path + ':' : 'line ') + sourceFile.line;
+};
+
 /**
  * Takes an array of modifier lines, and turns it into a JSON equivalent of
  * KssModifier.
@@ -323,6 +736,10 @@ const createParameters = function(rawParameters, options) {
       defaultValue = tokens[1];
     }
 
+    // A docblock tag's value cannot start with "@", so the name of a Less
+    // variable is written "\@name".
+    parameter = parameter.replace(/^\\@/, '@');
+
     // Markdown parsing.
     if (options.markdown) {
       description = marked(description, {renderer: inlineRenderer});
@@ -337,3 +754,4 @@ const createParameters = function(rawParameters, options) {
 };
 
 module.exports = parse;
+module.exports.docblock = parseDocblock;
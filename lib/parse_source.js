@@ -0,0 +1,441 @@
+'use strict';
+
+/**
+ * The `kss/lib/parse_source` module is used by
+ * [`parse()`]{@link module:kss.parse} to find the CSS code documented by each
+ * KSS comment:
+ * ```
+ * const parseSource = require('kss/lib/parse_source');
+ * let source = parseSource(lines, index),
+ *   rules = parseSource.rules(lines, start, end);
+ * ```
+ * @private
+ * @module kss/lib/parse_source
+ */
+
+/**
+ * Parses the code following a KSS comment.
+ *
+ * The code is the rule, mixin or statement that starts on the first non-blank
+ * line after the comment. Rules with braces (CSS, Sass, Less) and rules using
+ * indentation (the indented Sass syntax, Stylus) are supported.
+ *
+ * The returned object has the following properties:
+ * - code: The code, without the indentation of its first line.
+ * - line: The line number of the start of the code.
+ * - endLine: The line number of the end of the code.
+ * - selectors: The selectors of the rule (or the mixin's signature.) For a
+ *   statement, e.g. `$color: red;`, this is an empty array.
+ * - declarations: An array of `{property, value}` objects.
+ * - rules: An array of nested rules, each with `selectors`, `declarations`
+ *   and `rules` properties.
+ *
+ * @param {string[]} lines The lines of the file containing the comment.
+ * @param {number} index The 0-based index of the first line after the comment.
+ * @returns {Object|boolean} The parsed code, or false if the comment is not
+ *   followed by any code.
+ */
+const parseSource = function(lines, index) {
+  // Skip the blank lines after the comment.
+  while (index < lines.length && lines[index].trim() === '') {
+    index++;
+  }
+
+  // Ignore a comment followed by another comment or by the end of a block.
+  if (index >= lines.length || /^\s*(\/\*|\/\/|})/.test(lines[index])) {
+    return false;
+  }
+
+  let firstLine = stripComments(lines[index]).trim(),
+    nextIndex = index + 1;
+  while (nextIndex < lines.length && lines[nextIndex].trim() === '') {
+    nextIndex++;
+  }
+
+  let source;
+  if (/[{;]/.test(firstLine) || /,$/.test(firstLine) || nextIndex < lines.length && /^\s*{/.test(lines[nextIndex])) {
+    source = parseBraces(lines, index);
+  } else if (nextIndex < lines.length && indentation(lines[nextIndex]) > indentation(lines[index])) {
+    source = parseIndented(lines, index);
+  } else {
+    // A single line statement without a semi-colon, e.g. a Sass variable.
+    source = {
+      code: lines[index],
+      selectors: [],
+      declarations: [],
+      rules: []
+    };
+    addDeclaration(source, lines[index]);
+  }
+
+  // Remove the indentation of the first line from every line of the code.
+  let indent = lines[index].match(/^\s*/)[0];
+  source.code = source.code.split('\n').map(line => {
+    return line.indexOf(indent) === 0 ? line.slice(indent.length) : line;
+  }).join('\n');
+
+  return {
+    code: source.code,
+    line: index + 1,
+    endLine: index + source.code.split('\n').length,
+    selectors: source.selectors,
+    declarations: source.declarations,
+    rules: source.rules
+  };
+};
+
+/**
+ * Parses all the rules and statements between two lines of a file, skipping
+ * comments.
+ *
+ * Parsing stops early at the end of a block, i.e. a line starting with `}`.
+ *
+ * @param {string[]} lines The lines of the file.
+ * @param {number} start The index of the first line.
+ * @param {number} end The index of the line after the last line.
+ * @returns {Object[]} The rules, as returned by `parseSource()`.
+ */
+const parseRules = function(lines, start, end) {
+  let rules = [],
+    index = start;
+
+  while (index < end) {
+    let line = lines[index].trim();
+    if (line === '' || line.indexOf('//') === 0) {
+      index++;
+    } else if (line.indexOf('/*') === 0) {
+      while (index < end && lines[index].indexOf('*/') === -1) {
+        index++;
+      }
+      index++;
+    } else {
+      let source = parseSource(lines, index);
+      // Stop at the end of the enclosing block.
+      if (!source || source.endLine > end) {
+        break;
+      }
+      rules.push(source);
+      index = source.endLine;
+    }
+  }
+
+  return rules;
+};
+
+/**
+ * Parses a rule or statement that uses braces and semi-colons.
+ *
+ * @private
+ * @param {string[]} lines The lines of the file.
+ * @param {number} index The index of the first line of the code.
+ * @returns {Object} The parsed code.
+ */
+const parseBraces = function(lines, index) {
+  // Join the lines of the code a few at a time until the end of the code is
+  // found, instead of joining the rest of the file for every comment.
+  let count = 1,
+    text, end, close;
+  do {
+    text = lines.slice(index, index + count).join('\n');
+    end = findTopLevel(text, ';{}', 0);
+    close = (end !== -1 && text[end] === '{') ? findClosingBrace(text, end) : end;
+    count *= 2;
+  } while (close === -1 && index + count / 2 < lines.length);
+
+  let source;
+  if (end !== -1 && text[end] === '{') {
+    if (close === -1) {
+      close = text.length;
+    }
+    source = createRule(text.slice(0, end), text.slice(end + 1, close));
+    source.code = text.slice(0, close + 1);
+  } else {
+    // A statement, e.g. a variable or an @include.
+    if (end === -1 || text[end] === '}') {
+      end = text.indexOf('\n');
+      if (end === -1) {
+        end = text.length;
+      }
+    }
+    source = {
+      code: text.slice(0, end + 1),
+      selectors: [],
+      declarations: [],
+      rules: []
+    };
+    addDeclaration(source, text.slice(0, end));
+  }
+  source.code = source.code.replace(/\s+$/, '');
+
+  return source;
+};
+
+/**
+ * Parses a rule that uses indentation instead of braces.
+ *
+ * @private
+ * @param {string[]} lines The lines of the file.
+ * @param {number} index The index of the first line of the rule.
+ * @returns {Object} The parsed rule.
+ */
+const parseIndented = function(lines, index) {
+  let end = findIndentedEnd(lines, index),
+    source = createIndentedRule(lines, index, end);
+
+  source.code = lines.slice(index, end + 1).join('\n');
+
+  return source;
+};
+
+/**
+ * Returns the index of the last line of an indented rule.
+ *
+ * @private
+ * @param {string[]} lines The lines of the file.
+ * @param {number} index The index of the first line of the rule.
+ * @returns {number} The index of the last non-blank line of the rule.
+ */
+const findIndentedEnd = function(lines, index) {
+  let indent = indentation(lines[index]),
+    end = index;
+
+  for (let i = index + 1; i < lines.length; i++) {
+    if (lines[i].trim() === '') {
+      continue;
+    }
+    if (indentation(lines[i]) <= indent) {
+      break;
+    }
+    end = i;
+  }
+
+  return end;
+};
+
+/**
+ * Creates a rule object from the lines of an indented rule.
+ *
+ * @private
+ * @param {string[]} lines The lines of the file.
+ * @param {number} index The index of the first line of the rule.
+ * @param {number} end The index of the last line of the rule.
+ * @returns {Object} The rule.
+ */
+const createIndentedRule = function(lines, index, end) {
+  let rule = {
+    selectors: splitSelectors(stripComments(lines[index])),
+    declarations: [],
+    rules: []
+  };
+
+  for (let i = index + 1; i <= end; i++) {
+    if (stripComments(lines[i]).trim() === '') {
+      continue;
+    }
+    let childEnd = findIndentedEnd(lines, i);
+    if (childEnd > i) {
+      rule.rules.push(createIndentedRule(lines, i, childEnd));
+      i = childEnd;
+    } else {
+      addDeclaration(rule, lines[i].replace(/;\s*$/, ''));
+    }
+  }
+
+  return rule;
+};
+
+/**
+ * Creates a rule object given the rule's prelude and the contents of its
+ * braces.
+ *
+ * @private
+ * @param {string} prelude The selectors of the rule.
+ * @param {string} body The code between the rule's braces.
+ * @returns {Object} The rule.
+ */
+const createRule = function(prelude, body) {
+  let rule = {
+    selectors: splitSelectors(stripComments(prelude)),
+    declarations: [],
+    rules: []
+  };
+
+  let i = 0;
+  while (i < body.length) {
+    let next = findTopLevel(body, ';{}', i);
+    if (next === -1) {
+      addDeclaration(rule, body.slice(i));
+      break;
+    }
+    if (body[next] === '{') {
+      let close = findClosingBrace(body, next);
+      if (close === -1) {
+        close = body.length;
+      }
+      rule.rules.push(createRule(body.slice(i, next), body.slice(next + 1, close)));
+      i = close + 1;
+    } else {
+      addDeclaration(rule, body.slice(i, next));
+      i = next + 1;
+    }
+  }
+
+  return rule;
+};
+
+/**
+ * Adds a declaration to a rule.
+ *
+ * @private
+ * @param {Object} rule The rule.
+ * @param {string} text The text of the declaration, e.g. `color: red`.
+ */
+const addDeclaration = function(rule, text) {
+  text = stripComments(text).trim();
+  if (!text) {
+    return;
+  }
+
+  // Most declarations use a colon, e.g. "color: red" or "$size: 1px", but
+  // Stylus variables use an equals sign and statements like "@include button"
+  // and other Stylus declarations use neither.
+  let match = text.match(/^([^:=\s]+)\s*[:=]\s*([\s\S]*)$/) || text.match(/^(\S+)\s*([\s\S]*)$/);
+  rule.declarations.push({
+    property: match[1],
+    value: match[2].replace(/\s+/g, ' ')
+  });
+};
+
+/**
+ * Splits a list of selectors at its commas.
+ *
+ * @private
+ * @param {string} prelude The selector list.
+ * @returns {string[]} The selectors.
+ */
+const splitSelectors = function(prelude) {
+  let selectors = [],
+    start = 0,
+    comma;
+
+  do {
+    comma = findTopLevel(prelude, ',', start);
+    selectors.push(prelude.slice(start, comma === -1 ? prelude.length : comma));
+    start = comma + 1;
+  } while (comma !== -1);
+
+  return selectors.map(selector => {
+    return selector.replace(/\s+/g, ' ').trim();
+  }).filter(selector => {
+    return selector !== '';
+  });
+};
+
+/**
+ * Finds the first of the given characters that is not inside a string, a
+ * comment, parentheses or an interpolation like `#{$name}`.
+ *
+ * @private
+ * @param {string} text The text to search.
+ * @param {string} characters The characters to find.
+ * @param {number} start The index to start searching at.
+ * @returns {number} The index of the character found, or -1.
+ */
+const findTopLevel = function(text, characters, start) {
+  let parentheses = 0;
+
+  for (let i = start; i < text.length; i++) {
+    let character = text[i];
+
+    if (character === '"' || character === '\'') {
+      // Skip to the end of the string.
+      let end = i + 1;
+      while (end < text.length && text[end] !== character && text[end] !== '\n') {
+        end += (text[end] === '\\') ? 2 : 1;
+      }
+      i = end;
+    } else if (character === '/' && text[i + 1] === '*') {
+      let end = text.indexOf('*/', i + 2);
+      if (end === -1) {
+        return -1;
+      }
+      i = end + 1;
+    } else if (character === '/' && text[i + 1] === '/' && parentheses === 0) {
+      let end = text.indexOf('\n', i);
+      if (end === -1) {
+        return -1;
+      }
+      i = end;
+    } else if ((character === '#' || character === '@') && text[i + 1] === '{') {
+      let end = findClosingBrace(text, i + 1);
+      if (end === -1) {
+        return -1;
+      }
+      i = end;
+    } else if (character === '(') {
+      parentheses++;
+    } else if (character === ')') {
+      parentheses = Math.max(parentheses - 1, 0);
+    } else if (parentheses === 0 && characters.indexOf(character) !== -1) {
+      return i;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Finds the brace that closes the given opening brace.
+ *
+ * @private
+ * @param {string} text The text to search.
+ * @param {number} open The index of the opening brace.
+ * @returns {number} The index of the closing brace, or -1.
+ */
+const findClosingBrace = function(text, open) {
+  let depth = 0,
+    i = open;
+
+  while (i !== -1) {
+    if (text[i] === '{') {
+      depth++;
+    } else {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+    i = findTopLevel(text, '{}', i + 1);
+  }
+
+  return -1;
+};
+
+/**
+ * Removes the comments from a piece of code.
+ *
+ * @private
+ * @param {string} text The code.
+ * @returns {string} The code without comments.
+ */
+const stripComments = function(text) {
+  return text
+    .replace(/\/\*[\s\S]*?(\*\/|$)/g, '')
+    // Do not remove the "//" of a URL, e.g. url(http://example.com).
+    .replace(/(^|[^:])\/\/.*$/gm, '$1');
+};
+
+/**
+ * Returns the width of a line's indentation.
+ *
+ * @private
+ * @param {string} line The line.
+ * @returns {number} The number of whitespace characters at the start of the
+ *   line.
+ */
+const indentation = function(line) {
+  return line.match(/^\s*/)[0].length;
+};
+
+module.exports = parseSource;
+module.exports.rules = parseRules;
@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * The `kss/lib/parse_stream` module is normally accessed via the
+ * [`parseStream()`]{@link module:kss.parseStream} method of the `kss` module:
+ * ```
+ * const kss = require('kss');
+ * kss.parseStream(gulp.src('styles/*.scss')).then(styleGuide => {
+ *   styleGuide.sections('buttons');
+ * });
+ * ```
+ * @private
+ * @module kss/lib/parse_stream
+ */
+
+const KssParseCache = require('./kss_parse_cache.js'),
+  parse = require('./parse.js'),
+  Promise = require('bluebird');
+
+/**
+ * Parses the files given by a stream, an iterable or an async iterable, and
+ * creates a KssStyleGuide.
+ *
+ * This lets build tools, like gulp, webpack or Rollup plugins, parse files
+ * that are already in memory. Each file is a Vinyl-like object with the
+ * following properties:
+ * - base: The source directory the file is in. The names of the files in the
+ *   style guide are relative to it.
+ * - path: The full path to the file.
+ * - contents: The contents of the file, as a string or a `Buffer`.
+ *
+ * Files without contents, like the directories of a gulp stream, are skipped.
+ * The `mask` option is not used: all the files given are parsed.
+ *
+ * ```
+ * kss.parseStream(gulp.src('styles/*.scss'), {markdown: false}).then(styleGuide => {
+ *   styleGuide.sections('buttons');
+ * });
+ * ```
+ *
+ * @alias module:kss.parseStream
+ * @param {stream.Readable|Iterable|AsyncIterable|Object[]} input An object
+ *   stream, an iterable (like an array) or an async iterable of file objects.
+ * @param {Object} [options] Options to alter the output content. Same as the
+ *   options in [`traverse()`]{@link module:kss.traverse}.
+ * @returns {Promise.<KssStyleGuide>} A `Promise` object resolving to a
+ *   `KssStyleGuide`.
+ */
+const parseStream = function(input, options) {
+  options = options || {};
+
+  return collect(input).then(files => {
+    // Skip the files without contents, like the directories of a gulp stream.
+    files = files.filter(file => {
+      return typeof file === 'string' || file && file.contents != null;
+    }).map(toFile);
+
+    if (!options.cache) {
+      return parse(files, options);
+    }
+
+    // Parse the files with the cached sections, then save the cache.
+    let cache = new KssParseCache(options.cache),
+      styleGuide;
+    return cache.load().then(() => {
+      styleGuide = parse(files, Object.assign({}, options, {cache: cache}));
+      return cache.save();
+    }).then(() => {
+      return styleGuide;
+    });
+  });
+};
+
+/**
+ * Collects the items of a stream, an iterable or an async iterable.
+ *
+ * @private
+ * @param {stream.Readable|Iterable|AsyncIterable} input The input.
+ * @returns {Promise.<Array>} A `Promise` object resolving to the items.
+ */
+const collect = function(input) {
+  if (Array.isArray(input)) {
+    return Promise.resolve(input);
+  }
+
+  // A readable stream.
+  if (input && typeof input.on === 'function' && typeof input.pipe === 'function') {
+    return new Promise((resolve, reject) => {
+      let items = [];
+      input.on('data', item => {
+        items.push(item);
+      });
+      input.on('error', reject);
+      input.on('end', () => {
+        resolve(items);
+      });
+    });
+  }
+
+  // An async iterable.
+  if (input && typeof Symbol.asyncIterator !== 'undefined' && typeof input[Symbol.asyncIterator] === 'function') {
+    let iterator = input[Symbol.asyncIterator](),
+      items = [];
+    let next = function() {
+      return Promise.resolve(iterator.next()).then(result => {
+        if (result.done) {
+          return items;
+        }
+        items.push(result.value);
+        return next();
+      });
+    };
+    return next();
+  }
+
+  // An iterable.
+  if (input && typeof input[Symbol.iterator] === 'function' && typeof input !== 'string') {
+    return Promise.resolve(Array.from(input));
+  }
+
+  return Promise.reject(new Error('Invalid input; kss.parseStream() expects a stream, an iterable or an async iterable of file objects.'));
+};
+
+/**
+ * Converts a Vinyl-like object to the file object expected by `parse()`.
+ *
+ * @private
+ * @param {Object|string} file The Vinyl-like object, or a string of CSS.
+ * @returns {Object|string} The file object, with `base`, `path` and string
+ *   `contents` properties, or the string.
+ */
+const toFile = function(file) {
+  if (typeof file === 'string') {
+    return file;
+  }
+  if (typeof file.isStream === 'function' && file.isStream()) {
+    throw new Error('The contents of ' + file.path + ' is a stream; kss.parseStream() only accepts files with string or Buffer contents.');
+  }
+  return {
+    base: file.base,
+    path: file.path,
+    contents: Buffer.isBuffer(file.contents) ? file.contents.toString('utf8') : String(file.contents)
+  };
+};
+
+module.exports = parseStream;
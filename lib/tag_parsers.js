@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * The `kss/lib/tag_parsers` module is normally accessed via the
+ * [`tagParsers`]{@link module:kss.tagParsers} property of the `kss` module:
+ * ```
+ * const kss = require('kss');
+ * kss.traverse(directory, {
+ *   custom: [
+ *     {name: 'level', parse: kss.tagParsers.enum(['atom', 'molecule'])},
+ *     {name: 'note', parse: kss.tagParsers.markdown(), multiple: true}
+ *   ]
+ * });
+ * ```
+ * @private
+ * @module kss/lib/tag_parsers
+ */
+
+const marked = require('marked');
+
+/**
+ * Normalizes the list of custom tags given in the `custom` option.
+ *
+ * Each custom tag can be given as its name or as an object with the following
+ * properties:
+ * - name: The name of the tag, which is also the name of the section's custom
+ *   property.
+ * - parse: A function given the tag's value (a string) and the parsing
+ *   options. It returns the parsed value, or throws an `Error` if the value is
+ *   invalid.
+ * - type: Instead of `parse`, the name of one of the built-in parsers: `enum`
+ *   (with a `values` property listing the allowed values), `list` (with an
+ *   optional `separator` property), `key-value` or `markdown`. This allows
+ *   custom tags to be defined in a JSON config file.
+ * - multiple: If true, the tag can be used several times in a KSS comment and
+ *   the custom property is an array of all the parsed values.
+ *
+ * A custom tag given as a name keeps its raw value.
+ *
+ * @alias module:kss.tagParsers.normalize
+ * @param {Array} [custom] The names or objects describing the custom tags.
+ * @returns {Object[]} An array of objects with a `name` property and, for the
+ *   tags that are parsed, a `parse` function and a `multiple` flag.
+ */
+const normalize = function(custom) {
+  return (custom || []).map(tag => {
+    if (typeof tag === 'string') {
+      return {name: tag};
+    }
+    if (!tag || typeof tag !== 'object' || typeof tag.name !== 'string') {
+      throw new Error('Invalid custom tag ' + JSON.stringify(tag) + '; it must be a name or an object with a "name" property.');
+    }
+    if (typeof tag.parse === 'function' || !tag.type) {
+      return tag;
+    }
+    if (!types[tag.type]) {
+      throw new Error('Invalid type "' + tag.type + '" of the custom tag "' + tag.name + '"; it must be one of: ' + Object.keys(types).join(', ') + '.');
+    }
+    return Object.assign({}, tag, {parse: types[tag.type](tag)});
+  });
+};
+
+/**
+ * Creates a parser accepting one of a list of values.
+ *
+ * The case of the value is ignored; the parsed value is the matching item of
+ * the list.
+ *
+ * @alias module:kss.tagParsers.enum
+ * @param {string[]} values The allowed values.
+ * @returns {Function} The parser.
+ */
+const enumeration = function(values) {
+  values = values || [];
+  return function(value) {
+    value = value.trim();
+    for (let allowed of values) {
+      if (allowed.toLowerCase() === value.toLowerCase()) {
+        return allowed;
+      }
+    }
+    throw new Error('"' + value + '" is not one of: ' + values.join(', ') + '.');
+  };
+};
+
+/**
+ * Creates a parser splitting a value into a list.
+ *
+ * @alias module:kss.tagParsers.list
+ * @param {string|RegExp} [separator] The separator of the items. Defaults to
+ *   commas and line breaks.
+ * @returns {Function} The parser, returning an array of the non-empty items.
+ */
+const list = function(separator) {
+  separator = separator || /,|\n/;
+  return function(value) {
+    return value.split(separator).map(item => {
+      return item.trim();
+    }).filter(item => {
+      return item !== '';
+    });
+  };
+};
+
+/**
+ * Creates a parser for values listing `key: value` (or `key = value`) pairs,
+ * one on each line.
+ *
+ * @alias module:kss.tagParsers.keyValue
+ * @returns {Function} The parser, returning an object.
+ */
+const keyValue = function() {
+  return function(value) {
+    let pairs = {};
+    value.split('\n').forEach(line => {
+      if (line.trim() === '') {
+        return;
+      }
+      let match = line.match(/^\s*([^:=]*[^:=\s])\s*[:=]\s*(.*?)\s*$/);
+      if (!match) {
+        throw new Error('"' + line.trim() + '" is not a "key: value" pair.');
+      }
+      pairs[match[1]] = match[2];
+    });
+    return pairs;
+  };
+};
+
+/**
+ * Creates a parser converting a value from Markdown to HTML, unless the
+ * `markdown` parsing option is disabled.
+ *
+ * @alias module:kss.tagParsers.markdown
+ * @returns {Function} The parser.
+ */
+const markdown = function() {
+  return function(value, options) {
+    value = value.trim();
+    return options && options.markdown === false ? value : marked(value);
+  };
+};
+
+// The built-in parsers that can be used by name, given the custom tag object.
+const types = {
+  'enum': tag => {
+    return enumeration(tag.values);
+  },
+  'list': tag => {
+    return list(tag.separator);
+  },
+  'key-value': () => {
+    return keyValue();
+  },
+  'markdown': () => {
+    return markdown();
+  }
+};
+
+module.exports.normalize = normalize;
+module.exports.enum = enumeration;
+module.exports.list = list;
+module.exports.keyValue = keyValue;
+module.exports.markdown = markdown;
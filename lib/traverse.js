@@ -11,7 +11,10 @@
  * @module kss/lib/traverse
  */
 
-const parse = require('./parse.js'),
+const hasMagic = require('glob').hasMagic,
+  ignoreFilter = require('./ignore_filter.js'),
+  Minimatch = require('minimatch').Minimatch,
+  parseStream = require('./parse_stream.js'),
   path = require('path'),
   Promise = require('bluebird');
 
@@ -20,6 +23,12 @@ const fs = Promise.promisifyAll(require('fs-extra'));
 /**
  * Traverse a directory, parse its contents, and create a KssStyleGuide.
  *
+ * Instead of a directory, a source can be a file, e.g. `theme/base.css`, or a
+ * glob matching files, e.g. `src/components/*.scss`. The mask is only used to
+ * find the files of directories; the files and globs given are always parsed.
+ * The names of the files found by a glob are relative to the directory the
+ * glob starts with, e.g. `src/components`, and so are the ignore patterns.
+ *
  * Callbacks receive an instance of `KssStyleGuide`.
  *
  * If you want to parse anything other than css, less, sass, or stylus files
@@ -38,6 +47,11 @@ const fs = Promise.promisifyAll(require('fs-extra'));
  * - mask: Use a regex or string (e.g. `*.less|*.css`) to only parse files
  *   matching this value. Defaults to:
  *   `*.css|*.less|*.sass|*.scss|*.styl|*.stylus`
+ * - ignore: A glob or an array of globs, e.g. `node_modules/`, `vendor/**` or
+ *   `*.min.css`, of the files and directories to skip, relative to each source
+ *   directory. The patterns of a `.kssignore` file at the root of a source
+ *   directory are skipped too. See
+ *   [`ignoreFilter()`]{@link module:kss/lib/ignore_filter}.
  * - markdown: kss-node supports built-in Markdown formatting of its
  *   documentation, thanks to [marked](https://github.com/chjj/marked). It's
  *   enabled by default, but you can disable it by adding `markdown: false` to
@@ -47,9 +61,29 @@ const fs = Promise.promisifyAll(require('fs-extra'));
  *   and the title will remain a part of the description. This setting is
  *   enabled by default, but you can disable it by adding `header: false` to
  *   your options.
+ * - custom: The custom tags to parse into custom properties of the sections,
+ *   given as names or as objects with a `parse` function; see
+ *   [`tagParsers.normalize()`]{@link module:kss.tagParsers.normalize}.
+ * - syntax: The syntax of the KSS comments: `cssdoc` (the default) for
+ *   docblocks using tags like `@styleguide` (in `/**` or consecutive `//`
+ *   comments), `kss` for the classic KSS syntax using paragraphs like
+ *   `Styleguide 2.1` in any block or `//` comment, or `auto` to accept both.
+ * - duplicates: How to handle sections with the same reference: `warn` (the
+ *   default), `error`, `merge` or `keep-first`. See
+ *   [`KssStyleGuide`]{@link module:kss.KssStyleGuide}.
+ * - followSymlinks: Whether to follow the symbolic links found in the source
+ *   directories, including the directories searched for a glob. Defaults to
+ *   `true`. A directory linking to one of its parent
+ *   directories is not traversed again, and a file found through several links
+ *   is only parsed once.
+ * - cache: The path of a JSON file to cache the sections parsed from each file
+ *   in. The files that did not change since the last run, with the same
+ *   parsing options, are not parsed again. See
+ *   [`KssParseCache`]{@link module:kss/lib/kss_parse_cache}.
  *
  * @alias module:kss.traverse
- * @param {String|Array} directories The directories to traverse
+ * @param {String|Array} directories The directories, files or globs to
+ *   traverse
  * @param {Object} [options] Options to alter the output content (optional)
  * @returns {Promise} A `Promise` object resolving to a `KssStyleGuide`.
  */
@@ -66,13 +100,31 @@ let traverse = function(directories, options) {
     );
   }
 
+  // Follow symbolic links by default.
+  if (typeof options.followSymlinks === 'undefined') {
+    options.followSymlinks = true;
+  }
+
   if (!Array.isArray(directories)) {
     directories = [directories];
   }
 
-  let walk = function(directory) {
-    // Look at the contents of the directory.
-    return fs.readdirAsync(directory).then(relnames => {
+  // Whether a directory item matches the mask. Directories are always
+  // traversed.
+  let matchesMask = function(name, isDirectory) {
+    return isDirectory || !options.mask || name.match(options.mask);
+  };
+
+  let walk = function(directory, isIgnored, isMatch, ancestors) {
+    // Look at the contents of the directory, unless it is one of its own
+    // ancestors, reached again through a symbolic link.
+    return fs.realpathAsync(directory).then(realPath => {
+      if (ancestors.indexOf(realPath) !== -1) {
+        return [];
+      }
+      ancestors = ancestors.concat(realPath);
+      return fs.readdirAsync(directory);
+    }).then(relnames => {
       // If there are no files/folders, declare success.
       if (relnames.length === 0) {
         return Promise.resolve([]);
@@ -83,18 +135,23 @@ let traverse = function(directories, options) {
         relnames.map(fileName => {
           let name = path.join(directory, fileName);
 
-          // Check if the directory item is a directory or file.
-          return fs.statAsync(name).then(stat => {
+          // Check if the directory item is a directory or file, skipping the
+          // symbolic links that are not followed.
+          return statItem(name, options.followSymlinks).then(stat => {
+            // Skip the ignored files and directories, and those that do not
+            // match.
+            if (!stat || isIgnored(name, stat.isDirectory()) || !isMatch(name, stat.isDirectory())) {
+              return false;
+            }
             // Recursively search any directories.
             if (stat.isDirectory()) {
               if (fileName !== '.svn' && fileName !== '.git') {
-                return walk(name);
+                return walk(name, isIgnored, isMatch, ancestors);
               }
-            // If the file matches our mask, save its path.
-            } else if (!options.mask || name.match(options.mask)) {
-              return name;
+              return false;
             }
-            return false;
+            // Save the path of the matching file.
+            return name;
           });
         })
       ).then(results => {
@@ -114,17 +171,50 @@ let traverse = function(directories, options) {
     });
   };
 
+  // Finds the files of a glob that are not ignored, nor in an ignored
+  // directory. The directory the glob starts with is walked like any other
+  // source, so symbolic links are handled the same way, and only the
+  // directories that can contain a match are traversed.
+  let find = function(pattern, base, isIgnored) {
+    let matcher = new Minimatch(path.normalize(pattern).replace(/\\/g, '/'));
+    return walk(base, isIgnored, (name, isDirectory) => {
+      return matcher.match(name.replace(/\\/g, '/'), isDirectory);
+    }, []).catch(error => {
+      // A glob without any match.
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    });
+  };
+
   // Get each file in the target directory, order them alphabetically and then
   // parse their output.
 
-  // Loop through all the given directories.
+  // Loop through all the given directories, files and globs.
   return Promise.all(
     directories.map(directory => {
-      // Normalize the directory path and then "walk" it, collecting file names
-      // in the fileNames variable.
-      return walk(path.normalize(directory)).then(files => {
+      let base;
+      return sourceDirectory(directory).then(result => {
+        base = result;
+        return ignoreFilter(base, options.ignore);
+      }).then(isIgnored => {
+        // Find the files matching a glob.
+        if (hasMagic(directory)) {
+          return find(directory, base, isIgnored);
+        }
+        return fs.statAsync(directory).then(stat => {
+          // Keep a file given as a source, even if it does not match the mask.
+          if (!stat.isDirectory()) {
+            return [path.normalize(directory)];
+          }
+          // Normalize the directory path and then "walk" it, collecting file
+          // names in the fileNames variable.
+          return walk(path.normalize(directory), isIgnored, matchesMask, []);
+        });
+      }).then(files => {
         return {
-          base: directory,
+          base: base,
           files: files
         };
       });
@@ -140,7 +230,22 @@ let traverse = function(directories, options) {
         });
       }
     }
-    return files;
+
+    // Skip the files found by several sources or through symbolic links.
+    return Promise.all(
+      files.map(file => {
+        return fs.realpathAsync(file.path);
+      })
+    ).then(realPaths => {
+      let found = {};
+      return files.filter((file, index) => {
+        if (found[realPaths[index]]) {
+          return false;
+        }
+        found[realPaths[index]] = true;
+        return true;
+      });
+    });
   }).then(files => {
     // Read the contents of all the found file names.
     return Promise.all(
@@ -152,8 +257,62 @@ let traverse = function(directories, options) {
       })
     );
   }).then(files => {
-    return parse(files, options);
+    return parseStream(files, options);
+  });
+};
+
+/**
+ * Returns the directory of a source given to `traverse()`.
+ *
+ * The directory of a glob is the part of the glob before its first special
+ * character, e.g. `src/components` for `src/components/*.scss`. The directory
+ * of a file is the directory containing it.
+ *
+ * @alias module:kss.traverse.sourceDirectory
+ * @param {string} source The directory, file or glob.
+ * @returns {Promise.<string>} A `Promise` object resolving to the directory.
+ */
+const sourceDirectory = function(source) {
+  if (hasMagic(source)) {
+    let parts = source.replace(/\\/g, '/').split('/'),
+      firstMagic = parts.findIndex(part => {
+        return part !== '' && hasMagic(part);
+      });
+    return Promise.resolve(path.normalize(parts.slice(0, firstMagic).join('/') || '.'));
+  }
+
+  return fs.statAsync(source).then(stat => {
+    return stat.isDirectory() ? path.normalize(source) : path.dirname(path.normalize(source));
+  }).catch(() => {
+    // A missing source is reported by traverse().
+    return path.normalize(source);
+  });
+};
+
+/**
+ * Gets the stats of a directory item, following it if it is a symbolic link.
+ *
+ * @private
+ * @param {string} name The path of the directory item.
+ * @param {boolean} followSymlinks Whether to follow symbolic links.
+ * @returns {Promise.<fs.Stats|boolean>} A `Promise` object resolving to the
+ *   stats of the item (or of the item it links to), or to `false` if it is a
+ *   symbolic link that is not followed or that is broken.
+ */
+const statItem = function(name, followSymlinks) {
+  return fs.lstatAsync(name).then(stat => {
+    if (!stat.isSymbolicLink()) {
+      return stat;
+    }
+    if (!followSymlinks) {
+      return false;
+    }
+    return fs.statAsync(name).catch(() => {
+      return false;
+    });
   });
 };
 
 module.exports = traverse;
+module.exports.sourceDirectory = sourceDirectory;
+module.exports.statItem = statItem;
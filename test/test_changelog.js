@@ -0,0 +1,56 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+describe('kss.changelog()', function() {
+  before(function() {
+    return kss.traverse(helperUtils.fixtures('changelog'), {markdown: false}).then(styleGuide => {
+      this.versions = kss.changelog(styleGuide);
+    });
+  });
+
+  it('should list the versions, the most recent first', function() {
+    expect(this.versions.map(version => {
+      return version.version;
+    })).to.deep.equal(['2.0', '1.10', '1.0']);
+  });
+
+  it('should list the sections added and the status changes of each version', function() {
+    expect(this.versions[0].changes).to.deep.equal([
+      {type: 'added', reference: 'buttons.new', header: 'New button', message: '', replacement: ''},
+      {type: 'deprecated', reference: 'buttons.old', header: 'Old button', message: 'Use the new button.', replacement: 'buttons.new'}
+    ]);
+    expect(this.versions[1].changes.map(change => {
+      return change.type;
+    })).to.deep.equal(['added', 'experimental']);
+  });
+
+  describe('.text()', function() {
+    it('should format the changes of each version as Markdown', function() {
+      let text = kss.changelog.text(this.versions);
+      expect(text).to.match(/^## 2\.0\n\n### Added\n\n- `buttons\.new` New button\n\n### Deprecated\n\n- `buttons\.old` Old button: Use the new button\. Replaced by `buttons\.new`\.\n\n## 1\.10\n/);
+      expect(text).to.include('### Experimental\n\n- `buttons.icon` Icon button\n');
+    });
+  });
+
+  describe('kss() given the "changelog" option', function() {
+    it('should log the changelog instead of building the style guide', function() {
+      let messages = [];
+      return kss({
+        source: helperUtils.fixtures('changelog'),
+        destination: path.resolve(__dirname, 'output', 'changelog'),
+        changelog: true,
+        logFunction: message => {
+          messages.push(message);
+        }
+      }).then(() => {
+        expect(messages).to.deep.equal([kss.changelog.text(this.versions)]);
+        return fs.statAsync(path.resolve(__dirname, 'output', 'changelog')).then(() => {
+          throw new Error('The style guide should not be built.');
+        }, error => {
+          expect(error.code).to.equal('ENOENT');
+        });
+      });
+    });
+  });
+});
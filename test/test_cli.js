@@ -121,6 +121,39 @@ describe('Command Line Interface', function() {
     });
   });
 
+  describe('given a command', function() {
+    it('should use the command as a boolean option', function() {
+      return kssNode('serve').then(function(result) {
+        expect(result.error).to.exist;
+        expect(result.stderr).to.not.include('Unknown argument');
+        expect(result.stderr).to.include('No "source" option specified.');
+      });
+    });
+
+    it('should lint the source given the "lint" command', function() {
+      return kssNode('lint ' + helperUtils.fixtures('lint')).then(function(result) {
+        expect(result.error).to.exist;
+        expect(result.stdout).to.include('has no parent section "forms". [missing-parent]');
+        expect(result.stderr).to.include('Found 11 problems in the KSS documentation.');
+      });
+    });
+
+    it('should show the changes of the "migrate" command given --dry-run', function() {
+      return kssNode('migrate ' + helperUtils.fixtures() + ' --mask syntax-kss.less --dry-run').then(function(result) {
+        expect(result.error).to.not.exist;
+        expect(result.stdout).to.include('+// @styleguide syntax.classic\n');
+        expect(result.stdout).to.include('Would migrate 3 KSS comments in 1 file.');
+      });
+    });
+
+    it('should list the changes of each version given the "changelog" command', function() {
+      return kssNode('changelog ' + helperUtils.fixtures('changelog')).then(function(result) {
+        expect(result.error).to.not.exist;
+        expect(result.stdout).to.include('## 2.0\n\n### Added\n\n- `buttons.new` New button\n');
+      });
+    });
+  });
+
   describe('given --demo option', function() {
     it('should create a demo style guide', function() {
       return kssNode('--demo --destination ' + helperUtils.fixtures('..', 'output', 'nested')).then(function(result) {
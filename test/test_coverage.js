@@ -0,0 +1,107 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const mockStream = require('mock-utf8-stream');
+
+describe('kss.coverage()', function() {
+  before(function() {
+    this.source = helperUtils.fixtures('doc-coverage');
+    return kss.traverse(this.source).then(styleGuide => {
+      return kss.coverage(styleGuide);
+    }).then(report => {
+      this.report = report;
+    });
+  });
+
+  it('should compute the total coverage', function() {
+    expect(this.report.total).to.deep.equal({items: 7, documented: 4, percent: 57.1});
+  });
+
+  it('should compute the coverage of each directory', function() {
+    expect(this.report.directories).to.deep.equal([
+      {path: this.source, items: 2, documented: 1, percent: 50},
+      {path: path.join(this.source, 'components'), items: 5, documented: 3, percent: 60}
+    ]);
+  });
+
+  it('should count the rules of documented modifiers as documented', function() {
+    expect(this.report.files[0].undocumented.map(item => {
+      return item.name;
+    })).to.not.include('.button:focus');
+  });
+
+  it('should list the undocumented top-level selectors, mixins and variables of each file', function() {
+    expect(this.report.files.map(file => {
+      return file.path;
+    })).to.deep.equal([
+      path.join(this.source, 'components', 'buttons.scss'),
+      path.join(this.source, 'variables.scss')
+    ]);
+    expect(this.report.files[0].undocumented).to.deep.equal([
+      {line: 16, type: 'selector', name: '.button--large'},
+      {line: 35, type: 'mixin', name: 'double($value)'}
+    ]);
+    expect(this.report.files[1].undocumented).to.deep.equal([
+      {line: 9, type: 'variable', name: '$secondary'}
+    ]);
+  });
+
+  describe('.text()', function() {
+    it('should format the report as a table', function() {
+      let text = kss.coverage.text(this.report);
+      expect(text).to.match(/^Documentation coverage +Items {2}Coverage\n/);
+      expect(text).to.match(/\n {2}buttons\.scss +3\/5 +60%\n/);
+      expect(text).to.match(/\nTotal +4\/7 +57\.1%$/);
+    });
+  });
+
+  describe('.html()', function() {
+    it('should format the report as an HTML page', function() {
+      let html = kss.coverage.html(this.report);
+      expect(html).to.include('<title>Documentation coverage</title>');
+      expect(html).to.include('<tr class="kss-coverage-file"><td>variables.scss</td><td>1/2</td>');
+      expect(html).to.include('variables.scss:9 $secondary <small>(variable)</small>');
+    });
+  });
+
+  describe('kss() given the "coverage" option', function() {
+    before(function() {
+      this.destination = path.resolve(__dirname, 'output', 'coverage');
+      this.stdout = new mockStream.MockWritableStream();
+      this.stdout.startCapture();
+      return kss({
+        source: this.source,
+        destination: this.destination,
+        coverage: true,
+        logFunction: message => {
+          this.stdout.write(message + '\n');
+        }
+      });
+    });
+
+    after(function() {
+      return fs.removeAsync(this.destination);
+    });
+
+    it('should log the coverage report', function() {
+      expect(this.stdout.capturedData).to.include(kss.coverage.text(this.report));
+    });
+
+    it('should save the coverage report in the style guide', function() {
+      return Promise.all([
+        fs.readJsonAsync(path.join(this.destination, 'coverage.json')),
+        fs.readFileAsync(path.join(this.destination, 'coverage.html'), 'utf8')
+      ]).then(results => {
+        expect(results[0]).to.deep.equal(this.report);
+        expect(results[1]).to.include('<h1>Documentation coverage</h1>');
+      });
+    });
+
+    it('should link to the coverage report from the style guide', function() {
+      return fs.readFileAsync(path.join(this.destination, 'index.html'), 'utf8').then(data => {
+        expect(data).to.include('<a class="kss-nav__menu-link" href="coverage.html">');
+      });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const ignoreFilter = require('../lib/ignore_filter.js');
+
+describe('ignoreFilter()', function() {
+  before(function() {
+    this.source = path.resolve(__dirname, 'output', 'ignore-filter');
+    this.name = file => {
+      return path.join(this.source, file);
+    };
+    return fs.outputFileAsync(path.join(this.source, '.kssignore'), '# Generated files.\n\n*.min.css\n!keep.min.css\n');
+  });
+
+  it('should match patterns without a slash at any depth', function() {
+    return ignoreFilter(this.source, 'vendor').then(isIgnored => {
+      expect(isIgnored(this.name('vendor'), true)).to.be.true;
+      expect(isIgnored(this.name('app/vendor'), true)).to.be.true;
+      expect(isIgnored(this.name('app/vendors'), true)).to.be.false;
+    });
+  });
+
+  it('should match patterns with a slash from the source directory', function() {
+    return ignoreFilter(this.source, ['vendor/**', '/build']).then(isIgnored => {
+      expect(isIgnored(this.name('vendor'), true)).to.be.true;
+      expect(isIgnored(this.name('vendor/lib/style.css'), false)).to.be.true;
+      expect(isIgnored(this.name('app/vendor'), true)).to.be.false;
+      expect(isIgnored(this.name('build'), true)).to.be.true;
+      expect(isIgnored(this.name('app/build'), true)).to.be.false;
+    });
+  });
+
+  it('should only match directories with patterns ending with a slash', function() {
+    return ignoreFilter(this.source, 'node_modules/').then(isIgnored => {
+      expect(isIgnored(this.name('node_modules'), true)).to.be.true;
+      expect(isIgnored(this.name('app/node_modules'), true)).to.be.true;
+      expect(isIgnored(this.name('node_modules'), false)).to.be.false;
+    });
+  });
+
+  it('should add the patterns of the .kssignore file', function() {
+    return ignoreFilter(this.source).then(isIgnored => {
+      expect(isIgnored(this.name('app/style.min.css'), false)).to.be.true;
+      expect(isIgnored(this.name('app/style.css'), false)).to.be.false;
+    });
+  });
+
+  it('should not ignore files matching a negated pattern', function() {
+    return ignoreFilter(this.source).then(isIgnored => {
+      expect(isIgnored(this.name('app/keep.min.css'), false)).to.be.false;
+    });
+  });
+
+  it('should not ignore files outside the source directory', function() {
+    return ignoreFilter(this.source, '*.css').then(isIgnored => {
+      expect(isIgnored(path.resolve(this.source, '..', 'style.css'), false)).to.be.false;
+    });
+  });
+
+  it('should work without a .kssignore file', function() {
+    return ignoreFilter(helperUtils.fixtures('with-include'), '*.scss').then(isIgnored => {
+      expect(isIgnored(helperUtils.fixtures('with-include', 'style.scss'), false)).to.be.true;
+    });
+  });
+});
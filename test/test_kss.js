@@ -44,6 +44,7 @@ describe('kss object API', function() {
 
   /* eslint-disable no-loop-func */
   ['parse',
+    'parseStream',
     'traverse'
   ].forEach(function(method) {
     it('has ' + method + '() method', function(done) {
@@ -156,6 +157,57 @@ describe('kss object API', function() {
       });
     });
 
+    describe('given "files" option', function() {
+      it('should parse the given files instead of a source directory', function() {
+        let file = helperUtils.fixtures('with-include', 'style.scss');
+        return fs.readFileAsync(file).then(contents => {
+          return testKss({
+            files: [{base: path.dirname(file), path: file, contents: contents}],
+            destination: 'test/output/files'
+          });
+        }).then(function(result) {
+          expect(result.error).to.not.exist;
+          expect(result.stdout).to.include(successMessage);
+          expect(result.result.sections('3.1.1').custom('sourceFile').name).to.equal('style.scss');
+          return fs.readFileAsync(path.join(__dirname, 'output', 'files', 'section-3.html'), 'utf8');
+        }).then(html => {
+          expect(html).to.include('kssref-3-1-1');
+        });
+      });
+
+      it('should lint the given files without reading them from the disk', function() {
+        return testKss({
+          files: [{base: '/virtual', path: '/virtual/button.scss', contents: Buffer.from('/**\n * Button\n *\n * @modifier .is-large\n *\n * @styleguide button\n */\n.button {\n  &:hover {}\n}\n')}],
+          lint: true
+        }).then(function(result) {
+          expect(result.error.message).to.equal('Found 2 problems in the KSS documentation.');
+          expect(result.error.problems.map(problem => {
+            return problem.file + ' ' + problem.rule;
+          })).to.deep.equal([
+            '/virtual/button.scss undocumented-modifier',
+            '/virtual/button.scss unused-modifier'
+          ]);
+        });
+      });
+
+      it('should measure the coverage of the given files without reading them from the disk', function() {
+        return testKss({
+          files: [{base: '/virtual', path: '/virtual/button.scss', contents: '/**\n * Button\n *\n * @styleguide button\n */\n.button {}\n\n.link {}\n'}],
+          destination: 'test/output/files-coverage',
+          coverage: true
+        }).then(function(result) {
+          expect(result.error).to.not.exist;
+          return fs.readJsonAsync(path.join(__dirname, 'output', 'files-coverage', 'coverage.json'));
+        }).then(report => {
+          expect(report.files.map(file => {
+            return file.path;
+          })).to.deep.equal(['/virtual/button.scss']);
+          expect(report.total.documented).to.equal(1);
+          expect(report.total.items).to.equal(2);
+        });
+      });
+    });
+
     describe('given "destination" option', function() {
       it('should write to destination directory', function() {
         let source = helperUtils.fixtures('with-include'),
@@ -212,6 +264,65 @@ describe('kss object API', function() {
       });
     });
 
+    describe('given a link to an unknown section', function() {
+      it('should warn about the broken link', function() {
+        return testKss({
+          source: helperUtils.fixtures('changelog'),
+          destination: 'test/output/broken-links'
+        }).then(function(result) {
+          expect(result.error).to.not.exist;
+          expect(result.stdout).to.include('WARNING: Section "buttons.icon" at ' + path.join(helperUtils.fixtures('changelog'), 'buttons.scss') + ':33 links to the unknown section "buttons.large".');
+        });
+      });
+    });
+
+    describe('given a section with an invalid tag', function() {
+      it('should warn about the invalid tag', function() {
+        return testKss({
+          source: helperUtils.fixtures('lint'),
+          destination: 'test/output/invalid-tags'
+        }).then(function(result) {
+          expect(result.error).to.not.exist;
+          expect(result.stdout).to.include('WARNING: Invalid status "beta" in section "buttons.beta" at ' + path.join(helperUtils.fixtures('lint'), 'lint.scss') + ':84; it must be one of: draft, experimental, stable, deprecated, removed.');
+        });
+      });
+    });
+
+    describe('given "duplicates" option', function() {
+      it('should warn about duplicate references by default', function() {
+        return testKss({
+          source: helperUtils.fixtures('lint'),
+          destination: 'test/output/duplicates'
+        }).then(function(result) {
+          expect(result.error).to.not.exist;
+          expect(result.stdout).to.include('WARNING: Duplicate section reference "buttons.size" at ' + path.join(helperUtils.fixtures('lint'), 'lint.scss') + ':21; it is already defined at ' + path.join(helperUtils.fixtures('lint'), 'lint.scss') + ':7.');
+        });
+      });
+
+      it('should fail on duplicate references given "error"', function() {
+        return testKss({
+          source: helperUtils.fixtures('lint'),
+          destination: 'test/output/duplicates',
+          duplicates: 'error'
+        }).then(function(result) {
+          expect(result.error).to.exist;
+          expect(result.stderr).to.include('Duplicate section reference "buttons.size"');
+        });
+      });
+
+      it('should not warn about duplicate references given "keep-first"', function() {
+        return testKss({
+          source: helperUtils.fixtures('lint'),
+          destination: 'test/output/duplicates',
+          duplicates: 'keep-first'
+        }).then(function(result) {
+          expect(result.error).to.not.exist;
+          expect(result.stdout).to.not.include('Duplicate section reference');
+          expect(result.result.sections('buttons.size').header()).to.equal('Button sizes');
+        });
+      });
+    });
+
     describe('given "clone" option', function() {
       it('should copy the builder', function() {
         // This test is long.
@@ -48,7 +48,7 @@ describe('KssBuilderBase object API', function() {
 
     it('should implement the default option definitions', function() {
       let builder = new KssBuilderBase();
-      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'clone', 'builder', 'css', 'js', 'custom', 'verbose']);
+      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'ignore', 'follow-symlinks', 'cache', 'clone', 'builder', 'css', 'js', 'custom', 'syntax', 'duplicates', 'edit-url', 'watch', 'serve', 'port', 'host', 'lint', 'coverage', 'migrate', 'migrate-destination', 'dry-run', 'changelog', 'verbose']);
     });
 
     it('should set the default log function', function() {
@@ -157,6 +157,25 @@ describe('KssBuilderBase object API', function() {
     });
   });
 
+  describe('.sourceDirectories()', function() {
+    it('should return the directories of the source directories, files and globs', function() {
+      let builder = new KssBuilderBase();
+      builder.addOptions({source: [
+        helperUtils.fixtures('traverse-directories'),
+        helperUtils.fixtures('traverse-directories', 'includes', 'buttons.less'),
+        helperUtils.fixtures('traverse-directories', 'includes', '*.scss'),
+        helperUtils.fixtures('with-include', '**', '*.scss')
+      ]});
+      return builder.sourceDirectories().then(directories => {
+        expect(directories).to.deep.equal([
+          helperUtils.fixtures('traverse-directories'),
+          helperUtils.fixtures('traverse-directories', 'includes'),
+          helperUtils.fixtures('with-include')
+        ]);
+      });
+    });
+  });
+
   describe('.addOptionDefinitions()', function() {
     it('should add to this.optionDefinitions', function(done) {
       let builder = new KssBuilderBase();
@@ -353,6 +372,127 @@ describe('KssBuilderBase object API', function() {
     });
   });
 
+  describe('.editURL()', function() {
+    before(function() {
+      this.styleGuide = kss.parse([{
+        base: '/tmp',
+        path: '/tmp/css/button.scss',
+        contents: '/**\n * Button\n *\n * @styleguide forms.button\n */\n.button {\n  color: red;\n}\n'
+      }, {
+        path: '/tmp/css/colors.scss',
+        contents: '/**\n * Colors\n *\n * @styleguide colors\n */\n'
+      }]);
+    });
+
+    it('should replace the placeholders of the edit-url option', function() {
+      let builder = new KssBuilderBase();
+      builder.addOptions({'edit-url': 'https://git.example/blob/main/{file}#L{line}-L{endLine}?section={reference}'});
+      expect(builder.editURL(this.styleGuide.sections('forms.button'))).to.equal('https://git.example/blob/main/css/button.scss#L1-L8?section=forms.button');
+    });
+
+    it('should return an empty string if the section has no source file', function() {
+      let builder = new KssBuilderBase();
+      builder.addOptions({'edit-url': 'https://git.example/{file}'});
+      expect(builder.editURL(new kss.KssSection({header: 'Section', reference: '1'}))).to.equal('');
+    });
+
+    it('should return an empty string if the edit-url option is not set', function() {
+      let builder = new KssBuilderBase();
+      expect(builder.editURL(this.styleGuide.sections('forms.button'))).to.equal('');
+    });
+  });
+
+  describe('.sectionURL()', function() {
+    it('should return the URL of the section on its root section\'s page', function() {
+      let builder = new KssBuilderBase(),
+        styleGuide = new kss.KssStyleGuide({sections: [
+          {header: 'Forms', reference: 'Forms'},
+          {header: 'Text input', reference: 'Forms - Text input'}
+        ]});
+      expect(builder.sectionURL(styleGuide.sections('Forms - Text input'))).to.equal('section-forms.html#kssref-forms-text-input');
+    });
+
+    it('should return an empty string if the section has no root section', function() {
+      let builder = new KssBuilderBase();
+      expect(builder.sectionURL(new kss.KssSection({header: 'Section', reference: '1.2'}))).to.equal('');
+    });
+  });
+
+  describe('.resolveLinks()', function() {
+    before(function() {
+      this.styleGuide = new kss.KssStyleGuide({sections: [
+        {header: 'Buttons & links', reference: 'buttons'},
+        {header: 'Button', reference: 'buttons.button', description: '<p>See {@link buttons}, {@link buttons|<em>all</em>} or {@link forms}.</p>', see: ['buttons', 'forms'], parameters: [{name: '$size', description: 'Like {@link buttons.button}.'}]}
+      ]});
+    });
+
+    it('should replace the inline links of the descriptions', function() {
+      let builder = new KssBuilderBase(),
+        section = this.styleGuide.sections('buttons.button'),
+        json = builder.resolveLinks(section.toJSON(), section);
+      expect(json.description).to.equal('<p>See <a href="section-buttons.html#kssref-buttons">Buttons &amp; links</a>, <a href="section-buttons.html#kssref-buttons"><em>all</em></a> or forms.</p>');
+      expect(json.parameters[0].description).to.equal('Like <a href="section-buttons.html#kssref-buttons-button">Button</a>.');
+    });
+
+    it('should list the related sections', function() {
+      let builder = new KssBuilderBase(),
+        section = this.styleGuide.sections('buttons.button');
+      expect(builder.resolveLinks(section.toJSON(), section).relatedLinks).to.deep.equal([
+        {reference: 'buttons', header: 'Buttons & links', url: 'section-buttons.html#kssref-buttons'},
+        {reference: 'forms', header: 'forms', url: ''}
+      ]);
+    });
+  });
+
+  describe('.searchIndex()', function() {
+    it('should list the searchable text of each section', function() {
+      let builder = new KssBuilderBase(),
+        styleGuide = new kss.KssStyleGuide({sections: [
+          {header: 'Buttons', reference: 'buttons', description: '<p>Click <em>me</em> &amp; more.</p>\n', modifiers: [{name: '.primary', description: 'Primary'}], owner: 'Design team', sourceFile: {name: 'buttons.scss', line: 1}}
+        ]});
+      expect(builder.searchIndex(styleGuide)).to.deep.equal([{
+        reference: 'buttons',
+        referenceNumber: '1',
+        header: 'Buttons',
+        description: 'Click me & more.',
+        modifiers: ['.primary'],
+        custom: 'Design team',
+        url: 'section-buttons.html#kssref-buttons'
+      }]);
+    });
+  });
+
+  describe('.statusBadge()', function() {
+    it('should return the status with a label', function() {
+      let builder = new KssBuilderBase(),
+        section = new kss.KssSection({header: 'Section', reference: '1'});
+      section.status({name: 'deprecated', since: '2.0', replacement: '2'});
+      expect(builder.statusBadge(section)).to.deep.equal({
+        label: 'Deprecated',
+        name: 'deprecated',
+        message: '',
+        since: '2.0',
+        replacement: '2',
+        replacementURL: ''
+      });
+    });
+
+    it('should link to the replacement section', function() {
+      let builder = new KssBuilderBase(),
+        styleGuide = new kss.KssStyleGuide({sections: [
+          {header: 'Buttons', reference: 'buttons'},
+          {header: 'Old button', reference: 'buttons.old', status: {name: 'deprecated', replacement: 'buttons.new'}},
+          {header: 'New button', reference: 'buttons.new'}
+        ]});
+      expect(builder.statusBadge(styleGuide.sections('buttons.old')).replacementURL).to.equal('section-buttons.html#kssref-buttons-new');
+    });
+
+    it('should return false if the section is stable', function() {
+      let builder = new KssBuilderBase();
+      expect(builder.statusBadge(new kss.KssSection({header: 'Section', reference: '1'}))).to.be.false;
+    });
+  });
+
   describe('.prepare()', function() {
     it('should return a promise resolving to the KssStyleGuide given to it', function() {
       let builder = new KssBuilderBase(),
@@ -101,7 +101,7 @@ describe('KssBuilderBaseHandlebars object API', function() {
 
     it('should implement the default option definitions', function() {
       let builder = new KssBuilderBaseHandlebars();
-      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'clone', 'builder', 'css', 'js', 'custom', 'verbose', 'extend', 'homepage', 'placeholder', 'nav-depth']);
+      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'ignore', 'follow-symlinks', 'cache', 'clone', 'builder', 'css', 'js', 'custom', 'syntax', 'duplicates', 'edit-url', 'watch', 'serve', 'port', 'host', 'lint', 'coverage', 'migrate', 'migrate-destination', 'dry-run', 'changelog', 'verbose', 'extend', 'homepage', 'placeholder', 'nav-depth']);
     });
   });
 
@@ -113,7 +113,7 @@ describe('KssBuilderBaseTwig object API', function() {
 
     it('should implement the default option definitions', function() {
       let builder = new KssBuilderBaseTwig();
-      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'clone', 'builder', 'css', 'js', 'custom', 'verbose', 'extend', 'extend-drupal8', 'namespace', 'homepage', 'placeholder', 'nav-depth']);
+      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'ignore', 'follow-symlinks', 'cache', 'clone', 'builder', 'css', 'js', 'custom', 'syntax', 'duplicates', 'edit-url', 'watch', 'serve', 'port', 'host', 'lint', 'coverage', 'migrate', 'migrate-destination', 'dry-run', 'changelog', 'verbose', 'extend', 'extend-drupal8', 'namespace', 'homepage', 'placeholder', 'nav-depth']);
     });
   });
 
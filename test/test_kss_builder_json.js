@@ -0,0 +1,89 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const cli = require('../lib/cli'),
+  mockStream = require('mock-utf8-stream');
+
+describe('KssBuilderJSON builder', function() {
+  before(function() {
+    let stdout = new mockStream.MockWritableStream(),
+      stderr = new mockStream.MockWritableStream();
+
+    stdout.startCapture();
+    stderr.startCapture();
+
+    return cli({
+      stdout: stdout,
+      stderr: stderr,
+      argv: ['node', 'bin/kss', 'test/fixtures/with-include', 'test/output/json', '--builder', 'builder/json']
+    }).then(() => {
+      return fs.readFileAsync(path.join(__dirname, 'output', 'json', 'styleguide.json'), 'utf8');
+    }).then(data => {
+      this.json = JSON.parse(data);
+      this.sections = {};
+      this.json.styleGuide.sections.forEach(section => {
+        this.sections[section.reference] = section;
+      });
+    });
+  });
+
+  it('should write a versioned JSON file', function() {
+    expect(this.json.formatVersion).to.equal('1.0');
+    expect(this.json.kssVersion).to.equal(require('../package.json').version);
+  });
+
+  it('should not build any HTML pages', function() {
+    return fs.statAsync(path.join(__dirname, 'output', 'json', 'index.html')).then(() => {
+      throw new Error('index.html should not exist');
+    }, error => {
+      expect(error.code).to.equal('ENOENT');
+    });
+  });
+
+  it('should not build the search index', function() {
+    return fs.statAsync(path.join(__dirname, 'output', 'json', 'search-index.js')).then(() => {
+      throw new Error('search-index.js should not exist');
+    }, error => {
+      expect(error.code).to.equal('ENOENT');
+    });
+  });
+
+  it('should contain the style guide data', function() {
+    expect(this.json.styleGuide).to.have.property('hasNumericReferences', true);
+    expect(this.json.styleGuide.customPropertyNames).to.include('sourceFile');
+    expect(this.sections['3'].header).to.equal('Section 3');
+    expect(this.sections['3'].sourceFile.name).to.equal('style.scss');
+    expect(this.sections['3'].sourceFile.line).to.be.a('number');
+  });
+
+  it('should contain the rendered markup of sections and modifiers', function() {
+    let section = this.sections['2.1.3'];
+    expect(section.markupSource).to.equal('<h2>Handlebars markup Helper: {{modifier_class}}</h2>');
+    expect(section.markup).to.equal('<h2>Handlebars markup Helper: [modifier class]</h2>');
+    expect(section.modifiers).to.not.be.empty;
+    section.modifiers.forEach(modifier => {
+      expect(modifier.markup).to.include(modifier.className);
+    });
+    expect(this.sections['3.1'].markupSource).to.equal('forms.hbs');
+    expect(this.sections['3.1'].markup).to.not.equal('forms.hbs');
+  });
+
+  it('should use the json-file option as the file name', function() {
+    let stdout = new mockStream.MockWritableStream(),
+      stderr = new mockStream.MockWritableStream();
+
+    stdout.startCapture();
+    stderr.startCapture();
+
+    return cli({
+      stdout: stdout,
+      stderr: stderr,
+      argv: ['node', 'bin/kss', 'test/fixtures/with-include', 'test/output/json', '--builder', 'builder/json', '--json-file', 'data.json']
+    }).then(() => {
+      return fs.readFileAsync(path.join(__dirname, 'output', 'json', 'data.json'), 'utf8');
+    }).then(data => {
+      expect(JSON.parse(data)).to.deep.equal(this.json);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const cli = require('../lib/cli'),
+  mockStream = require('mock-utf8-stream');
+
+describe('KssBuilderMarkdown builder', function() {
+  before(function() {
+    let stdout = new mockStream.MockWritableStream(),
+      stderr = new mockStream.MockWritableStream();
+
+    stdout.startCapture();
+    stderr.startCapture();
+
+    this.files = {};
+
+    return cli({
+      stdout: stdout,
+      stderr: stderr,
+      argv: ['node', 'bin/kss', 'test/fixtures/with-include', 'test/output/markdown', '--builder', 'builder/markdown', '--title', 'Markdown Style Guide']
+    }).then(() => {
+      return Promise.all(
+        [
+          'index',
+          'section-2',
+          'section-3',
+          'section-4'
+        ].map(fileName => {
+          return fs.readFileAsync(path.join(__dirname, 'output', 'markdown', fileName + '.md'), 'utf8').then(data => {
+            this.files[fileName] = data;
+          });
+        })
+      );
+    });
+  });
+
+  it('should not build any HTML pages', function() {
+    return fs.statAsync(path.join(__dirname, 'output', 'markdown', 'index.html')).then(() => {
+      throw new Error('index.html should not exist');
+    }, error => {
+      expect(error.code).to.equal('ENOENT');
+    });
+  });
+
+  describe('index.md', function() {
+    it('should contain the title and the homepage text', function() {
+      expect(this.files['index']).to.match(/^# Markdown Style Guide\n\nHome page text\./);
+    });
+
+    it('should link to each root section', function() {
+      expect(this.files['index']).to.include('- [Buttons](section-2.md)\n');
+      expect(this.files['index']).to.include('- [Section 3](section-3.md)\n');
+    });
+  });
+
+  describe('section pages', function() {
+    it('should contain a header for each section', function() {
+      expect(this.files['section-2']).to.match(/^# Buttons\n/);
+      expect(this.files['section-2']).to.include('\n## Star buttons\n');
+      expect(this.files['section-2']).to.include('\n### A button suitable for giving stars to someone.\n');
+    });
+
+    it('should contain the reference and source of each section', function() {
+      expect(this.files['section-3']).to.include('Reference: `3.1` | Source: `style.scss`, line ');
+    });
+
+    it('should contain the status of each section', function() {
+      expect(this.files['section-2']).to.include('Reference: `2.1.4` | Source: `style.scss`, line 39 | Added in 1.2 | **Deprecated** since 2.0\n\n> Use the first star button. Replaced by [`2.1.3`](section-2.md).\n');
+    });
+
+    it('should contain the links to other sections', function() {
+      expect(this.files['section-2']).to.include('\nUse [the first star button](section-2.md) instead.\n\nSee also: [A button suitable for giving stars to someone.](section-2.md)\n');
+    });
+
+    it('should contain the unconverted Markdown descriptions', function() {
+      expect(this.files['section-3']).to.include('\nSection 3 has been successfully loaded.\n');
+      expect(this.files['section-3']).to.not.include('<p>');
+    });
+
+    it('should contain a table of modifiers', function() {
+      expect(this.files['section-2']).to.include(
+        '| Modifier | Description |\n'
+        + '| --- | --- |\n'
+        + '| `:hover` | Subtle hover highlight. |\n'
+      );
+    });
+
+    it('should contain fenced markup samples', function() {
+      expect(this.files['section-2']).to.include('```html\n<h2>Handlebars markup Helper: [modifier class]</h2>\n```\n');
+    });
+
+    it('should not contain markup samples for sections without markup', function() {
+      expect(this.files['section-4']).to.include('## Custom properties\n');
+      expect(this.files['section-4']).to.not.include('```');
+    });
+  });
+
+  describe('.sectionMarkdown()', function() {
+    it('should contain a table of parameters with escaped cells', function() {
+      const KssBuilderMarkdown = require('../builder/markdown');
+      let builder = new KssBuilderMarkdown();
+      let markdown = builder.sectionMarkdown({
+        header: 'Mixin',
+        reference: '1.2',
+        depth: 2,
+        description: '',
+        modifiers: [],
+        parameters: [
+          {name: '$size', defaultValue: '10px', description: 'The size\nof the box.'},
+          {name: '$align', defaultValue: '', description: 'Either left|right.'}
+        ],
+        markup: ''
+      }, 1);
+      expect(markdown).to.equal(
+        '## Mixin\n\n'
+        + 'Reference: `1.2`\n\n'
+        + '| Parameter | Default | Description |\n'
+        + '| --- | --- | --- |\n'
+        + '| `$size` | `10px` | The size of the box. |\n'
+        + '| `$align` |  | Either left\\|right. |\n\n'
+      );
+    });
+  });
+});
@@ -18,7 +18,7 @@ describe('KssBuilderTwig builder', function() {
     return cli({
       stdout: stdout,
       stderr: stderr,
-      argv: ['node', 'bin/kss', 'test/fixtures/with-include', 'test/output/twig', '--builder', 'builder/twig', '--title', 'KssBuilderTwig Test Style Guide', '--verbose']
+      argv: ['node', 'bin/kss', 'test/fixtures/with-include', 'test/output/twig', '--builder', 'builder/twig', '--title', 'KssBuilderTwig Test Style Guide', '--edit-url', 'https://git.example/blob/main/{file}#L{line}', '--verbose']
     }).then(() => {
       this.stdout = stdout.capturedData;
       return Promise.all(
@@ -51,4 +51,32 @@ describe('KssBuilderTwig builder', function() {
   it('should render the --title option', function() {
     expect(this.files['index']).to.include('<title>KssBuilderTwig Test Style Guide</title>');
   });
+
+  it('should render the status badges and versions', function() {
+    expect(this.files['section-2']).to.include('<div class="kss-status kss-status--deprecated">');
+    expect(this.files['section-2']).to.include('<span class="kss-status__badge">Deprecated</span>');
+    expect(this.files['section-2']).to.include('<span class="kss-status__replacement">Replaced by <a href="section-2.html#kssref-2-1-3"><code>2.1.3</code></a>.</span>');
+    expect(this.files['section-2']).to.include('<p class="kss-since">Added in 1.2</p>');
+  });
+
+  it('should render the links to other sections', function() {
+    expect(this.files['section-2']).to.include('<p>Use <a href="section-2.html#kssref-2-1-3">the first star button</a> instead.</p>');
+    expect(this.files['section-2']).to.match(/See also:\s*<a href="section-2\.html#kssref-2-1-3">A button suitable for giving stars to someone\.<\/a>\s*<\/p>/);
+  });
+
+  it('should add a search box and a search index', function() {
+    expect(this.files['index']).to.include('<input class="kss-search__input" type="search"');
+    expect(this.files['index']).to.include('<script src="search-index.js"></script>');
+    return fs.readFileAsync(path.join(__dirname, 'output', 'twig', 'search-index.js'), 'utf8').then(data => {
+      let index = JSON.parse(data.replace(/^window\.kssSearchIndex = /, '').replace(/;\n$/, ''));
+      expect(index.map(entry => {
+        return entry.reference;
+      })).to.include('2.1.4');
+      return fs.statAsync(path.join(__dirname, 'output', 'twig', 'kss-assets', 'kss-search.js'));
+    });
+  });
+
+  it('should render the --edit-url option', function() {
+    expect(this.files['section-3']).to.match(/<a class="kss-edit-link" href="https:\/\/git\.example\/blob\/main\/style\.scss#L\d+">Edit this section<\/a>/);
+  });
 });
@@ -0,0 +1,101 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const KssParseCache = require('../lib/kss_parse_cache.js');
+
+describe('KssParseCache object API', function() {
+  before(function() {
+    this.cacheFile = path.resolve(__dirname, 'output', 'parse-cache', 'cache.json');
+    this.file = {
+      base: '/styles',
+      path: '/styles/buttons.scss',
+      contents: '/**\n * Buttons\n *\n * @styleguide buttons\n */\n'
+    };
+    this.options = {markdown: true, header: true, syntax: 'cssdoc', custom: []};
+  });
+
+  describe('.get()', function() {
+    it('should return the sections of an unchanged file', function() {
+      let cache = new KssParseCache(this.cacheFile);
+      cache.set(this.file, this.options, [{reference: 'buttons'}]);
+      expect(cache.get(this.file, this.options)).to.deep.equal([{reference: 'buttons'}]);
+    });
+
+    it('should return false for an unknown or changed file', function() {
+      let cache = new KssParseCache(this.cacheFile);
+      cache.set(this.file, this.options, [{reference: 'buttons'}]);
+      expect(cache.get(Object.assign({}, this.file, {path: '/styles/forms.scss'}), this.options)).to.be.false;
+      expect(cache.get(Object.assign({}, this.file, {contents: '// Changed'}), this.options)).to.be.false;
+      expect(cache.get(Object.assign({}, this.file, {base: '/'}), this.options)).to.be.false;
+      expect(cache.get({contents: this.file.contents}, this.options)).to.be.false;
+    });
+
+    it('should return false if the parsing options changed', function() {
+      let cache = new KssParseCache(this.cacheFile);
+      cache.set(this.file, this.options, [{reference: 'buttons'}]);
+      expect(cache.get(this.file, Object.assign({}, this.options, {markdown: false}))).to.be.false;
+      expect(cache.get(this.file, Object.assign({}, this.options, {header: false}))).to.be.false;
+      expect(cache.get(this.file, Object.assign({}, this.options, {syntax: 'auto'}))).to.be.false;
+      expect(cache.get(this.file, Object.assign({}, this.options, {custom: [{name: 'owner'}]}))).to.be.false;
+    });
+
+    it('should return false if a custom parser changed', function() {
+      let cache = new KssParseCache(this.cacheFile),
+        options = Object.assign({}, this.options, {custom: kss.tagParsers.normalize([{name: 'level', type: 'enum', values: ['atom']}])});
+      cache.set(this.file, options, [{reference: 'buttons'}]);
+      expect(cache.get(this.file, Object.assign({}, this.options, {custom: kss.tagParsers.normalize([{name: 'level', type: 'enum', values: ['atom']}])}))).to.deep.equal([{reference: 'buttons'}]);
+      expect(cache.get(this.file, Object.assign({}, this.options, {custom: kss.tagParsers.normalize([{name: 'level', type: 'enum', values: ['atom', 'molecule']}])}))).to.be.false;
+      expect(cache.get(this.file, Object.assign({}, this.options, {custom: [{name: 'level', parse: value => value.trim()}]}))).to.be.false;
+    });
+
+    it('should return a copy of the cached sections', function() {
+      let cache = new KssParseCache(this.cacheFile);
+      cache.set(this.file, this.options, [{reference: 'buttons'}]);
+      cache.get(this.file, this.options)[0].reference = 'forms';
+      expect(cache.get(this.file, this.options)[0].reference).to.equal('buttons');
+    });
+  });
+
+  describe('.save()', function() {
+    it('should save the used entries for the next load()', function() {
+      let cache = new KssParseCache(this.cacheFile);
+      cache.set(this.file, this.options, [{reference: 'buttons'}]);
+      return cache.save().then(() => {
+        return new KssParseCache(this.cacheFile).load();
+      }).then(loaded => {
+        expect(loaded.get(this.file, this.options)).to.deep.equal([{reference: 'buttons'}]);
+      });
+    });
+
+    it('should not save the entries that were not used since load()', function() {
+      let cache = new KssParseCache(this.cacheFile);
+      cache.set(this.file, this.options, [{reference: 'buttons'}]);
+      return cache.save().then(() => {
+        return new KssParseCache(this.cacheFile).load();
+      }).then(loaded => {
+        return loaded.save();
+      }).then(() => {
+        return new KssParseCache(this.cacheFile).load();
+      }).then(loaded => {
+        expect(loaded.get(this.file, this.options)).to.be.false;
+      });
+    });
+  });
+
+  describe('.load()', function() {
+    it('should load an empty cache from an invalid file', function() {
+      return fs.outputFileAsync(this.cacheFile, 'not JSON').then(() => {
+        return new KssParseCache(this.cacheFile).load();
+      }).then(cache => {
+        expect(cache.entries).to.deep.equal({});
+      });
+    });
+
+    it('should load an empty cache from a missing file', function() {
+      return new KssParseCache(path.resolve(__dirname, 'output', 'parse-cache', 'missing.json')).load().then(cache => {
+        expect(cache.entries).to.deep.equal({});
+      });
+    });
+  });
+});
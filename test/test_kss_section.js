@@ -17,12 +17,16 @@ describe('KssSection object API', function() {
     'description',
     'deprecated',
     'experimental',
+    'status',
+    'since',
+    'see',
     'reference',
     'referenceNumber',
     'referenceURI',
     'weight',
     'depth',
     'markup',
+    'source',
     'modifiers',
     'parameters',
     'toJSON'
@@ -52,6 +56,7 @@ describe('KssSection object API', function() {
       expect(obj.data).to.have.property('referenceURI');
       expect(obj.data).to.have.property('weight');
       expect(obj.data).to.have.property('markup');
+      expect(obj.data).to.have.property('source');
       expect(obj.data).to.have.property('modifiers');
       expect(obj.data).to.have.property('parameters');
       done();
@@ -292,6 +297,83 @@ describe('KssSection object API', function() {
     });
   });
 
+  describe('.status()', function() {
+    it('should return data.status', function() {
+      this.styleGuide.sections().map(function(section) {
+        expect(section.status()).to.equal(section.data.status);
+      });
+    });
+
+    it('should default to stable', function() {
+      expect(new kss.KssSection().status()).to.deep.equal({name: 'stable', message: '', since: '', replacement: ''});
+    });
+
+    it('should set data.status if given a value', function() {
+      let section = new kss.KssSection();
+      section.status({name: 'removed', since: '3.0', replacement: 'buttons.new'});
+      expect(section.data.status).to.deep.equal({name: 'removed', message: '', since: '3.0', replacement: 'buttons.new'});
+    });
+
+    it('should set the status given its name', function() {
+      expect(new kss.KssSection().status('draft').status().name).to.equal('draft');
+    });
+
+    it('should set the deprecated and experimental flags', function() {
+      let section = new kss.KssSection({status: 'removed'});
+      expect(section.deprecated()).to.be.true;
+      expect(section.experimental()).to.be.false;
+      section.status('experimental');
+      expect(section.deprecated()).to.be.false;
+      expect(section.experimental()).to.be.true;
+    });
+
+    it('should be set by the deprecated and experimental flags', function() {
+      let section = new kss.KssSection({deprecated: true});
+      expect(section.status().name).to.equal('deprecated');
+      section.experimental(true);
+      expect(section.status().name).to.equal('experimental');
+      section.experimental(false);
+      expect(section.status().name).to.equal('stable');
+    });
+
+    it('should throw an error given an unknown status', function() {
+      expect(() => {
+        new kss.KssSection().status('beta');
+      }).to.throw('Invalid status "beta"; it must be one of: draft, experimental, stable, deprecated, removed.');
+    });
+
+    it('should return itself if given a value', function() {
+      let section = new kss.KssSection();
+      expect(section.status('draft')).to.equal(section);
+    });
+  });
+
+  describe('.since()', function() {
+    it('should return an empty string by default', function() {
+      expect(new kss.KssSection().since()).to.equal('');
+    });
+
+    it('should set data.since if given a value', function() {
+      let section = new kss.KssSection({since: 2.1});
+      expect(section.since()).to.equal('2.1');
+      expect(section.since('3.0')).to.equal(section);
+      expect(section.data.since).to.equal('3.0');
+    });
+  });
+
+  describe('.see()', function() {
+    it('should return an empty array by default', function() {
+      expect(new kss.KssSection().see()).to.deep.equal([]);
+    });
+
+    it('should set data.see if given a reference or an array of references', function() {
+      let section = new kss.KssSection({see: 'buttons.new'});
+      expect(section.see()).to.deep.equal(['buttons.new']);
+      expect(section.see(['forms', 'buttons'])).to.equal(section);
+      expect(section.data.see).to.deep.equal(['forms', 'buttons']);
+    });
+  });
+
   describe('.reference()', function() {
     it('should return data.reference', function(done) {
       this.styleGuide.sections().map(function(section) {
@@ -373,6 +455,18 @@ describe('KssSection object API', function() {
     });
   });
 
+  describe('.errors()', function() {
+    it('should return meta.errors', function() {
+      let section = new kss.KssSection({errors: ['Invalid status.']});
+      expect(section.errors()).to.deep.equal(['Invalid status.']);
+      expect(section.errors()).to.equal(section.meta.errors);
+    });
+
+    it('should default to no errors', function() {
+      expect(new kss.KssSection().errors()).to.deep.equal([]);
+    });
+  });
+
   describe('.depth()', function() {
     it('should return meta.depth', function(done) {
       this.styleGuide.sections().map(function(section) {
@@ -421,6 +515,36 @@ describe('KssSection object API', function() {
     });
   });
 
+  describe('.source()', function() {
+    it('should return data.source', function(done) {
+      this.styleGuide.sections().map(function(section) {
+        expect(section.source()).to.equal(section.data.source);
+      });
+      done();
+    });
+
+    it('should return the code following the KSS comment', function(done) {
+      let section = kss.parse('/**\n * Button\n *\n * @styleguide 1\n */\n.button {\n  color: red;\n}\n').sections('1');
+      expect(section.source().code).to.equal('.button {\n  color: red;\n}');
+      expect(section.source().selectors).to.deep.equal(['.button']);
+      done();
+    });
+
+    it('should set data.source if given a value', function(done) {
+      let section = new kss.KssSection({source: false});
+      section.source({code: 'a {}'});
+      expect(section.data.source).to.deep.equal({code: 'a {}'});
+      expect(section.source()).to.equal(section.data.source);
+      done();
+    });
+
+    it('should return itself if given a value', function(done) {
+      let section = new kss.KssSection();
+      expect(section.source({code: 'a {}'})).to.deep.equal(section);
+      done();
+    });
+  });
+
   describe('.modifiers()', function() {
     it('should return data.modifiers', function(done) {
       this.styleGuide.sections().map(function(section) {
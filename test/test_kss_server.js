@@ -0,0 +1,184 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const KssServer = require('../lib/kss_server'),
+  KssWatcher = require('../lib/kss_watcher'),
+  http = require('http');
+
+// Resolves to the response of a GET request.
+const get = function(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, response => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        body += chunk;
+      });
+      response.on('end', () => {
+        resolve({
+          statusCode: response.statusCode,
+          contentType: response.headers['content-type'],
+          body: body
+        });
+      });
+    }).on('error', reject);
+  });
+};
+
+describe('KssServer object API', function() {
+  before(function() {
+    this.server = new KssServer(helperUtils.fixtures('with-include'), 0);
+    return this.server.start();
+  });
+
+  after(function() {
+    return this.server.close();
+  });
+
+  describe('KssServer constructor', function() {
+    it('should default to port 8080', function() {
+      expect((new KssServer('styleguide')).port).to.equal(8080);
+    });
+
+    it('should default to the localhost host', function() {
+      expect((new KssServer('styleguide')).host).to.equal('localhost');
+      expect((new KssServer('styleguide', 0, [], '0.0.0.0')).url()).to.equal('http://localhost:0/');
+    });
+
+    it('should serve the directories of the relative CSS and JS URLs', function() {
+      let server = new KssServer('a/b/styleguide', 0, ['../../css/styles.css', '../main.js?v=1', 'kss-assets/kss.css', 'http://example.com/script.js', '/absolute.js', '?v=1']);
+      expect(server.root).to.equal(path.resolve('a/b/styleguide'));
+      expect(server.url()).to.equal('http://localhost:0/');
+      expect(server.directories).to.deep.equal({'/css/': path.resolve('a/css')});
+      expect(server.files).to.deep.equal({'/main.js': path.resolve('a/b/main.js')});
+    });
+  });
+
+  describe('.start()', function() {
+    it('should listen on a free port when given port 0', function() {
+      expect(this.server.port).to.not.equal(0);
+      expect(this.server.url()).to.equal('http://localhost:' + this.server.port + '/');
+    });
+  });
+
+  describe('.handleRequest()', function() {
+    it('should serve files from the destination', function() {
+      return get(this.server.url() + 'homepage.md').then(response => {
+        expect(response.statusCode).to.equal(200);
+        expect(response.contentType).to.equal('text/markdown');
+        expect(response.body).to.include('Home page text.');
+      });
+    });
+
+    it('should add the live reload script to the HTML pages it serves', function() {
+      let server;
+      return fs.outputFileAsync(path.resolve(__dirname, 'output', 'serve-html', 'index.html'), '<html><body><p>Page</p></body></html>').then(() => {
+        server = new KssServer(path.resolve(__dirname, 'output', 'serve-html'), 0);
+        return server.start();
+      }).then(() => {
+        return get(server.url());
+      }).then(response => {
+        expect(response.body).to.equal('<html><body><p>Page</p><script src="/kss-live-reload.js"></script>\n</body></html>');
+        return server.close();
+      });
+    });
+
+    it('should serve the live reload script', function() {
+      return get(this.server.url() + 'kss-live-reload.js').then(response => {
+        expect(response.statusCode).to.equal(200);
+        expect(response.body).to.include('new EventSource(\'/kss-live-reload\')');
+      });
+    });
+
+    it('should return a 404 for missing files', function() {
+      return get(this.server.url() + 'missing.html').then(response => {
+        expect(response.statusCode).to.equal(404);
+      });
+    });
+
+    it('should not serve files outside of the destination', function() {
+      return get(this.server.url() + '..%2F..%2Fhelper.js').then(response => {
+        expect(response.statusCode).to.equal(404);
+      });
+    });
+
+    it('should return a 400 for malformed URLs', function() {
+      return get(this.server.url() + '%E0%A4%A').then(response => {
+        expect(response.statusCode).to.equal(400);
+      });
+    });
+
+    it('should serve the relative CSS and JS URLs outside of the destination', function() {
+      let server = new KssServer(path.join(helperUtils.fixtures('with-include'), 'styleguide'), 0, ['../../lint/lint.scss', '../homepage.md']);
+      return server.start().then(() => {
+        return Promise.all([
+          get(server.url() + 'lint/lint.scss'),
+          get(server.url() + 'homepage.md'),
+          get(server.url() + 'style.scss'),
+          get(server.url() + 'lint/..%2F..%2Fhelper.js')
+        ]);
+      }).then(responses => {
+        expect(responses.map(response => {
+          return response.statusCode;
+        })).to.deep.equal([200, 200, 404, 404]);
+        return server.close();
+      });
+    });
+  });
+
+  describe('.reload()', function() {
+    it('should send a reload event to connected browsers', function() {
+      return new Promise((resolve, reject) => {
+        http.get(this.server.url() + 'kss-live-reload', response => {
+          let body = '';
+          response.setEncoding('utf8');
+          response.on('data', chunk => {
+            body += chunk;
+            if (body.indexOf('data: reload') !== -1) {
+              resolve(response);
+            }
+          });
+          // Wait for the server to register the connection.
+          setTimeout(() => {
+            expect(this.server.clients).to.have.length(1);
+            expect(this.server.reload()).to.equal(this.server);
+          }, 50);
+        }).on('error', reject);
+      }).then(response => {
+        expect(response.headers['content-type']).to.equal('text/event-stream');
+        response.destroy();
+      });
+    });
+  });
+
+  describe('kss() given the "serve" option', function() {
+    before(function() {
+      this.destination = path.resolve(__dirname, 'output', 'serve');
+      return kss({
+        source: helperUtils.fixtures('with-include'),
+        destination: this.destination,
+        serve: true,
+        port: 0,
+        logFunction: () => {}
+      }).then(watcher => {
+        this.watcher = watcher;
+      });
+    });
+
+    after(function() {
+      this.watcher.close();
+      return fs.removeAsync(this.destination);
+    });
+
+    it('should watch the source', function() {
+      expect(this.watcher).to.be.instanceOf(KssWatcher);
+    });
+
+    it('should not add the live reload script to the files of the style guide', function() {
+      return fs.readFileAsync(path.join(this.destination, 'index.html'), 'utf8').then(data => {
+        expect(data).to.not.include('kss-live-reload.js');
+      });
+    });
+  });
+});
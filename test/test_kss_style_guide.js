@@ -22,7 +22,10 @@ describe('KssStyleGuide object API', function() {
     'autoInit',
     'init',
     'customPropertyNames',
+    'duplicates',
     'hasNumericReferences',
+    'replaceLinks',
+    'brokenLinks',
     'referenceDelimiter',
     'sections'
   ].forEach(function(method) {
@@ -38,6 +41,8 @@ describe('KssStyleGuide object API', function() {
       let obj = new kss.KssStyleGuide();
       expect(obj).to.have.property('meta');
       expect(obj.meta).to.have.property('autoInit');
+      expect(obj.meta).to.have.property('duplicatePolicy');
+      expect(obj.meta).to.have.property('duplicates');
       expect(obj.meta).to.have.property('files');
       expect(obj.meta).to.have.property('hasNumericReferences');
       expect(obj.meta).to.have.property('needsDepth');
@@ -77,6 +82,15 @@ describe('KssStyleGuide object API', function() {
             experimental: false,
             header: 'example',
             markup: '<div class="example">lorem ipsum</div>',
+            source: false,
+            status: {
+              name: 'stable',
+              message: '',
+              since: '',
+              replacement: ''
+            },
+            since: '',
+            see: [],
             modifiers: [],
             parameters: [],
             reference: '1.1',
@@ -173,6 +187,96 @@ describe('KssStyleGuide object API', function() {
     });
   });
 
+  describe('.duplicates()', function() {
+    before(function() {
+      this.duplicateSections = [
+        {
+          header: 'Button',
+          description: 'The original button.',
+          reference: '1.1',
+          modifiers: [{name: '.big', description: 'A big button.'}],
+          sourceFile: {path: 'button.scss', line: 3}
+        },
+        {
+          header: 'Copied button',
+          description: 'The copied button.',
+          reference: '1.1',
+          markup: '<button></button>',
+          deprecated: true,
+          modifiers: [{name: '.small', description: 'A small button.'}],
+          sourceFile: {path: 'copy.scss', line: 12}
+        }
+      ];
+    });
+
+    it('should keep the first section and record the duplicate by default', function() {
+      let styleGuide = new kss.KssStyleGuide({sections: this.duplicateSections});
+      expect(styleGuide.sections()).to.have.length(1);
+      expect(styleGuide.sections('1.1').header()).to.equal('Button');
+      expect(styleGuide.duplicates()).to.have.length(1);
+      expect(styleGuide.duplicates()[0].reference).to.equal('1.1');
+      expect(styleGuide.duplicates()[0].original.path).to.equal('button.scss');
+      expect(styleGuide.duplicates()[0].duplicate.path).to.equal('copy.scss');
+      expect(styleGuide.duplicates()[0].message).to.equal('Duplicate section reference "1.1" at copy.scss:12; it is already defined at button.scss:3.');
+    });
+
+    it('should throw an error given the "error" policy', function() {
+      expect(() => {
+        return new kss.KssStyleGuide({sections: this.duplicateSections, duplicates: 'error'});
+      }).to.throw('Duplicate section reference "1.1" at copy.scss:12; it is already defined at button.scss:3.');
+    });
+
+    it('should ignore the duplicate given the "keep-first" policy', function() {
+      let styleGuide = new kss.KssStyleGuide({sections: this.duplicateSections, duplicates: 'keep-first'});
+      expect(styleGuide.sections()).to.have.length(1);
+      expect(styleGuide.sections('1.1').header()).to.equal('Button');
+      expect(styleGuide.duplicates()).to.have.length(1);
+    });
+
+    it('should merge the duplicate into the original given the "merge" policy', function() {
+      let styleGuide = new kss.KssStyleGuide({sections: this.duplicateSections, duplicates: 'merge'});
+      let section = styleGuide.sections('1.1');
+      expect(styleGuide.sections()).to.have.length(1);
+      expect(section.header()).to.equal('Button');
+      expect(section.description()).to.equal('The original button.\nThe copied button.');
+      expect(section.markup()).to.equal('<button></button>');
+      expect(section.deprecated()).to.be.true;
+      expect(section.modifiers().map(modifier => modifier.name())).to.deep.equal(['.big', '.small']);
+      expect(section.custom('sourceFile').path).to.equal('button.scss');
+      expect(styleGuide.duplicates()).to.have.length(1);
+    });
+
+    it('should throw an error given an invalid policy', function() {
+      expect(() => {
+        return new kss.KssStyleGuide({duplicates: 'ignore'});
+      }).to.throw('Invalid duplicates option "ignore"; it must be one of: warn, error, merge, keep-first.');
+    });
+  });
+
+  describe('.replaceLinks()', function() {
+    it('should give the linked section, the reference and the text of each link to the replacer', function() {
+      let styleGuide = new kss.KssStyleGuide({sections: [{header: 'Buttons', reference: 'buttons'}]});
+      let text = styleGuide.replaceLinks('See {@link buttons}, {@link buttons | the buttons} and {@link forms}.', (section, reference, label) => {
+        return '[' + (section ? section.header() : 'none') + '|' + reference + '|' + label + ']';
+      });
+      expect(text).to.equal('See [Buttons|buttons|], [Buttons|buttons|the buttons] and [none|forms|].');
+    });
+  });
+
+  describe('.brokenLinks()', function() {
+    it('should return the links to unknown sections', function() {
+      let styleGuide = new kss.KssStyleGuide({sections: [
+        {header: 'Buttons', reference: 'buttons', description: 'Use {@link forms} and {@link buttons.new}.', see: ['buttons.new', 'icons']},
+        {header: 'Old button', reference: 'buttons.old', status: {name: 'deprecated', replacement: 'buttons.newer'}},
+        {header: 'New button', reference: 'buttons.new', modifiers: [{name: '.big', description: 'Like {@link sizes}.'}]}
+      ]});
+      expect(styleGuide.brokenLinks().map(brokenLink => {
+        return [brokenLink.section.reference(), brokenLink.reference];
+      })).to.deep.equal([['buttons', 'icons'], ['buttons', 'forms'], ['buttons.new', 'sizes'], ['buttons.old', 'buttons.newer']]);
+      expect(styleGuide.brokenLinks()[0].message).to.equal('Section "buttons" at an unknown location links to the unknown section "icons".');
+    });
+  });
+
   describe('.hasNumericReferences()', function() {
     it('should return meta.hasNumericReferences', function(done) {
       expect(this.styleGuide.hasNumericReferences()).to.equal(this.styleGuide.meta.hasNumericReferences).and.to.be.false;
@@ -451,5 +555,115 @@ describe('KssStyleGuide object API', function() {
         done();
       });
     });
+
+    context('given a filter', function() {
+      before(function() {
+        this.statusStyleGuide = new kss.KssStyleGuide({
+          sections: [
+            {header: 'Buttons', reference: 'buttons'},
+            {header: 'Old button', reference: 'buttons.old', status: 'deprecated'},
+            {header: 'New button', reference: 'buttons.new', status: 'draft'},
+            {header: 'Forms', reference: 'forms', experimental: true}
+          ]
+        });
+      });
+
+      it('should return the sections with the given status', function() {
+        expect(this.statusStyleGuide.sections('buttons.*', {status: 'deprecated'}).map(section => {
+          return section.reference();
+        })).to.deep.equal(['buttons.old']);
+      });
+
+      it('should return the sections with any of the given statuses', function() {
+        expect(this.statusStyleGuide.sections('*', {status: ['draft', 'experimental']}).map(section => {
+          return section.reference();
+        })).to.deep.equal(['buttons.new', 'forms']);
+      });
+
+      it('should filter all of the sections if no query is given', function() {
+        let query;
+        expect(this.statusStyleGuide.sections(query, {status: 'deprecated'}).map(section => {
+          return section.reference();
+        })).to.deep.equal(['buttons.old']);
+      });
+
+      it('should return an exact match only if it matches the filter', function() {
+        expect(this.statusStyleGuide.sections('buttons.old', {status: 'deprecated'}).reference()).to.equal('buttons.old');
+        expect(this.statusStyleGuide.sections('buttons.old', {status: 'stable'})).to.be.false;
+      });
+
+      context('with other conditions', function() {
+        before(function() {
+          this.filterStyleGuide = new kss.KssStyleGuide({
+            sections: [
+              {header: 'Buttons', reference: 'buttons', description: 'Clickable things.', sourceFile: {name: 'buttons.scss'}},
+              {header: 'Old button', reference: 'buttons.old', deprecated: true, markup: '<button>', sourceFile: {name: 'buttons.scss'}},
+              {header: 'Forms', reference: 'forms', experimental: true, sourceFile: {name: 'forms/forms.scss'}},
+              {header: 'Text field', reference: 'forms.text', description: 'A field for text.', deprecated: true, modifiers: [{name: '.is-large'}], sourceFile: {name: 'forms/text.scss'}, owner: 'Design', tags: ['input', 'text']},
+              {header: 'Check box', reference: 'forms.text.check', parameters: [{name: '$size'}], sourceFile: {name: 'forms/check.scss'}, owner: 'Platform'}
+            ]
+          });
+          this.references = filter => {
+            return this.filterStyleGuide.sections('*', filter).map(section => {
+              return section.reference();
+            });
+          };
+        });
+
+        it('should filter by text in the header or the description', function() {
+          expect(this.references({text: 'OLD'})).to.deep.equal(['buttons.old']);
+          expect(this.references({text: 'clickable'})).to.deep.equal(['buttons']);
+          expect(this.references({text: /^(Forms|A field)/})).to.deep.equal(['forms', 'forms.text']);
+          expect(this.references({header: 'field'})).to.deep.equal(['forms.text']);
+          expect(this.references({description: 'field'})).to.deep.equal(['forms.text']);
+        });
+
+        it('should filter by custom property values', function() {
+          expect(this.references({custom: {owner: true}})).to.deep.equal(['forms.text', 'forms.text.check']);
+          expect(this.references({custom: {owner: false}})).to.deep.equal(['buttons', 'buttons.old', 'forms']);
+          expect(this.references({custom: {owner: 'Design'}})).to.deep.equal(['forms.text']);
+          expect(this.references({custom: {owner: /form/}})).to.deep.equal(['forms.text.check']);
+          expect(this.references({custom: {tags: 'input'}})).to.deep.equal(['forms.text']);
+        });
+
+        it('should filter by the deprecated and experimental flags', function() {
+          expect(this.references({deprecated: true})).to.deep.equal(['buttons.old', 'forms.text']);
+          expect(this.references({experimental: true})).to.deep.equal(['forms']);
+          expect(this.references({deprecated: false, experimental: false})).to.deep.equal(['buttons', 'forms.text.check']);
+        });
+
+        it('should filter by depth', function() {
+          expect(this.references({depth: 1})).to.deep.equal(['buttons', 'forms']);
+          expect(this.references({depth: {min: 2}})).to.deep.equal(['buttons.old', 'forms.text', 'forms.text.check']);
+          expect(this.references({depth: {max: 2}})).to.deep.equal(['buttons', 'buttons.old', 'forms', 'forms.text']);
+        });
+
+        it('should filter by source file or directory', function() {
+          expect(this.references({file: 'buttons.scss'})).to.deep.equal(['buttons', 'buttons.old']);
+          expect(this.references({file: 'forms'})).to.deep.equal(['forms', 'forms.text', 'forms.text.check']);
+          expect(this.references({file: /check/})).to.deep.equal(['forms.text.check']);
+        });
+
+        it('should filter by the presence of markup, modifiers or parameters', function() {
+          expect(this.references({markup: true})).to.deep.equal(['buttons.old']);
+          expect(this.references({modifiers: true})).to.deep.equal(['forms.text']);
+          expect(this.references({parameters: true})).to.deep.equal(['forms.text.check']);
+          expect(this.references({parameters: false, markup: false}).length).to.equal(3);
+        });
+
+        it('should combine the conditions', function() {
+          expect(this.references({deprecated: true, file: 'forms/'})).to.deep.equal(['forms.text']);
+          expect(this.filterStyleGuide.sections('forms.*', {custom: {owner: true}, depth: 3}).map(section => {
+            return section.reference();
+          })).to.deep.equal(['forms.text.check']);
+        });
+
+        it('should throw an error given an unknown condition', function() {
+          expect(() => {
+            this.references({colour: 'red'});
+          }).to.throw('Invalid filter "colour"; it must be one of: ');
+        });
+      });
+    });
   });
 });
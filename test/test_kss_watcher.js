@@ -0,0 +1,170 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const KssWatcher = require('../lib/kss_watcher'),
+  mockStream = require('mock-utf8-stream');
+
+describe('KssWatcher object API', function() {
+  before(function() {
+    this.source = path.resolve(__dirname, 'output', 'watch', 'source');
+    this.destination = path.resolve(__dirname, 'output', 'watch', 'styleguide');
+    this.stdout = new mockStream.MockWritableStream();
+    this.stdout.startCapture();
+
+    return fs.copyAsync(helperUtils.fixtures('with-include'), this.source, {clobber: true}).then(() => {
+      return kss({
+        source: this.source,
+        destination: this.destination,
+        watch: true,
+        logFunction: message => {
+          this.stdout.write(message + '\n');
+        }
+      });
+    }).then(watcher => {
+      this.watcher = watcher;
+    });
+  });
+
+  after(function() {
+    this.watcher.close();
+    return fs.removeAsync(path.resolve(__dirname, 'output', 'watch'));
+  });
+
+  describe('kss() given the "watch" option', function() {
+    it('should resolve to a KssWatcher', function() {
+      expect(this.watcher).to.be.instanceOf(KssWatcher);
+      expect(this.watcher.styleGuide).to.be.instanceOf(kss.KssStyleGuide);
+      expect(this.stdout.capturedData).to.include('Watching for changes...');
+    });
+
+    it('should watch the source directory', function() {
+      expect(this.watcher.watchers).to.have.property(this.source);
+    });
+  });
+
+  describe('.rebuild()', function() {
+    it('should rebuild the pages of a changed stylesheet', function() {
+      let file = path.join(this.source, 'style.scss');
+      return Promise.all([
+        fs.removeAsync(path.join(this.destination, 'index.html')),
+        fs.removeAsync(path.join(this.destination, 'section-3.html')),
+        fs.readFileAsync(file, 'utf8').then(contents => {
+          return fs.writeFileAsync(file, contents.replace('Section 3 has been successfully loaded.', 'Section 3 has been successfully reloaded.'));
+        })
+      ]).then(() => {
+        return this.watcher.rebuild([file]);
+      }).then(styleGuide => {
+        expect(styleGuide.sections('3').description()).to.include('Section 3 has been successfully reloaded.');
+        return Promise.all([
+          fs.readFileAsync(path.join(this.destination, 'section-3.html'), 'utf8'),
+          fs.statAsync(path.join(this.destination, 'index.html')).catch(error => {
+            return error;
+          })
+        ]);
+      }).then(results => {
+        expect(results[0]).to.include('Section 3 has been successfully reloaded.');
+        expect(results[1]).to.be.an.instanceOf(Error);
+      });
+    });
+
+    it('should rebuild the homepage when the homepage file changes', function() {
+      let file = path.join(this.source, 'homepage.md');
+      return fs.writeFileAsync(file, 'Updated home page text.').then(() => {
+        return this.watcher.rebuild([file]);
+      }).then(() => {
+        return fs.readFileAsync(path.join(this.destination, 'index.html'), 'utf8');
+      }).then(data => {
+        expect(data).to.include('Updated home page text.');
+      });
+    });
+
+    it('should rebuild all pages when the menu changes', function() {
+      let file = path.join(this.source, 'style.scss');
+      return Promise.all([
+        fs.removeAsync(path.join(this.destination, 'section-4.html')),
+        fs.readFileAsync(file, 'utf8').then(contents => {
+          return fs.writeFileAsync(file, contents.replace(' * Section 3\n', ' * Section three\n'));
+        })
+      ]).then(() => {
+        return this.watcher.rebuild([file]);
+      }).then(() => {
+        return fs.readFileAsync(path.join(this.destination, 'section-4.html'), 'utf8');
+      }).then(data => {
+        expect(data).to.include('Section three');
+      });
+    });
+  });
+
+  describe('.queue()', function() {
+    it('should rebuild after a file in a source directory changes', function() {
+      let file = path.join(this.source, 'forms.hbs');
+      return new Promise(resolve => {
+        this.watcher.once('rebuild', resolve);
+        fs.readFileAsync(file, 'utf8').then(contents => {
+          return fs.writeFileAsync(file, contents + '\n<p>Changed form</p>\n');
+        });
+      }).then(result => {
+        expect(result.files).to.include(file);
+        return fs.readFileAsync(path.join(this.destination, 'section-3.html'), 'utf8');
+      }).then(data => {
+        expect(data).to.include('Changed form');
+      });
+    });
+  });
+
+  describe('.close()', function() {
+    it('should stop watching the source directories', function() {
+      let watcher = new KssWatcher(this.watcher.builder, this.watcher.options),
+        closed = false;
+      return watcher.start(this.watcher.styleGuide).then(() => {
+        expect(Object.keys(watcher.watchers)).to.not.be.empty;
+        watcher.on('close', () => {
+          closed = true;
+        });
+        expect(watcher.close()).to.equal(watcher);
+        expect(watcher.watchers).to.deep.equal({});
+        expect(closed).to.be.true;
+      });
+    });
+  });
+
+  describe('given a builder', function() {
+    before(function() {
+      this.builder = path.resolve(__dirname, 'output', 'watch', 'builder');
+      this.builderDestination = path.resolve(__dirname, 'output', 'watch', 'builder-styleguide');
+      return fs.copyAsync(path.resolve(__dirname, '..', 'builder', 'handlebars'), this.builder, {clobber: true}).then(() => {
+        return kss({
+          source: this.source,
+          destination: this.builderDestination,
+          builder: this.builder,
+          watch: true,
+          logFunction: () => {}
+        });
+      }).then(watcher => {
+        this.builderWatcher = watcher;
+      });
+    });
+
+    after(function() {
+      this.builderWatcher.close();
+    });
+
+    it('should watch the builder directory', function() {
+      expect(this.builderWatcher.watchers).to.have.property(this.builder);
+    });
+
+    it('should rebuild all pages when a template changes', function() {
+      let file = path.join(this.builder, 'index.hbs');
+      return fs.readFileAsync(file, 'utf8').then(contents => {
+        return fs.writeFileAsync(file, contents.replace('</body>', '<p>Changed template</p>\n</body>'));
+      }).then(() => {
+        return this.builderWatcher.rebuild([file]);
+      }).then(() => {
+        return fs.readFileAsync(path.join(this.builderDestination, 'section-2.html'), 'utf8');
+      }).then(data => {
+        expect(data).to.include('Changed template');
+      });
+    });
+  });
+});
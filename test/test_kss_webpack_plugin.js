@@ -0,0 +1,170 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+describe('KssWebpackPlugin object API', function() {
+  before(function() {
+    this.outputPath = path.resolve(__dirname, 'output', 'webpack');
+    this.source = helperUtils.fixtures('with-include');
+
+    // Creates a compiler and a compilation with the API used by the plugin,
+    // of webpack 4 or of webpack 5.
+    this.createCompiler = webpack5 => {
+      let compiler = {
+        context: this.source,
+        outputPath: this.outputPath,
+        inputFileSystem: fs,
+        hooks: {
+          emit: {
+            tapPromise: (name, callback) => {
+              compiler.emit = callback;
+            }
+          }
+        }
+      };
+      let compilation = {
+        modules: new Set([
+          {resource: path.join(this.source, 'style.scss') + '?inline'},
+          {resource: path.join(this.source, 'button.hbs')},
+          {resource: path.join(this.source, 'node_modules', 'vendor.css')},
+          {}
+        ]),
+        assets: {'main.js': {}, 'main.0123abcd.css': {}},
+        errors: []
+      };
+      if (webpack5) {
+        compiler.webpack = {
+          Compilation: {PROCESS_ASSETS_STAGE_REPORT: 5000},
+          sources: {
+            RawSource: function(contents) {
+              this.source = () => {
+                return contents;
+              };
+            }
+          }
+        };
+        compiler.hooks = {
+          thisCompilation: {
+            tap: (name, callback) => {
+              callback(compilation);
+            }
+          }
+        };
+        compilation.hooks = {
+          processAssets: {
+            tapPromise: (options, callback) => {
+              compiler.stage = options.stage;
+              compiler.emit = callback;
+            }
+          }
+        };
+        compilation.emitAsset = (name, source) => {
+          compilation.assets[name] = source;
+        };
+      }
+      return {compiler: compiler, compilation: compilation};
+    };
+  });
+
+  describe('.apply()', function() {
+    it('should add the style guide to the assets webpack emits', function() {
+      let plugin = new kss.KssWebpackPlugin(),
+        webpack = this.createCompiler();
+      plugin.apply(webpack.compiler);
+      return webpack.compiler.emit(webpack.compilation).then(styleGuide => {
+        expect(webpack.compilation.errors).to.deep.equal([]);
+        expect(styleGuide).to.be.instanceof(kss.KssStyleGuide);
+        expect(styleGuide.meta.files).to.deep.equal([path.join(this.source, 'style.scss')]);
+        let asset = webpack.compilation.assets['styleguide/index.html'];
+        expect(asset.source().toString('utf8')).to.include('href="../main.0123abcd.css"');
+        expect(asset.size()).to.equal(asset.source().length);
+        expect(webpack.compilation.assets).to.have.property('styleguide/kss-assets/kss.css');
+        expect(plugin.cssAssets(webpack.compiler, webpack.compilation)).to.deep.equal(['../main.0123abcd.css']);
+        return fs.statAsync(this.outputPath).catch(error => {
+          return error;
+        });
+      }).then(result => {
+        expect(result).to.be.an.instanceOf(Error);
+        expect(result.code).to.equal('ENOENT');
+      });
+    });
+
+    it('should add the style guide to the assets of webpack 5 when it processes them', function() {
+      let plugin = new kss.KssWebpackPlugin(),
+        webpack = this.createCompiler(true);
+      plugin.apply(webpack.compiler);
+      expect(webpack.compiler.stage).to.equal(5000);
+      return webpack.compiler.emit().then(styleGuide => {
+        expect(webpack.compilation.errors).to.deep.equal([]);
+        expect(styleGuide).to.be.instanceof(kss.KssStyleGuide);
+        expect(webpack.compilation.assets['styleguide/index.html'].source().toString('utf8')).to.include('href="../main.0123abcd.css"');
+      });
+    });
+
+    it('should not log by default', function() {
+      let plugin = new kss.KssWebpackPlugin(),
+        webpack = this.createCompiler(),
+        log = console.log,
+        messages = [];
+      plugin.apply(webpack.compiler);
+      console.log = message => {
+        messages.push(message);
+      };
+      return webpack.compiler.emit(webpack.compilation).finally(() => {
+        console.log = log;
+      }).then(() => {
+        expect(messages).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('.build()', function() {
+    it('should not build the style guide again if nothing changed', function() {
+      let plugin = new kss.KssWebpackPlugin({logFunction: () => {}}),
+        webpack = this.createCompiler();
+      return plugin.build(webpack.compiler, webpack.compilation).then(styleGuide => {
+        expect(styleGuide).to.be.instanceof(kss.KssStyleGuide);
+        webpack.compilation.assets = {'main.0123abcd.css': {}};
+        return plugin.build(webpack.compiler, webpack.compilation);
+      }).then(styleGuide => {
+        expect(styleGuide).to.be.null;
+        expect(webpack.compilation.assets).to.have.property('styleguide/index.html');
+        webpack.compilation.assets = {'main.4567cdef.css': {}};
+        return plugin.build(webpack.compiler, webpack.compilation);
+      }).then(styleGuide => {
+        expect(styleGuide).to.be.instanceof(kss.KssStyleGuide);
+      });
+    });
+
+    it('should add the errors of the build to the compilation', function() {
+      let plugin = new kss.KssWebpackPlugin({builder: 'test/fixtures/missing-builder', logFunction: () => {}}),
+        webpack = this.createCompiler();
+      return plugin.build(webpack.compiler, webpack.compilation).then(styleGuide => {
+        expect(styleGuide).to.be.null;
+        expect(webpack.compilation.errors).to.have.length(1);
+      });
+    });
+  });
+
+  describe('.stylesheets()', function() {
+    it('should read the stylesheets of the modules', function() {
+      let plugin = new kss.KssWebpackPlugin(),
+        webpack = this.createCompiler();
+      return plugin.stylesheets(webpack.compiler, webpack.compilation).then(files => {
+        expect(files).to.have.length(1);
+        expect(files[0].base).to.equal(this.source);
+        expect(files[0].path).to.equal(path.join(this.source, 'style.scss'));
+        expect(files[0].contents).to.include('@styleguide');
+      });
+    });
+  });
+
+  describe('.cssAssets()', function() {
+    it('should return the URLs of the emitted CSS files', function() {
+      let webpack = this.createCompiler();
+      expect(new kss.KssWebpackPlugin().cssAssets(webpack.compiler, webpack.compilation)).to.deep.equal(['../main.0123abcd.css']);
+      expect(new kss.KssWebpackPlugin({publicPath: '/assets'}).cssAssets(webpack.compiler, webpack.compilation)).to.deep.equal(['/assets/main.0123abcd.css']);
+      expect(new kss.KssWebpackPlugin({cssAssets: false}).cssAssets(webpack.compiler, webpack.compilation)).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const mockStream = require('mock-utf8-stream');
+
+describe('kss.lint()', function() {
+  before(function() {
+    return kss.traverse(helperUtils.fixtures('lint')).then(styleGuide => {
+      return kss.lint(styleGuide, {source: [helperUtils.fixtures('lint')]});
+    }).then(problems => {
+      this.problems = problems;
+    });
+  });
+
+  // Returns the problems found by the given rule.
+  const findProblems = function(problems, rule) {
+    return problems.filter(problem => {
+      return problem.rule === rule;
+    });
+  };
+
+  it('should report the file and line of each problem', function() {
+    expect(this.problems).to.not.be.empty;
+    this.problems.forEach(problem => {
+      expect(problem.file).to.equal(path.join(helperUtils.fixtures('lint'), 'lint.scss'));
+      expect(problem.line).to.be.above(0);
+    });
+  });
+
+  it('should sort the problems by line', function() {
+    let lines = this.problems.map(problem => {
+      return problem.line;
+    });
+    expect(lines).to.deep.equal(lines.slice().sort((a, b) => {
+      return a - b;
+    }));
+  });
+
+  it('should find duplicate references', function() {
+    let problems = findProblems(this.problems, 'duplicate-reference');
+    expect(problems).to.have.length(1);
+    expect(problems[0].line).to.equal(21);
+    expect(problems[0].message).to.equal('Section "buttons.size" is already defined at ' + path.join(helperUtils.fixtures('lint'), 'lint.scss') + ':7.');
+  });
+
+  it('should find references with missing parents', function() {
+    let problems = findProblems(this.problems, 'missing-parent');
+    expect(problems).to.have.length(1);
+    expect(problems[0].reference).to.equal('forms.input');
+    expect(problems[0].message).to.equal('Section "forms.input" has no parent section "forms".');
+  });
+
+  it('should find markup files that do not exist', function() {
+    let problems = findProblems(this.problems, 'markup-not-found');
+    expect(problems).to.have.length(1);
+    expect(problems[0].message).to.equal('The markup file "missing.hbs" of section "forms.input" was not found.');
+  });
+
+  it('should find parameters that are not in the mixin signature', function() {
+    let problems = findProblems(this.problems, 'unknown-parameter');
+    expect(problems).to.have.length(1);
+    expect(problems[0].message).to.include('Parameter "$color" of section "buttons.size"');
+  });
+
+  it('should find parameters without a name', function() {
+    let styleGuide = kss.parse('/**\n * Size\n *\n * @param @size - The size.\n *\n * @styleguide size\n */\n.size(@size) {\n  width: @size;\n}\n');
+    return kss.lint(styleGuide, {custom: ['size']}).then(problems => {
+      expect(findProblems(problems, 'unknown-parameter').map(problem => {
+        return problem.message;
+      })).to.deep.equal([
+        'A parameter of section "size" has no name; escape the "@" of a Less variable as "\\@", e.g. "@param \\@size".'
+      ]);
+    });
+  });
+
+  it('should find modifiers that are not documented', function() {
+    let problems = findProblems(this.problems, 'undocumented-modifier');
+    expect(problems.map(problem => {
+      return problem.message;
+    })).to.deep.equal([
+      'Modifier ".is-large" of section "alerts" is used in the CSS but is not documented.',
+      'Modifier ":hover" of section "alerts" is used in the CSS but is not documented.',
+      'Modifier ":focus" of section "alerts" is used in the CSS but is not documented.'
+    ]);
+  });
+
+  it('should find documented modifiers that are not used', function() {
+    let problems = findProblems(this.problems, 'unused-modifier');
+    expect(problems).to.have.length(1);
+    expect(problems[0].message).to.equal('Modifier ".is-dismissed" of section "alerts" is documented but is not used in the CSS.');
+  });
+
+  it('should find the modifiers of flat CSS rules', function() {
+    return kss.traverse(helperUtils.fixtures('lint-modifiers')).then(styleGuide => {
+      return kss.lint(styleGuide);
+    }).then(problems => {
+      expect(problems).to.deep.equal([]);
+    });
+  });
+
+  it('should find empty descriptions', function() {
+    let problems = findProblems(this.problems, 'empty-description');
+    expect(problems).to.have.length(1);
+    expect(problems[0].reference).to.equal('forms.input.empty');
+  });
+
+  it('should find unknown tags', function() {
+    let problems = findProblems(this.problems, 'unknown-tag');
+    expect(problems).to.have.length(1);
+    expect(problems[0].message).to.equal('Section "forms.input.found" has an unknown tag "@todo".');
+  });
+
+  it('should allow custom property tags', function() {
+    return kss.traverse(helperUtils.fixtures('lint')).then(styleGuide => {
+      return kss.lint(styleGuide, {source: [helperUtils.fixtures('lint')], custom: ['todo']});
+    }).then(problems => {
+      expect(findProblems(problems, 'unknown-tag')).to.be.empty;
+    });
+  });
+
+  it('should find tags with an invalid value', function() {
+    let problems = findProblems(this.problems, 'invalid-tag');
+    expect(problems).to.have.length(1);
+    expect(problems[0].line).to.equal(84);
+    expect(problems[0].message).to.equal('Invalid status "beta" in section "buttons.beta" at ' + path.join(helperUtils.fixtures('lint'), 'lint.scss') + ':84; it must be one of: draft, experimental, stable, deprecated, removed.');
+  });
+
+  it('should find a repeated since tag', function() {
+    let styleGuide = kss.parse('/**\n * Button\n *\n * @since 1.4\n * @since 1.5\n *\n * @styleguide button\n */\n');
+    return kss.lint(styleGuide).then(problems => {
+      expect(findProblems(problems, 'invalid-tag').map(problem => {
+        return problem.message;
+      })).to.deep.equal([
+        'Invalid since in section "button" at line 1: it can only be used once.'
+      ]);
+    });
+  });
+
+  it('should find links to unknown sections', function() {
+    let styleGuide = kss.parse('/**\n * Button\n *\n * @description Unlike {@link links}, see {@link button}.\n * @see forms\n *\n * @styleguide button\n */\n');
+    return kss.lint(styleGuide).then(problems => {
+      expect(findProblems(problems, 'broken-link').map(problem => {
+        return problem.message;
+      })).to.deep.equal([
+        'Section "button" links to the unknown section "forms".',
+        'Section "button" links to the unknown section "links".'
+      ]);
+    });
+  });
+
+  it('should check the sections written in the classic KSS syntax', function() {
+    return kss.traverse(helperUtils.fixtures('lint-classic'), {syntax: 'kss'}).then(styleGuide => {
+      return kss.lint(styleGuide);
+    }).then(problems => {
+      expect(problems.map(problem => {
+        return problem.rule + ': ' + problem.message;
+      })).to.deep.equal([
+        'missing-parent: Section "forms.button-size" has no parent section "forms".'
+      ]);
+    });
+  });
+
+  it('should find no problems in valid documentation', function() {
+    let styleGuide = kss.parse('/**\n * Button\n *\n * @styleguide button\n */\n');
+    return kss.lint(styleGuide).then(problems => {
+      expect(problems).to.deep.equal([]);
+    });
+  });
+
+  describe('kss() given the "lint" option', function() {
+    it('should report problems and not build the style guide', function() {
+      let stdout = new mockStream.MockWritableStream(),
+        destination = path.resolve(__dirname, 'output', 'lint');
+      stdout.startCapture();
+
+      return kss({
+        source: helperUtils.fixtures('lint'),
+        destination: destination,
+        lint: true,
+        logFunction: message => {
+          stdout.write(message + '\n');
+        },
+        logErrorFunction: () => {}
+      }).then(() => {
+        throw new Error('kss() should reject');
+      }, error => {
+        expect(error.message).to.equal('Found 11 problems in the KSS documentation.');
+        expect(error.problems).to.have.length(11);
+        expect(stdout.capturedData).to.include(path.join(helperUtils.fixtures('lint'), 'lint.scss') + ':27: Section "forms.input" has no parent section "forms". [missing-parent]\n');
+        return fs.statAsync(destination).then(() => {
+          throw new Error('The destination should not exist');
+        }, error => {
+          expect(error.code).to.equal('ENOENT');
+        });
+      });
+    });
+
+    it('should resolve if no problems are found', function() {
+      let stdout = new mockStream.MockWritableStream();
+      stdout.startCapture();
+
+      return kss({
+        source: helperUtils.fixtures(),
+        mask: 'sections-order.less',
+        lint: true,
+        logFunction: message => {
+          stdout.write(message + '\n');
+        }
+      }).then(styleGuide => {
+        expect(styleGuide).to.be.an.instanceOf(kss.KssStyleGuide);
+        expect(stdout.capturedData).to.include('No problems found in the KSS documentation.');
+      });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const mockStream = require('mock-utf8-stream');
+
+describe('kss.migrate()', function() {
+  before(function() {
+    this.options = {mask: 'syntax-kss.less', syntax: 'kss', markdown: false, custom: ['custom']};
+    return helperUtils.traverseFixtures(this.options).then(styleGuide => {
+      this.styleGuide = styleGuide;
+      return kss.migrate(styleGuide, {dryRun: true, custom: ['custom']});
+    }).then(files => {
+      this.files = files;
+    });
+  });
+
+  // Returns the data of a section that is the same in both syntaxes.
+  const sectionData = function(section) {
+    let data = section.toJSON();
+    delete data.sourceFile;
+    delete data.source;
+    delete data.referenceNumber;
+    return data;
+  };
+
+  it('should migrate the files containing classic KSS comments', function() {
+    expect(this.files).to.have.length(1);
+    expect(this.files[0].path).to.equal(helperUtils.fixtures('syntax-kss.less'));
+    expect(this.files[0].destination).to.equal(this.files[0].path);
+    expect(this.files[0].sections).to.equal(3);
+  });
+
+  it('should rewrite the classic KSS comments as docblocks', function() {
+    let styleGuide = kss.parse(this.files[0].contents, {markdown: false, custom: ['custom']});
+    ['syntax.classic', 'syntax.custom'].forEach(reference => {
+      expect(sectionData(styleGuide.sections(reference))).to.deep.equal(sectionData(this.styleGuide.sections(reference)));
+    });
+    expect(styleGuide.sections('syntax.mixin').experimental()).to.be.true;
+    expect(styleGuide.sections('syntax.mixin').parameters()[0].toJSON()).to.deep.equal({
+      name: '@size',
+      defaultValue: '',
+      description: 'The size of the button.'
+    });
+    expect(this.files[0].contents).to.include('// @modifier :hover - Highlights when hovered, on the following line too.\n');
+    expect(this.files[0].contents).to.include(' * @experimental This may change.\n');
+    expect(this.files[0].contents).to.include(' * @status draft since 3.0 - Work in progress.\n *\n * @since 2.5\n');
+  });
+
+  it('should keep the comment marker of single-line KSS comments', function() {
+    let contents = this.files[0].contents;
+    expect(contents).to.match(/^\/\/ Classic buttons\n\/\/\n\/\/ @description A button written in the classic KSS syntax\.\n/);
+    expect(contents).to.include('\n/**\n * Classic mixin\n');
+  });
+
+  it('should keep the "@" of Less parameters', function() {
+    expect(this.files[0].contents).to.include(' * @param \\@size - The size of the button.\n');
+  });
+
+  it('should write a tag for each value of a repeated custom property', function() {
+    let styleGuide = kss.parse([{
+      base: '',
+      path: 'button.less',
+      contents: '// Button\n//\n// Note: One\n//\n// Note: Two\n//\n// Styleguide button\n'
+    }], {syntax: 'kss', markdown: false, custom: ['note']});
+    return kss.migrate(styleGuide, {dryRun: true, custom: ['note']}).then(files => {
+      expect(files[0].contents).to.include('// @note One\n// @note Two\n');
+      expect(kss.parse(files[0].contents, {markdown: false, custom: ['note']}).sections('button').custom('note')).to.deep.equal(['One', 'Two']);
+    });
+  });
+
+  it('should not change the rest of the file', function() {
+    let contents = this.files[0].contents;
+    expect(contents).to.include('/**\n * Docblock\n *\n * @styleguide syntax.docblock\n */\n');
+    expect(contents).to.include('// A regular comment.\n//\n// Not a KSS comment.\n');
+    expect(contents).to.include('// @styleguide syntax.classic\n.button {\n  color: red;\n}\n');
+  });
+
+  it('should create a diff of the changes', function() {
+    let diff = this.files[0].diff;
+    expect(diff).to.match(/^--- a\/syntax-kss\.less\n\+\+\+ b\/syntax-kss\.less\n@@ -1,44 \+1,43 @@\n-\/\/ Classic buttons\n/);
+    expect(diff).to.include('\n .button {\n');
+    expect(diff).to.include('\n-Styleguide syntax.custom\n-*/\n+/**\n');
+  });
+
+  it('should write the files to the destination', function() {
+    let destination = path.resolve(__dirname, 'output', 'migrate');
+    return kss.migrate(this.styleGuide, {destination: destination, custom: ['custom']}).then(files => {
+      expect(files[0].destination).to.equal(path.join(destination, 'syntax-kss.less'));
+      return fs.readFileAsync(files[0].destination, 'utf8');
+    }).then(contents => {
+      expect(contents).to.equal(this.files[0].contents);
+      return fs.removeAsync(destination);
+    });
+  });
+
+  it('should migrate the files parsed from memory', function() {
+    let file = {
+      base: '/virtual',
+      path: '/virtual/button.less',
+      contents: '// Button\n//\n// Styleguide button\n.button {}\n'
+    };
+    return kss.parseStream([file], {syntax: 'kss', markdown: false}).then(styleGuide => {
+      return kss.migrate(styleGuide, {dryRun: true});
+    }).then(files => {
+      expect(files).to.have.length(1);
+      expect(files[0].path).to.equal('/virtual/button.less');
+      expect(files[0].contents).to.include('@styleguide button');
+    });
+  });
+
+  describe('kss() given the "migrate" option', function() {
+    before(function() {
+      this.source = path.resolve(__dirname, 'output', 'migrate-in-place');
+      this.stdout = new mockStream.MockWritableStream();
+      this.stdout.startCapture();
+      return fs.mkdirsAsync(this.source).then(() => {
+        return fs.copyAsync(helperUtils.fixtures('syntax-kss.less'), path.join(this.source, 'syntax-kss.less'));
+      }).then(() => {
+        return kss({
+          source: this.source,
+          migrate: true,
+          custom: ['custom'],
+          logFunction: message => {
+            this.stdout.write(message + '\n');
+          }
+        });
+      });
+    });
+
+    after(function() {
+      return fs.removeAsync(this.source);
+    });
+
+    it('should rewrite the files in place', function() {
+      return fs.readFileAsync(path.join(this.source, 'syntax-kss.less'), 'utf8').then(contents => {
+        expect(contents).to.equal(this.files[0].contents);
+        expect(this.stdout.capturedData).to.include('3 KSS comments migrated in ' + path.join(this.source, 'syntax-kss.less') + '\n');
+        expect(this.stdout.capturedData).to.include('Migrated 3 KSS comments in 1 file.\n');
+      });
+    });
+  });
+});
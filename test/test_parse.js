@@ -56,6 +56,26 @@ describe('kss.parse()', function() {
       expect(this.styleGuide.sections('comment.docblock').header()).to.equal('Docblock comment syntax');
       done();
     });
+
+    it('should parse a docblock written with // comments', function() {
+      let section = this.styleGuide.sections('comment.single-line');
+      expect(section.header()).to.equal('Single-line comment syntax');
+      expect(section.description()).to.equal('<p>A docblock written with single-line comments.</p>\n');
+      expect(section.modifiers()[0].name()).to.equal('.primary');
+      expect(section.custom('sourceFile')).to.include({line: 37, endLine: 43});
+      expect(section.custom('sourceFile').tags).to.deep.equal({description: [39], modifier: [41], styleguide: [43]});
+      expect(section.source()).to.include({line: 44, endLine: 46});
+    });
+
+    it('should parse a docblock written with /// comments', function() {
+      expect(this.styleGuide.sections('comment.triple-slash').header()).to.equal('Triple-slash comment syntax');
+    });
+
+    it('should not parse a regular // comment', function() {
+      expect(this.styleGuide.sections().map(section => {
+        return section.header();
+      })).to.not.include('This is not a header');
+    });
   });
 
   context('returns styleGuide', function() {
@@ -326,6 +346,53 @@ describe('kss.parse()', function() {
         expect(this.styleGuide.sections('custom.multi').custom('custom2')).to.equal('This is the second property.');
         done();
       });
+
+      context('given custom tag parsers', function() {
+        before(function() {
+          this.custom = [
+            {name: 'level', type: 'enum', values: ['atom', 'molecule']},
+            {name: 'tokens', parse: kss.tagParsers.keyValue()},
+            {name: 'note', parse: kss.tagParsers.markdown(), multiple: true},
+            {name: 'owner', parse: value => {
+              return value.toUpperCase();
+            }}
+          ];
+          this.contents = '/**\n * Button\n *\n * @level Molecule\n * @tokens\n * color: $blue\n * size = 2px\n *\n * @note [Forms](#forms)\n * @note Links\n *\n * @styleguide button\n */\n';
+        });
+
+        it('should parse the custom tags into typed values', function() {
+          let section = kss.parse(this.contents, {custom: this.custom}).sections('button');
+          expect(section.custom('level')).to.equal('molecule');
+          expect(section.custom('tokens')).to.deep.equal({color: '$blue', size: '2px'});
+          expect(section.custom('note')).to.deep.equal(['<p><a href="#forms">Forms</a></p>\n', '<p>Links</p>\n']);
+          expect(section.custom('owner')).to.be.undefined;
+          expect(section.toJSON().level).to.equal('molecule');
+        });
+
+        it('should default a multiple tag to an empty array', function() {
+          let section = kss.parse('/**\n * Button\n *\n * @styleguide button\n */\n', {custom: this.custom}).sections('button');
+          expect(section.custom('note')).to.deep.equal([]);
+          expect(section.custom('level')).to.be.undefined;
+        });
+
+        it('should parse the custom properties of the classic KSS syntax', function() {
+          let section = kss.parse('// Button\n//\n// Level: atom\n//\n// Note: One\n//\n// Note: Two\n//\n// Styleguide button', {syntax: 'kss', markdown: false, custom: this.custom}).sections('button');
+          expect(section.custom('level')).to.equal('atom');
+          expect(section.custom('note')).to.deep.equal(['One', 'Two']);
+        });
+
+        it('should throw an error given an invalid value', function() {
+          expect(() => {
+            kss.parse([{path: 'button.css', contents: '\n' + this.contents.replace('Molecule', 'Organism')}], {custom: this.custom});
+          }).to.throw('Invalid custom tag "level" in section "button" at button.css:2: "Organism" is not one of: atom, molecule.');
+        });
+
+        it('should throw an error given a tag used twice that is not multiple', function() {
+          expect(() => {
+            kss.parse(this.contents.replace('@level Molecule', '@level atom\n * @level molecule'), {custom: this.custom});
+          }).to.throw('Invalid custom tag "level" in section "button" at line 1: it can only be used once.');
+        });
+      });
     });
 
     describe('.markup', function() {
@@ -351,6 +418,163 @@ describe('kss.parse()', function() {
       });
     });
 
+    describe('.sourceFile', function() {
+      before(function() {
+        this.section = kss.parse([{
+          base: '/tmp',
+          path: '/tmp/styles/button.scss',
+          contents: '$color: red;\n\n/**\n * Button\n *\n * @modifier .primary - Primary.\n * @modifier .large   - Large.\n *\n * @styleguide button\n */\n.button {\n  color: $color;\n}\n'
+        }]).sections('button');
+      });
+
+      it('should find the first and last lines of the KSS comment', function() {
+        expect(this.section.custom('sourceFile')).to.include({name: 'styles/button.scss', line: 3, endLine: 10});
+      });
+
+      it('should find the line of each tag', function() {
+        expect(this.section.custom('sourceFile').tags).to.deep.equal({
+          modifier: [6, 7],
+          styleguide: [9]
+        });
+      });
+
+      it('should find the lines of the code following the KSS comment', function() {
+        expect(this.section.source()).to.include({line: 11, endLine: 13});
+      });
+    });
+
+    describe('.status', function() {
+      it('should parse the name, version, replacement and message of the status', function() {
+        let section = kss.parse('/**\n * Button\n *\n * @status Deprecated since 2.0 replaced by buttons.new - Use the\n * new buttons.\n *\n * @styleguide button\n */\n').sections('button');
+        expect(section.status()).to.deep.equal({name: 'deprecated', message: 'Use the\nnew buttons.', since: '2.0', replacement: 'buttons.new'});
+        expect(section.deprecated()).to.be.true;
+      });
+
+      it('should default to the deprecated and experimental tags', function() {
+        let styleGuide = kss.parse('/**\n * A\n *\n * @deprecated\n *\n * @styleguide a\n */\n/**\n * B\n *\n * @experimental\n *\n * @styleguide b\n */\n/**\n * C\n *\n * @styleguide c\n */\n');
+        expect(styleGuide.sections().map(section => {
+          return section.status().name;
+        })).to.deep.equal(['deprecated', 'experimental', 'stable']);
+      });
+
+      it('should parse the status paragraph of the classic KSS syntax', function() {
+        return helperUtils.traverseFixtures({mask: 'syntax-kss.less', syntax: 'kss'}).then(styleGuide => {
+          let section = styleGuide.sections('syntax.custom');
+          expect(section.status()).to.deep.equal({name: 'draft', message: 'Work in progress.', since: '3.0', replacement: ''});
+          expect(section.custom('sourceFile').tags.status).to.deep.equal([36]);
+        });
+      });
+
+      it('should record an error and ignore an unknown status', function() {
+        let section = kss.parse([{path: 'button.css', contents: '/**\n * Button\n *\n * @status beta\n *\n * @styleguide button\n */\n'}]).sections('button');
+        expect(section.status().name).to.equal('stable');
+        expect(section.errors()).to.deep.equal(['Invalid status "beta" in section "button" at button.css:1; it must be one of: draft, experimental, stable, deprecated, removed.']);
+      });
+
+      it('should record an error and ignore a repeated status', function() {
+        let section = kss.parse([{path: 'button.css', contents: '/**\n * Button\n *\n * @status draft\n * @status removed\n *\n * @styleguide button\n */\n'}]).sections('button');
+        expect(section.status().name).to.equal('stable');
+        expect(section.errors()).to.deep.equal(['Invalid status in section "button" at button.css:1: it can only be used once.']);
+      });
+
+      it('should parse the message of the deprecated tag', function() {
+        let section = kss.parse('/**\n * Button\n *\n * @deprecated since 2.0 - Use the new buttons.\n *\n * @styleguide button\n */\n').sections('button');
+        expect(section.status()).to.deep.equal({name: 'deprecated', message: 'Use the new buttons.', since: '2.0', replacement: ''});
+      });
+
+      it('should use the first related section as the replacement of a deprecated section', function() {
+        let section = kss.parse('/**\n * Button\n *\n * @deprecated Use the new buttons.\n * @see buttons.new\n * @see buttons.icon\n *\n * @styleguide button\n */\n').sections('button');
+        expect(section.status().replacement).to.equal('buttons.new');
+        expect(section.see()).to.deep.equal(['buttons.new', 'buttons.icon']);
+      });
+    });
+
+    describe('.since', function() {
+      it('should parse the version the section appeared in', function() {
+        let section = kss.parse('/**\n * Button\n *\n * @since 1.4\n *\n * @styleguide button\n */\n').sections('button');
+        expect(section.since()).to.equal('1.4');
+      });
+
+      it('should parse the since paragraph of the classic KSS syntax', function() {
+        return helperUtils.traverseFixtures({mask: 'syntax-kss.less', syntax: 'kss'}).then(styleGuide => {
+          let section = styleGuide.sections('syntax.custom');
+          expect(section.since()).to.equal('2.5');
+          expect(section.custom('sourceFile').tags.since).to.deep.equal([38]);
+        });
+      });
+
+      it('should record an error and ignore the version if used more than once', function() {
+        let section = kss.parse([{path: 'button.css', contents: '/**\n * Button\n *\n * @since 1.4\n * @since 1.5\n *\n * @styleguide button\n */\n'}]).sections('button');
+        expect(section.since()).to.equal('');
+        expect(section.errors()).to.deep.equal(['Invalid since in section "button" at button.css:1: it can only be used once.']);
+      });
+    });
+
+    describe('.syntax:', function() {
+      it('should parse docblocks by default', function() {
+        return helperUtils.traverseFixtures({mask: 'syntax-kss.less'}).then(styleGuide => {
+          expect(styleGuide.sections().map(section => {
+            return section.reference();
+          })).to.deep.equal(['syntax.docblock']);
+        });
+      });
+
+      it('should unescape the "@" of Less parameters in docblocks', function() {
+        let section = kss.parse('/**\n * Mixin\n *\n * @param \\@size = 2px - The size.\n *\n * @styleguide mixin\n */\n').sections('mixin');
+        expect(section.parameters()[0].name()).to.equal('@size');
+        expect(section.parameters()[0].defaultValue()).to.equal('2px');
+      });
+
+      it('should parse the classic KSS syntax if set to "kss"', function() {
+        return helperUtils.traverseFixtures({mask: 'syntax-kss.less', syntax: 'kss', custom: ['custom'], markdown: false}).then(styleGuide => {
+          expect(styleGuide.sections().map(section => {
+            return section.reference();
+          })).to.deep.equal(['syntax.custom', 'syntax.mixin', 'syntax.classic']);
+
+          let section = styleGuide.sections('syntax.classic');
+          expect(section.header()).to.equal('Classic buttons');
+          expect(section.description()).to.equal('A button written in the classic KSS syntax.');
+          expect(section.markup()).to.equal('<button class="{{modifier_class}}">Button</button>');
+          expect(section.weight()).to.equal(2);
+          expect(section.modifiers().map(modifier => {
+            return [modifier.name(), modifier.description()];
+          })).to.deep.equal([['.primary', 'A primary button.'], [':hover', 'Highlights when hovered, on the following line too.']]);
+          expect(section.custom('sourceFile').tags).to.deep.equal({modifier: [5, 6], markup: [9], weight: [11], styleguide: [13]});
+          expect(section.source().selectors).to.deep.equal(['.button']);
+
+          section = styleGuide.sections('syntax.mixin');
+          expect(section.header()).to.equal('Classic mixin');
+          expect(section.experimental()).to.be.true;
+          expect(section.parameters()[0].name()).to.equal('@size');
+          expect(section.parameters()[0].description()).to.equal('The size of the button.');
+
+          expect(styleGuide.sections('syntax.custom').custom('custom')).to.equal('The value of the custom property.');
+        });
+      });
+
+      it('should parse both syntaxes if set to "auto"', function() {
+        return helperUtils.traverseFixtures({mask: 'syntax-kss.less', syntax: 'auto'}).then(styleGuide => {
+          expect(styleGuide.sections().map(section => {
+            return section.reference();
+          })).to.deep.equal(['syntax.custom', 'syntax.docblock', 'syntax.mixin', 'syntax.classic']);
+          expect(styleGuide.sections('syntax.docblock').custom('sourceFile').syntax).to.equal('cssdoc');
+          expect(styleGuide.sections('syntax.classic').custom('sourceFile').syntax).to.equal('kss');
+        });
+      });
+
+      it('should keep the header in the description if the header option is disabled', function() {
+        let styleGuide = kss.parse('// Header\n//\n// Description.\n//\n// Styleguide header', {syntax: 'kss', header: false, markdown: false});
+        expect(styleGuide.sections('header').header()).to.equal('');
+        expect(styleGuide.sections('header').description()).to.equal('Header\n\nDescription.');
+      });
+
+      it('should throw an error given an unknown syntax', function() {
+        expect(() => {
+          kss.parse('', {syntax: 'unknown'});
+        }).to.throw('Invalid syntax option "unknown"; it must be one of: cssdoc, kss, auto.');
+      });
+    });
+
     describe('.markdown:', function() {
       it('should be enabled by default', function() {
         return helperUtils.traverseFixtures({mask: 'property-header.less'}).then(styleGuide => {
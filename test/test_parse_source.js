@@ -0,0 +1,154 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const parseSource = require('../lib/parse_source');
+
+// Parses the code following the first line of the given lines.
+const parse = function(lines) {
+  return parseSource(['/** KSS comment */'].concat(lines), 1);
+};
+
+describe('parseSource()', function() {
+  it('should return false if no code follows the comment', function() {
+    expect(parse([])).to.be.false;
+    expect(parse(['', ''])).to.be.false;
+  });
+
+  it('should return false if another comment follows the comment', function() {
+    expect(parse(['/**', ' * Another comment', ' */', '.a {}'])).to.be.false;
+    expect(parse(['// Another comment', '.a {}'])).to.be.false;
+  });
+
+  it('should return false if the end of a block follows the comment', function() {
+    expect(parse(['}'])).to.be.false;
+  });
+
+  context('given a rule with braces', function() {
+    before(function() {
+      this.source = parse([
+        '',
+        '.button,',
+        '.button--primary {',
+        '  color: red; /* A comment; with a semi-colon. */',
+        '  background: url("http://example.com/a;b.png");',
+        '  // A comment { with a brace.',
+        '  &:hover {',
+        '    color: blue',
+        '  }',
+        '  .icon-#{$name} {',
+        '    @include icon($name, 1px);',
+        '  }',
+        '}',
+        '',
+        '.next {}'
+      ]);
+    });
+
+    it('should return the code and its line numbers', function() {
+      expect(this.source.line).to.equal(3);
+      expect(this.source.endLine).to.equal(14);
+      expect(this.source.code).to.match(/^\.button,\n\.button--primary \{\n/);
+      expect(this.source.code).to.match(/\n\}$/);
+    });
+
+    it('should return the selectors', function() {
+      expect(this.source.selectors).to.deep.equal(['.button', '.button--primary']);
+    });
+
+    it('should return the declarations', function() {
+      expect(this.source.declarations).to.deep.equal([
+        {property: 'color', value: 'red'},
+        {property: 'background', value: 'url("http://example.com/a;b.png")'}
+      ]);
+    });
+
+    it('should return the nested rules', function() {
+      expect(this.source.rules).to.deep.equal([
+        {
+          selectors: ['&:hover'],
+          declarations: [{property: 'color', value: 'blue'}],
+          rules: []
+        },
+        {
+          selectors: ['.icon-#{$name}'],
+          declarations: [{property: '@include', value: 'icon($name, 1px)'}],
+          rules: []
+        }
+      ]);
+    });
+  });
+
+  it('should return the signature of a mixin as its selector', function() {
+    let source = parse(['@mixin button-size($size, $radius: 2px) {', '  font-size: $size;', '}']);
+    expect(source.selectors).to.deep.equal(['@mixin button-size($size, $radius: 2px)']);
+    source = parse(['.button-size(@size; @radius: 2px) {', '  font-size: @size;', '}']);
+    expect(source.selectors).to.deep.equal(['.button-size(@size; @radius: 2px)']);
+  });
+
+  it('should only parse the code of a rule, not the rest of the file', function() {
+    let source = parse([
+      '.long {',
+      '  /* A comment',
+      '     on several lines. */',
+      '  color: red;',
+      '  &:hover {',
+      '    color: blue;',
+      '  }',
+      '  // A comment { with a brace.',
+      '  background: none;',
+      '}',
+      '.next {',
+      '  color: green;',
+      '}'
+    ]);
+    expect(source.line).to.equal(2);
+    expect(source.endLine).to.equal(11);
+    expect(source.selectors).to.deep.equal(['.long']);
+    expect(source.rules).to.have.length(1);
+  });
+
+  it('should remove the indentation of the code', function() {
+    let source = parse(['  .nested {', '    color: red;', '  }']);
+    expect(source.code).to.equal('.nested {\n  color: red;\n}');
+  });
+
+  it('should parse a statement', function() {
+    let source = parse(['$color: #f00 !default;', '.a {}']);
+    expect(source.code).to.equal('$color: #f00 !default;');
+    expect(source.endLine).to.equal(2);
+    expect(source.selectors).to.deep.equal([]);
+    expect(source.declarations).to.deep.equal([{property: '$color', value: '#f00 !default'}]);
+  });
+
+  it('should parse a statement without a semi-colon', function() {
+    let source = parse(['$color = red', '.a', '  color: $color']);
+    expect(source.code).to.equal('$color = red');
+    expect(source.declarations).to.deep.equal([{property: '$color', value: 'red'}]);
+  });
+
+  it('should parse a rule using indentation', function() {
+    let source = parse([
+      '=button-size($size)',
+      '  font-size: $size',
+      '',
+      '  &:hover',
+      '    color: blue',
+      '',
+      '.next',
+      '  color: red'
+    ]);
+    expect(source.code).to.equal('=button-size($size)\n  font-size: $size\n\n  &:hover\n    color: blue');
+    expect(source.line).to.equal(2);
+    expect(source.endLine).to.equal(6);
+    expect(source.selectors).to.deep.equal(['=button-size($size)']);
+    expect(source.declarations).to.deep.equal([{property: 'font-size', value: '$size'}]);
+    expect(source.rules).to.deep.equal([
+      {
+        selectors: ['&:hover'],
+        declarations: [{property: 'color', value: 'blue'}],
+        rules: []
+      }
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const stream = require('stream');
+
+describe('kss.parseStream()', function() {
+  before(function() {
+    this.file = {
+      base: '/styles',
+      path: '/styles/forms/buttons.scss',
+      contents: '/**\n * Buttons\n *\n * @styleguide buttons\n */\n'
+    };
+    this.references = styleGuide => {
+      return styleGuide.sections().map(section => {
+        return section.reference();
+      });
+    };
+  });
+
+  it('should parse an array of file objects', function() {
+    return kss.parseStream([this.file]).then(styleGuide => {
+      expect(styleGuide).to.be.instanceof(kss.KssStyleGuide);
+      expect(this.references(styleGuide)).to.deep.equal(['buttons']);
+      expect(styleGuide.sections('buttons').custom('sourceFile').name).to.equal('forms/buttons.scss');
+      expect(styleGuide.meta.files).to.deep.equal(['/styles/forms/buttons.scss']);
+    });
+  });
+
+  it('should parse a stream of file objects', function() {
+    let input = new stream.PassThrough({objectMode: true});
+    input.write(this.file);
+    input.end(Object.assign({}, this.file, {path: '/styles/forms.scss', contents: '/**\n * Forms\n *\n * @styleguide forms\n */\n'}));
+    return kss.parseStream(input).then(styleGuide => {
+      expect(this.references(styleGuide)).to.deep.equal(['buttons', 'forms']);
+    });
+  });
+
+  it('should reject the errors of a stream', function() {
+    let input = new stream.PassThrough({objectMode: true});
+    setImmediate(() => {
+      input.emit('error', new Error('Read error'));
+    });
+    return kss.parseStream(input).then(() => {
+      expect(false).to.be.true;
+    }, error => {
+      expect(error.message).to.equal('Read error');
+    });
+  });
+
+  it('should parse an async iterable of file objects', function() {
+    let files = [this.file],
+      input = {};
+    input[Symbol.asyncIterator] = () => {
+      return {
+        next: () => {
+          return Promise.resolve(files.length ? {done: false, value: files.shift()} : {done: true});
+        }
+      };
+    };
+    return kss.parseStream(input).then(styleGuide => {
+      expect(this.references(styleGuide)).to.deep.equal(['buttons']);
+    });
+  });
+
+  it('should parse an iterable of file objects', function() {
+    return kss.parseStream(new Set([this.file])).then(styleGuide => {
+      expect(this.references(styleGuide)).to.deep.equal(['buttons']);
+    });
+  });
+
+  it('should accept Buffer contents and skip files without contents', function() {
+    return kss.parseStream([
+      Object.assign({}, this.file, {contents: Buffer.from(this.file.contents)}),
+      {base: '/styles', path: '/styles/forms', contents: null, isNull: () => {
+        return true;
+      }}
+    ]).then(styleGuide => {
+      expect(this.references(styleGuide)).to.deep.equal(['buttons']);
+      expect(styleGuide.meta.files).to.have.length(1);
+    });
+  });
+
+  it('should reject files with streamed contents', function() {
+    return kss.parseStream([Object.assign({}, this.file, {contents: new stream.PassThrough(), isStream: () => {
+      return true;
+    }})]).then(() => {
+      expect(false).to.be.true;
+    }, error => {
+      expect(error.message).to.equal('The contents of /styles/forms/buttons.scss is a stream; kss.parseStream() only accepts files with string or Buffer contents.');
+    });
+  });
+
+  it('should reject an invalid input', function() {
+    return kss.parseStream(42).then(() => {
+      expect(false).to.be.true;
+    }, error => {
+      expect(error.message).to.include('Invalid input');
+    });
+  });
+
+  it('should use the parsing options', function() {
+    return kss.parseStream([this.file], {header: false}).then(styleGuide => {
+      expect(styleGuide.sections('buttons').header()).to.equal('');
+    });
+  });
+
+  it('should cache the parsed sections given the cache option', function() {
+    let cacheFile = path.resolve(__dirname, 'output', 'parse-stream', 'cache.json');
+    return kss.parseStream([this.file], {cache: cacheFile}).then(() => {
+      return fs.readJsonAsync(cacheFile);
+    }).then(cache => {
+      expect(Object.keys(cache.files)).to.deep.equal(['/styles/forms/buttons.scss']);
+    });
+  });
+});
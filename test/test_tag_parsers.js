@@ -0,0 +1,89 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+describe('kss.tagParsers', function() {
+  describe('.normalize()', function() {
+    it('should convert tag names to objects', function() {
+      expect(kss.tagParsers.normalize(['status'])).to.deep.equal([{name: 'status'}]);
+    });
+
+    it('should return an empty array given no tags', function() {
+      expect(kss.tagParsers.normalize()).to.deep.equal([]);
+    });
+
+    it('should keep a tag with a parse function', function() {
+      let tag = {name: 'status', parse: value => {
+        return value;
+      }};
+      expect(kss.tagParsers.normalize([tag])[0]).to.equal(tag);
+    });
+
+    it('should use the built-in parser given by the type', function() {
+      let tag = kss.tagParsers.normalize([{name: 'tags', type: 'list', multiple: true}])[0];
+      expect(tag.name).to.equal('tags');
+      expect(tag.multiple).to.be.true;
+      expect(tag.parse('a, b')).to.deep.equal(['a', 'b']);
+    });
+
+    it('should throw an error given an unknown type', function() {
+      expect(() => {
+        kss.tagParsers.normalize([{name: 'status', type: 'color'}]);
+      }).to.throw('Invalid type "color" of the custom tag "status"; it must be one of: enum, list, key-value, markdown.');
+    });
+
+    it('should throw an error given a tag without a name', function() {
+      expect(() => {
+        kss.tagParsers.normalize([{type: 'list'}]);
+      }).to.throw('Invalid custom tag {"type":"list"}; it must be a name or an object with a "name" property.');
+    });
+  });
+
+  describe('.enum()', function() {
+    it('should return the allowed value, ignoring case', function() {
+      expect(kss.tagParsers.enum(['stable', 'beta'])(' Beta ')).to.equal('beta');
+    });
+
+    it('should throw an error given another value', function() {
+      expect(() => {
+        kss.tagParsers.enum(['stable', 'beta'])('alpha');
+      }).to.throw('"alpha" is not one of: stable, beta.');
+    });
+  });
+
+  describe('.list()', function() {
+    it('should split the value at commas and line breaks', function() {
+      expect(kss.tagParsers.list()('one, two\nthree,')).to.deep.equal(['one', 'two', 'three']);
+    });
+
+    it('should split the value at the given separator', function() {
+      expect(kss.tagParsers.list('|')('one, two | three')).to.deep.equal(['one, two', 'three']);
+    });
+  });
+
+  describe('.keyValue()', function() {
+    it('should parse one pair on each line', function() {
+      expect(kss.tagParsers.keyValue()('color: red\n\nborder width = 1px\nurl: http://example.com')).to.deep.equal({
+        'color': 'red',
+        'border width': '1px',
+        'url': 'http://example.com'
+      });
+    });
+
+    it('should throw an error given a line without a value', function() {
+      expect(() => {
+        kss.tagParsers.keyValue()('color: red\nblue');
+      }).to.throw('"blue" is not a "key: value" pair.');
+    });
+  });
+
+  describe('.markdown()', function() {
+    it('should convert the value to HTML', function() {
+      expect(kss.tagParsers.markdown()('*Note*', {markdown: true})).to.equal('<p><em>Note</em></p>\n');
+    });
+
+    it('should keep the value if the markdown option is disabled', function() {
+      expect(kss.tagParsers.markdown()(' *Note* ', {markdown: false})).to.equal('*Note*');
+    });
+  });
+});
@@ -7,7 +7,10 @@ describe('kss.traverse()', function() {
     it('should function without options', function() {
       return kss.traverse(helperUtils.fixtures('traverse-directories')).then(styleGuide => {
         expect(styleGuide).to.be.instanceof(kss.KssStyleGuide);
-        expect(styleGuide.data.sections).to.have.length(12);
+        // The file type fixtures share references, so only the first section
+        // of each reference is kept.
+        expect(styleGuide.data.sections).to.have.length(3);
+        expect(styleGuide.duplicates()).to.have.length(9);
         expect(styleGuide.meta.files).to.have.length(8);
       }, error => {
         expect(error).to.not.exist;
@@ -17,7 +20,10 @@ describe('kss.traverse()', function() {
     it('should function with options', function() {
       return kss.traverse(helperUtils.fixtures('traverse-directories'), {}).then(styleGuide => {
         expect(styleGuide).to.be.instanceof(kss.KssStyleGuide);
-        expect(styleGuide.data.sections).to.have.length(12);
+        // The file type fixtures share references, so only the first section
+        // of each reference is kept.
+        expect(styleGuide.data.sections).to.have.length(3);
+        expect(styleGuide.duplicates()).to.have.length(9);
         expect(styleGuide.meta.files).to.have.length(8);
       }, error => {
         expect(error).to.not.exist;
@@ -177,5 +183,239 @@ describe('kss.traverse()', function() {
         });
       });
     });
+
+    describe('sources', function() {
+      it('should parse a file given as a source, even if it does not match the mask', function() {
+        return kss.traverse(helperUtils.fixtures('traverse-directories', 'includes', 'buttons.js')).then(styleGuide => {
+          expect(styleGuide).to.containFixture('traverse-directories/includes/buttons.js');
+          expect(styleGuide.meta.files).to.have.length(1);
+        });
+      });
+
+      it('should parse the files matching a glob given as a source', function() {
+        return kss.traverse(helperUtils.fixtures('traverse-directories', '**', '*.s?ss')).then(styleGuide => {
+          expect(styleGuide.meta.files.map(file => {
+            return path.relative(helperUtils.fixtures(), file).replace(/\\/g, '/');
+          }).sort()).to.deep.equal([
+            'traverse-directories/file-type.sass',
+            'traverse-directories/file-type.scss',
+            'traverse-directories/includes/buttons.scss'
+          ]);
+          expect(styleGuide.sections().map(section => {
+            return section.custom('sourceFile').name;
+          })).to.include('file-type.sass');
+        });
+      });
+
+      it('should apply the ignore option to the files matching a glob', function() {
+        return kss.traverse(helperUtils.fixtures('traverse-directories', '**', '*.s?ss'), {ignore: 'includes/'}).then(styleGuide => {
+          expect(styleGuide.meta.files).to.have.length(2);
+          expect(styleGuide).to.not.containFixture('traverse-directories/includes/buttons.scss');
+        });
+      });
+
+      it('should parse a file found by several sources only once', function() {
+        return kss.traverse([
+          helperUtils.fixtures('traverse-directories', 'includes'),
+          helperUtils.fixtures('traverse-directories', 'includes', 'buttons.less')
+        ]).then(styleGuide => {
+          expect(styleGuide.meta.files).to.have.length(2);
+        });
+      });
+
+      it('should reject a missing source', function() {
+        return kss.traverse(helperUtils.fixtures('missing-source')).then(() => {
+          expect(false).to.be.true;
+        }, error => {
+          expect(error.code).to.equal('ENOENT');
+        });
+      });
+    });
+
+    describe('.followSymlinks:', function() {
+      before(function() {
+        this.source = path.resolve(__dirname, 'output', 'traverse-symlinks');
+        let comment = reference => {
+          return '/**\n * Section\n *\n * @styleguide ' + reference + '\n */\n';
+        };
+        return Promise.all([
+          fs.outputFileAsync(path.join(this.source, 'app', 'app.css'), comment('app')),
+          fs.outputFileAsync(path.join(this.source, 'packages', 'buttons', 'buttons.css'), comment('buttons'))
+        ]).then(() => {
+          return Promise.all([
+            // A link to a package, a link to a parent directory and a broken link.
+            fs.symlinkAsync(path.join(this.source, 'packages', 'buttons'), path.join(this.source, 'app', 'buttons'), 'dir'),
+            fs.symlinkAsync(this.source, path.join(this.source, 'packages', 'root'), 'dir'),
+            fs.symlinkAsync(path.join(this.source, 'missing.css'), path.join(this.source, 'app', 'missing.css'), 'file')
+          ]);
+        });
+      });
+
+      it('should follow symbolic links and parse each file once', function() {
+        return kss.traverse(path.join(this.source, 'app')).then(styleGuide => {
+          expect(styleGuide.meta.files).to.deep.equal([
+            path.join(this.source, 'app', 'app.css'),
+            path.join(this.source, 'app', 'buttons', 'buttons.css')
+          ]);
+        });
+      });
+
+      it('should not loop through a link to a parent directory', function() {
+        return kss.traverse(this.source).then(styleGuide => {
+          expect(styleGuide.meta.files.map(file => {
+            return path.relative(this.source, file);
+          }).sort()).to.deep.equal([
+            path.join('app', 'app.css'),
+            path.join('app', 'buttons', 'buttons.css')
+          ]);
+        });
+      });
+
+      it('should skip symbolic links if the option is false', function() {
+        return kss.traverse(this.source, {followSymlinks: false}).then(styleGuide => {
+          expect(styleGuide.meta.files.map(file => {
+            return path.relative(this.source, file);
+          }).sort()).to.deep.equal([
+            path.join('app', 'app.css'),
+            path.join('packages', 'buttons', 'buttons.css')
+          ]);
+        });
+      });
+
+      it('should follow symbolic links the same way given a glob', function() {
+        return kss.traverse(path.join(this.source, '**', '*.css')).then(styleGuide => {
+          expect(styleGuide.meta.files.map(file => {
+            return path.relative(this.source, file);
+          }).sort()).to.deep.equal([
+            path.join('app', 'app.css'),
+            path.join('app', 'buttons', 'buttons.css')
+          ]);
+        });
+      });
+
+      it('should skip symbolic links given a glob if the option is false', function() {
+        return kss.traverse(path.join(this.source, '**', '*.css'), {followSymlinks: false}).then(styleGuide => {
+          expect(styleGuide.meta.files.map(file => {
+            return path.relative(this.source, file);
+          }).sort()).to.deep.equal([
+            path.join('app', 'app.css'),
+            path.join('packages', 'buttons', 'buttons.css')
+          ]);
+        });
+      });
+    });
+
+    describe('.ignore:', function() {
+      before(function() {
+        this.source = path.resolve(__dirname, 'output', 'traverse-ignore');
+        let comment = reference => {
+          return '/**\n * Section\n *\n * @styleguide ' + reference + '\n */\n';
+        };
+        return Promise.all([
+          fs.outputFileAsync(path.join(this.source, '.kssignore'), 'vendor/**\n'),
+          fs.outputFileAsync(path.join(this.source, 'app.css'), comment('app')),
+          fs.outputFileAsync(path.join(this.source, 'app.min.css'), comment('app-min')),
+          fs.outputFileAsync(path.join(this.source, 'node_modules', 'package', 'style.css'), comment('package')),
+          fs.outputFileAsync(path.join(this.source, 'vendor', 'style.css'), comment('vendor'))
+        ]).then(() => {
+          return kss.traverse(this.source, {ignore: ['node_modules/', '*.min.css']});
+        }).then(styleGuide => {
+          this.styleGuide = styleGuide;
+        });
+      });
+
+      it('should skip the files and directories matching the ignore option', function() {
+        expect(this.styleGuide.meta.files).to.not.include(path.join(this.source, 'app.min.css'));
+        expect(this.styleGuide.meta.files).to.not.include(path.join(this.source, 'node_modules', 'package', 'style.css'));
+      });
+
+      it('should skip the files and directories matching the .kssignore file', function() {
+        expect(this.styleGuide.meta.files).to.not.include(path.join(this.source, 'vendor', 'style.css'));
+      });
+
+      it('should find the other files', function() {
+        expect(this.styleGuide.meta.files).to.deep.equal([path.join(this.source, 'app.css')]);
+      });
+    });
+
+    describe('.cache:', function() {
+      before(function() {
+        this.source = path.resolve(__dirname, 'output', 'traverse-cache', 'source');
+        this.cacheFile = path.resolve(__dirname, 'output', 'traverse-cache', 'cache.json');
+        return fs.copyAsync(helperUtils.fixtures('with-include'), this.source).then(() => {
+          return kss.traverse(this.source, {cache: this.cacheFile});
+        }).then(styleGuide => {
+          this.styleGuide = styleGuide;
+          // Alter a cached header to find out whether the cache is used.
+          return fs.readJsonAsync(this.cacheFile);
+        }).then(cache => {
+          for (let file of Object.keys(cache.files)) {
+            for (let section of cache.files[file].sections) {
+              section.header = 'Cached ' + section.header;
+            }
+          }
+          return fs.writeJsonAsync(this.cacheFile, cache);
+        });
+      });
+
+      it('should save the parsed sections in the cache file', function() {
+        return fs.readJsonAsync(this.cacheFile).then(cache => {
+          expect(Object.keys(cache.files)).to.deep.equal(this.styleGuide.meta.files);
+        });
+      });
+
+      it('should reuse the sections of unchanged files', function() {
+        return kss.traverse(this.source, {cache: this.cacheFile}).then(styleGuide => {
+          expect(styleGuide.sections('3.1.1').header()).to.equal('Cached ' + this.styleGuide.sections('3.1.1').header());
+          expect(styleGuide.sections().length).to.equal(this.styleGuide.sections().length);
+        });
+      });
+
+      it('should parse the files again if the options changed', function() {
+        return kss.traverse(this.source, {cache: this.cacheFile, markdown: false}).then(styleGuide => {
+          expect(styleGuide.sections('3.1.1').header()).to.equal(this.styleGuide.sections('3.1.1').header());
+        });
+      });
+
+      it('should parse changed files again', function() {
+        let file = this.styleGuide.meta.files[0];
+        return fs.readFileAsync(file, 'utf8').then(contents => {
+          return fs.writeFileAsync(file, contents + '\n');
+        }).then(() => {
+          return kss.traverse(this.source, {cache: this.cacheFile});
+        }).then(styleGuide => {
+          expect(styleGuide.sections('3.1.1').header()).to.equal(this.styleGuide.sections('3.1.1').header());
+        });
+      });
+    });
+  });
+});
+
+describe('kss.traverse.sourceDirectory()', function() {
+  it('should return the directory of a directory', function() {
+    return kss.traverse.sourceDirectory(helperUtils.fixtures('traverse-directories')).then(directory => {
+      expect(directory).to.equal(helperUtils.fixtures('traverse-directories'));
+    });
+  });
+
+  it('should return the directory containing a file', function() {
+    return kss.traverse.sourceDirectory(helperUtils.fixtures('with-include', 'style.scss')).then(directory => {
+      expect(directory).to.equal(helperUtils.fixtures('with-include'));
+    });
+  });
+
+  it('should return the directory a glob starts with', function() {
+    return Promise.all([
+      kss.traverse.sourceDirectory('src/**/components/*.scss'),
+      kss.traverse.sourceDirectory('*.css')
+    ]).then(directories => {
+      expect(directories).to.deep.equal(['src', '.']);
+    });
+  });
+
+  it('should return a missing source as is', function() {
+    return kss.traverse.sourceDirectory(helperUtils.fixtures('missing')).then(directory => {
+      expect(directory).to.equal(helperUtils.fixtures('missing'));
+    });
   });
 });